@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+import { readFile, readdir, stat, writeFile } from 'fs/promises'
+import path from 'path'
+import { parseArgs } from 'util'
+import { DTCGValidator, REPORTERS, RESULT_SCHEMA_VERSION, collectAssetReferences, getAssetCandidates, getRuleForCode } from '../src/lib/index.js'
+import { findConfigFile, loadConfig } from '../src/lib/configLoader.js'
+
+const USAGE = `Usage: brand-json-validate [options] <file|glob...>
+
+Validate brand.json files against the DTCG 2025.10 format.
+
+Options:
+  -c, --config <file>       Rule config (default: nearest .brandjsonrc or .brandjsonrc.json)
+      --no-config           Ignore .brandjsonrc files and use default rule severities
+  -f, --format <name>       Output format: human, json, junit (default: human)
+  -o, --output <file>       Write the report to a file instead of stdout
+      --max-warnings <n>    Fail when more than <n> warnings are found
+  -h, --help                Show this help
+
+Exit codes: 0 = passed, 1 = errors or too many warnings (files that cannot be
+read or validated are reported as errors), 2 = usage, config or output failure`
+
+const IGNORED_DIRS = new Set(['node_modules', '.git', 'dist'])
+
+function hasMagic(pattern) {
+  return /[*?[{]/.test(pattern)
+}
+
+/**
+ * Convert a glob (supporting **, *, ?, [abc] and {a,b}) into a RegExp
+ */
+function globToRegExp(pattern) {
+  let source = ''
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        const slash = pattern[i + 2] === '/'
+        source += slash ? '(?:.*/)?' : '.*'
+        i += slash ? 2 : 1
+      } else {
+        source += '[^/]*'
+      }
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i)
+      source += end === -1 ? '\\[' : pattern.slice(i, end + 1)
+      if (end !== -1) i = end
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i)
+      if (end === -1) {
+        source += '\\{'
+      } else {
+        source += `(?:${pattern.slice(i + 1, end).split(',').map(part => part.replace(/[.+^$()|\\]/g, '\\$&')).join('|')})`
+        i = end
+      }
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+async function walk(dir) {
+  const files = []
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    if (IGNORED_DIRS.has(entry.name)) continue
+    const fullPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...await walk(fullPath))
+    } else if (entry.isFile()) {
+      files.push(fullPath)
+    }
+  }
+  return files
+}
+
+async function expandPatterns(patterns) {
+  const files = new Set()
+
+  for (const pattern of patterns) {
+    const normalized = pattern.split(path.sep).join('/')
+    if (!hasMagic(normalized)) {
+      const info = await stat(normalized).catch(() => null)
+      if (info?.isDirectory()) {
+        for (const file of await walk(normalized)) {
+          if (file.endsWith('.json')) files.add(file)
+        }
+      } else {
+        // Missing files are reported by validateFile
+        files.add(normalized)
+      }
+      continue
+    }
+
+    // Walk from the static prefix of the pattern
+    const segments = normalized.split('/')
+    const firstMagic = segments.findIndex(hasMagic)
+    const base = segments.slice(0, firstMagic).join('/') || '.'
+    const matcher = globToRegExp(normalized.replace(/^\.\//, ''))
+    const candidates = await walk(base).catch(() => [])
+
+    for (const file of candidates) {
+      const relative = file.split(path.sep).join('/').replace(/^\.\//, '')
+      if (matcher.test(relative)) files.add(file)
+    }
+  }
+
+  return [...files].sort()
+}
+
+async function validateFile(file, config) {
+  let text
+  try {
+    text = await readFile(file, 'utf8')
+  } catch (error) {
+    return failedResult('IO_READ_ERROR', `Cannot read file: ${error.code || error.message}`, 'Check that the path exists and is readable')
+  }
+
+  // One document the validator cannot handle must not stop the report for the others
+  try {
+    const assetFiles = await findAssetFiles(file, text)
+    return new DTCGValidator(assetFiles ? { ...config, assets: { ...config.assets, ...assetFiles } } : config).validateText(text)
+  } catch (error) {
+    return failedResult('IO_VALIDATION_ERROR', `Cannot validate file: ${error.message}`, 'Check the document structure; please report this if the file is valid JSON')
+  }
+}
+
+/**
+ * Asset paths of a document that exist on disk, relative to its folder, so
+ * the validator can report the ones that do not (asset-files rule)
+ */
+async function findAssetFiles(file, text) {
+  let json
+  try {
+    json = JSON.parse(text)
+  } catch {
+    return null
+  }
+
+  const base = path.basename(file)
+  const files = []
+  for (const { value } of collectAssetReferences(json)) {
+    for (const candidate of getAssetCandidates(value, base)) {
+      const info = await stat(path.join(path.dirname(file), candidate)).catch(() => null)
+      if (info?.isFile()) files.push(candidate)
+    }
+  }
+  return { files, base }
+}
+
+function failedResult(code, message, hint) {
+  return {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    valid: false,
+    errors: [{ code, rule: getRuleForCode(code), path: '$', message, severity: 'error', hint }],
+    warnings: [],
+    structureIssues: []
+  }
+}
+
+async function main() {
+  let args
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        config: { type: 'string', short: 'c' },
+        'no-config': { type: 'boolean' },
+        format: { type: 'string', short: 'f', default: 'human' },
+        output: { type: 'string', short: 'o' },
+        'max-warnings': { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    })
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`)
+    return 2
+  }
+
+  const { values, positionals } = args
+  if (values.help) {
+    console.log(USAGE)
+    return 0
+  }
+
+  const reporter = REPORTERS[values.format]
+  if (!reporter) {
+    console.error(`Unknown format "${values.format}". Use one of: ${Object.keys(REPORTERS).join(', ')}`)
+    return 2
+  }
+
+  let maxWarnings = null
+  if (values['max-warnings'] !== undefined) {
+    maxWarnings = Number(values['max-warnings'])
+    if (!Number.isInteger(maxWarnings) || maxWarnings < 0) {
+      console.error('--max-warnings must be a non-negative integer')
+      return 2
+    }
+  }
+
+  if (positionals.length === 0) {
+    console.error(USAGE)
+    return 2
+  }
+
+  let config = {}
+  const configPath = values.config || (values['no-config'] ? null : await findConfigFile())
+  if (configPath) {
+    try {
+      config = await loadConfig(configPath)
+    } catch (error) {
+      console.error(`[brand-json-validate] ${error.message}`)
+      return 2
+    }
+  }
+
+  const files = await expandPatterns(positionals)
+  if (files.length === 0) {
+    console.error(`No files matched: ${positionals.join(', ')}`)
+    return 2
+  }
+
+  const entries = []
+  for (const file of files) {
+    entries.push({ file, result: await validateFile(file, config) })
+  }
+
+  const report = reporter(entries)
+  if (values.output) {
+    await writeFile(values.output, report + '\n')
+  } else {
+    console.log(report)
+  }
+
+  const errorCount = entries.reduce((sum, { result }) => sum + result.errors.length, 0)
+  const warningCount = entries.reduce((sum, { result }) => sum + result.warnings.length, 0)
+
+  if (errorCount > 0) return 1
+  if (maxWarnings !== null && warningCount > maxWarnings) {
+    console.error(`Too many warnings (${warningCount}). Maximum allowed is ${maxWarnings}.`)
+    return 1
+  }
+  return 0
+}
+
+main()
+  .then(code => { process.exitCode = code })
+  .catch(error => {
+    console.error('[brand-json-validate]', error)
+    process.exitCode = 2
+  })
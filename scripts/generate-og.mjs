@@ -3,6 +3,7 @@ import { existsSync } from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { Resvg } from '@resvg/resvg-js'
+import { validateBrandMetadata } from '../src/lib/brandMetadata.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 const rootDir = path.resolve(__dirname, '..')
@@ -60,6 +61,10 @@ async function generateOgImage() {
   const pkg = await loadJson('package.json')
   const brand = await loadJson('brand.json')
 
+  for (const problem of validateBrandMetadata(brand?.brand)) {
+    console.warn(`[og-image] ⚠ ${problem.message}`)
+  }
+
   const siteName = brand?.brand?.name || pkg?.name || 'UINK'
   const siteTitle = brand?.brand?.siteTitle || brand?.brand?.name || 'UINK WEB'
   const versionLabel = pkg?.version ? `v${pkg.version}` : 'v0.0.0'
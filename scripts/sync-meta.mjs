@@ -2,6 +2,7 @@ import { readFile, writeFile } from 'fs/promises'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { existsSync } from 'fs'
+import { validateBrandMetadata } from '../src/lib/brandMetadata.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 const rootDir = path.resolve(__dirname, '..')
@@ -68,15 +69,26 @@ async function syncMeta() {
   const brandRaw = await readFile(brandPath, 'utf8')
   const brand = JSON.parse(brandRaw)
 
+  // Fields that fail the brand metadata schema are reported and not written into the page
+  const problems = validateBrandMetadata(brand?.brand)
+  for (const problem of problems) {
+    console.warn(`[sync-meta] ⚠ ${problem.message}`)
+  }
+  const invalid = new Set(problems.map(problem => problem.path.split('.')[1]))
+  const metadata = typeof brand?.brand === 'object' && brand.brand !== null
+    ? Object.fromEntries(Object.entries(brand.brand).filter(([field]) => !invalid.has(field)))
+    : {}
+  const siteUrl = metadata.siteUrl
+
   // Prefer absolute URL for social crawlers: Netlify env → brand.siteUrl → root-relative fallback
-  const baseUrl = (process.env.URL || process.env.DEPLOY_URL || brand?.brand?.siteUrl || '').replace(/\/$/, '')
+  const baseUrl = (process.env.URL || process.env.DEPLOY_URL || siteUrl || '').replace(/\/$/, '')
   const ogImageUrl = baseUrl ? `${baseUrl}/og-image.png` : '/og-image.png'
 
   const htmlPath = detection.htmlPath
   console.log(`[sync-meta] Updating: ${path.relative(rootDir, htmlPath)}`)
 
   try {
-    const changed = await updateStaticHtml(htmlPath, brand, ogImageUrl)
+    const changed = await updateStaticHtml(htmlPath, { ...brand, brand: metadata }, ogImageUrl)
     if (changed) {
       console.log('[sync-meta] ✓ Updated meta tags')
     } else {
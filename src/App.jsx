@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import Editor, { useMonaco } from '@monaco-editor/react';
 import { 
   FileJson, 
@@ -15,12 +15,28 @@ import {
   ChevronRight,
   Info,
   Sun,
-  Moon
+  Moon,
+  Layers,
+  ChevronDown,
+  FileInput,
+  Wand2,
+  Contrast,
+  GitCompare,
+  Files,
+  BarChart3
 } from 'lucide-react';
 
 // Core Logic & Utils
 import { DTCGValidator } from './lib/dtcgValidator';
+import { EXPORT_FORMATS, collectExportTokens, exportTokens } from './lib/exporters';
+import { IMPORT_FORMATS, importTokens } from './lib/importers';
+import { diffTokens } from './lib/tokenDiff';
+import { fixBatch, validateBatch } from './lib/batch';
+import { addIssueLocations, getIssueLocation, getIssueMarkers, parseJsonWithPositions } from './lib/jsonPositions';
+import { getThemeResult, inferTokenSetManifest, isTokenSetManifest, validateTokenSets } from './lib/tokenSets';
 import { cn } from './lib/utils';
+import { createValidationWorker } from './workers/validationClient';
+import { registerTokenLanguage } from './editor/tokenLanguage';
 
 // UI Components (Shadcn)
 import { Button } from './components/ui/button';
@@ -28,13 +44,39 @@ import { Tabs, TabsList, TabsTrigger, TabsContent } from './components/ui/tabs';
 import { ScrollArea } from './components/ui/scroll-area';
 import { Separator } from './components/ui/separator';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from './components/ui/tooltip';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from './components/ui/dropdown-menu';
 
 // Existing Components
 import { TokenPreview } from './components/TokenPreview';
+import { FixReview } from './components/FixReview';
+import { IssuesPanel } from './components/IssuesPanel';
+import { ContrastReport } from './components/ContrastReport';
+import { InsightsPanel } from './components/InsightsPanel';
+import { BrandCard } from './components/BrandCard';
 
 
 import pkg from '../package.json';
 import { WelcomeModal } from './components/WelcomeModal';
+import { ImportReport } from './components/ImportReport';
+import { ExportReport } from './components/ExportReport';
+import { TokenDiffReport } from './components/TokenDiffReport';
+import { AiAssist } from './components/AiAssist';
+import { BatchWorkspace, collectBatchFiles } from './components/BatchWorkspace';
+
+// Issue path for a TokenPreview path array or a dotted path ("colors.primary")
+function toIssuePath(pathOrParts) {
+  if (Array.isArray(pathOrParts)) {
+    return '$' + pathOrParts.map(part => (typeof part === 'number' ? `[${part}]` : `.${part}`)).join('');
+  }
+  return pathOrParts.startsWith('$') ? pathOrParts : `$.${pathOrParts}`;
+}
 
 // Helper to get primary color from brand.json structure
 function getPrimaryColor(jsonData) {
@@ -45,111 +87,99 @@ export default function App() {
   const [jsonText, setJsonText] = useState('');
   const [jsonData, setJsonData] = useState(null);
   const [validationResult, setValidationResult] = useState(null);
+  const [editorMarkers, setEditorMarkers] = useState([]);
+  const [assistRequest, setAssistRequest] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [batchOpen, setBatchOpen] = useState(false);
+  const [loadedAssets, setLoadedAssets] = useState(null);
   const [error, setError] = useState(null);
   const [dragActive, setDragActive] = useState(false);
   const [fixSuccess, setFixSuccess] = useState(false);
   const [theme, setTheme] = useState('dark');
   const [tabValue, setTabValue] = useState('issues');
+  const [tokenSets, setTokenSets] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const [exportResult, setExportResult] = useState(null);
+  const [diffResult, setDiffResult] = useState(null);
+  const [approvedFixes, setApprovedFixes] = useState(() => new Set());
+  const [accessibilityMode, setAccessibilityMode] = useState(false);
   const fileInputRef = useRef(null);
+  const setsInputRef = useRef(null);
+  const importInputRef = useRef(null);
+  const compareInputRef = useRef(null);
+  const batchInputRef = useRef(null);
+  const importFormatRef = useRef(null);
+  const tokenSetsRef = useRef(null);
+  const accessibilityRef = useRef(false);
+  // Files dropped along with the JSON: { urls: Map(path -> object URL), base: path of the document in the editor }
+  const loadedAssetsRef = useRef(null);
   const editorRef = useRef(null);
   const timerRef = useRef(null);
+  const validationWorkerRef = useRef(null);
+  const jsonDataRef = useRef(null);
+  const validationResultRef = useRef(null);
   const highlightDecorations = useRef([]);
   const highlightTimerRef = useRef(null);
   const monaco = useMonaco();
   const monacoThemesDefined = useRef(false);
   const hasEditorContent = jsonText.trim().length > 0;
-
-  const findPathPositionInLines = useCallback((pathOrParts, lines) => {
-    const pathParts = typeof pathOrParts === 'string'
-      ? pathOrParts.split('.').filter(p => p !== '$')
-      : pathOrParts;
-
-    if (!pathParts || pathParts.length === 0) return null;
-
-    let foundLine = -1;
-    let column = 1;
-
-    for (let depth = pathParts.length - 1; depth >= 0; depth--) {
-      const targetKey = pathParts[depth];
-      const pattern = `"${targetKey}"`;
-
-      if (depth > 0) {
-        const parentKey = pathParts[depth - 1];
-        let parentLine = -1;
-
-        for (let i = 0; i < lines.length; i++) {
-          if (lines[i].includes(`"${parentKey}"`)) {
-            parentLine = i;
-            break;
-          }
-        }
-
-        if (parentLine !== -1) {
-          for (let i = parentLine + 1; i < lines.length; i++) {
-            const idx = lines[i].indexOf(pattern);
-            if (idx !== -1) {
-              foundLine = i + 1;
-              column = idx + 2;
-              break;
-            }
-            if (lines[i].match(/^\s{0,2}"/) && !lines[i].includes(pattern)) {
-              break;
-            }
-          }
-          if (foundLine !== -1) break;
-        }
-      } else {
-        for (let i = 0; i < lines.length; i++) {
-          const idx = lines[i].indexOf(pattern);
-          if (idx !== -1) {
-            foundLine = i + 1;
-            column = idx + 2;
-            break;
-          }
-        }
-        if (foundLine !== -1) break;
+  jsonDataRef.current = jsonData;
+  validationResultRef.current = validationResult;
+
+  // Types and CSS values with aliases resolved, for the specimens in the Preview tab
+  const previewTokens = useMemo(() => {
+    if (!jsonData || typeof jsonData !== 'object') return null;
+    return new Map(collectExportTokens(jsonData).entries.map(entry => [entry.path.join('.'), entry]));
+  }, [jsonData]);
+
+  // Individually approvable fixes for the document in the editor (the active set in token set mode)
+  const fixableIssues = useMemo(() => {
+    if (!validationResult) return [];
+    try {
+      const validator = new DTCGValidator();
+      if (!tokenSets && jsonData) {
+        // The worker already validated this document; reuse its structure issues
+        validator.structureIssues = validationResult.structureIssues || [];
+        return validator.getFixableIssues(jsonData);
       }
+      const parsed = JSON.parse(jsonText);
+      validator.validate(parsed);
+      return validator.getFixableIssues(parsed);
+    } catch {
+      return [];
     }
+  }, [validationResult]); // Recomputed per validation run rather than per keystroke
 
-    if (foundLine === -1) return null;
-    return { lineNumber: foundLine, column };
-  }, []);
+  useEffect(() => {
+    setApprovedFixes(new Set());
+  }, [fixableIssues]);
 
   const handleRevealPath = useCallback((pathOrParts) => {
-    console.log('🔍 handleRevealPath called with:', pathOrParts);
-    console.log('Monaco:', !!monaco, 'Editor:', !!editorRef.current);
-    
-    if (!monaco || !editorRef.current) {
-      console.log('❌ Missing monaco or editor');
-      return;
-    }
+    if (!monaco || !editorRef.current) return;
     const model = editorRef.current.getModel();
-    if (!model) {
-      console.log('❌ No model');
-      return;
-    }
+    if (!model) return;
 
-    const lines = model.getValue().split('\n');
-    const position = findPathPositionInLines(pathOrParts, lines);
-    console.log('✅ Found position:', position);
-
-    if (!position) {
-      console.log('❌ Could not find target in JSON');
-      return;
+    let positions;
+    try {
+      positions = parseJsonWithPositions(model.getValue()).positions;
+    } catch {
+      return; // Syntax errors carry their own location
     }
 
-    editorRef.current.revealPositionInCenter(position);
-    editorRef.current.setPosition(position);
+    const location = getIssueLocation(positions, toIssuePath(pathOrParts));
+    if (!location) return;
+
+    const range = new monaco.Range(location.line, location.column, location.endLine, location.endColumn);
+    editorRef.current.revealRangeInCenter(range);
+    editorRef.current.setSelection(range);
     editorRef.current.focus();
-    
-    console.log('✨ Navigated to position:', position);
 
     if (highlightTimerRef.current) clearTimeout(highlightTimerRef.current);
     highlightDecorations.current = editorRef.current.deltaDecorations(
       highlightDecorations.current,
       [
         {
-          range: new monaco.Range(position.lineNumber, 1, position.lineNumber, 1),
+          range: new monaco.Range(location.line, 1, location.line, 1),
           options: {
             isWholeLine: true,
             className: 'monaco-line-highlight-glow',
@@ -164,7 +194,7 @@ export default function App() {
         highlightDecorations.current = editorRef.current.deltaDecorations(highlightDecorations.current, []);
       }
     }, 1200);
-  }, [monaco, findPathPositionInLines]);
+  }, [monaco]);
 
   const registerMonacoThemes = useCallback((monacoInstance) => {
     if (!monacoInstance || monacoThemesDefined.current) return;
@@ -268,8 +298,25 @@ export default function App() {
 
   useEffect(() => () => {
     if (highlightTimerRef.current) clearTimeout(highlightTimerRef.current);
+    validationWorkerRef.current?.terminate();
+    loadedAssetsRef.current?.urls.forEach(url => URL.revokeObjectURL(url));
   }, []);
 
+  // Schema, alias completions, hovers and quick fixes for token documents
+  useEffect(() => {
+    if (!monaco) return;
+    const language = registerTokenLanguage(monaco, {
+      getDocument: () => jsonDataRef.current,
+      getIssues: () => {
+        const result = validationResultRef.current;
+        if (!result) return [];
+        const activeFile = tokenSetsRef.current?.activeFile;
+        return [...result.errors, ...result.warnings].filter(issue => !activeFile || issue.set === activeFile);
+      }
+    });
+    return () => language.dispose();
+  }, [monaco]);
+
   // Auto-switch to Preview tab when validation is successful
   useEffect(() => {
     if (validationResult && validationResult.valid) {
@@ -277,63 +324,209 @@ export default function App() {
     }
   }, [validationResult]);
 
-  // Sync Monaco Markers
+  // Sync Monaco Markers (computed by the validation worker for a single document)
   useEffect(() => {
     if (monaco && editorRef.current && validationResult) {
       const model = editorRef.current.getModel();
-      const markers = [];
-      const text = model.getValue();
-      const lines = text.split('\n');
+      const markers = tokenSets
+        ? getIssueMarkers(validationResult, issue => issue.set === tokenSets.activeFile)
+        : editorMarkers;
+      const severities = {
+        error: monaco.MarkerSeverity.Error,
+        warning: monaco.MarkerSeverity.Warning,
+        info: monaco.MarkerSeverity.Info
+      };
+
+      monaco.editor.setModelMarkers(model, "dtcg-validator", markers.map(marker => ({ ...marker, severity: severities[marker.severity] })));
+    }
+  }, [monaco, validationResult, editorMarkers, tokenSets]); // Removed jsonText from deps to prevent infinite loop or over-triggering
+
+  // Accessibility mode turns on the contrast rules, which are off by default
+  const getValidatorConfig = () => {
+    const config = accessibilityRef.current
+      ? { rules: { 'color-contrast': 'error', 'apca-contrast': 'warn' } }
+      : {};
+    const assets = loadedAssetsRef.current;
+    return assets?.base ? { ...config, assets: { files: [...assets.urls.keys()], base: assets.base } } : config;
+  };
 
-      const allIssues = [...validationResult.errors, ...validationResult.warnings];
-      
-      allIssues.forEach(err => {
-        const position = findPathPositionInLines(err.path, lines);
-        if (!position) return;
-
-        const pathParts = err.path.split('.').filter(p => p !== '$');
-        const targetPart = pathParts[pathParts.length - 1] || '$value';
-
-        markers.push({
-          startLineNumber: position.lineNumber,
-          startColumn: position.column,
-          endLineNumber: position.lineNumber,
-          endColumn: position.column + targetPart.length + 2,
-          message: `${err.message}${err.hint ? `\n\nHint: ${err.hint}` : ''}`,
-          severity: validationResult.errors.includes(err) ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning
-        });
-      });
-
-      monaco.editor.setModelMarkers(model, "dtcg-validator", markers);
+  // Each batch file resolves its asset paths from its own folder, see validateBatch
+  const getBatchConfig = () => {
+    const assets = loadedAssetsRef.current;
+    return { ...getValidatorConfig(), ...(assets && { assets: { files: [...assets.urls.keys()] } }) };
+  };
+
+  const setAssets = (assets) => {
+    const previous = loadedAssetsRef.current;
+    if (previous && previous.urls !== assets?.urls) {
+      previous.urls.forEach(url => URL.revokeObjectURL(url));
     }
-  }, [monaco, validationResult, findPathPositionInLines]); // Removed jsonText from deps to prevent infinite loop or over-triggering
+    loadedAssetsRef.current = assets;
+    setLoadedAssets(assets);
+  };
 
-  const validateJson = (text) => {
-    if (!text.trim()) {
-      setJsonData(null);
-      setValidationResult(null);
+  const handleToggleAccessibility = () => {
+    accessibilityRef.current = !accessibilityRef.current;
+    setAccessibilityMode(accessibilityRef.current);
+    validateJson(jsonText);
+  };
+
+  // Validate every theme of a multi-file token set workspace and show the active one
+  const applyTokenSets = (workspace) => {
+    tokenSetsRef.current = workspace;
+    setTokenSets(workspace);
+
+    const documents = {};
+    const positions = {};
+    for (const [name, text] of Object.entries(workspace.files)) {
+      try {
+        ({ value: documents[name], positions: positions[name] } = parseJsonWithPositions(text));
+      } catch {
+        // Show the syntax error of the set on its own, at its position
+        const result = new DTCGValidator().validateText(text);
+        setError(`${name}: ${result.errors[0].message}`);
+        setJsonData(null);
+        setValidationResult({ ...result, errors: result.errors.map(issue => ({ ...issue, set: name })) });
+        return;
+      }
+    }
+
+    const result = validateTokenSets(workspace.manifest, documents, getValidatorConfig());
+    const theme = result.themes.find(t => t.name === workspace.activeTheme) || result.themes[0];
+    setError(null);
+    setJsonData(theme?.document || null);
+    setValidationResult(addIssueLocations(getThemeResult(result, theme?.name), issue => positions[issue.set]));
+  };
+
+  const handleSelectSet = (name) => {
+    const workspace = { ...tokenSetsRef.current, activeFile: name };
+    setJsonText(workspace.files[name]);
+    applyTokenSets(workspace);
+  };
+
+  const handleSelectTheme = (name) => {
+    applyTokenSets({ ...tokenSetsRef.current, activeTheme: name });
+  };
+
+  const handleTokenSetFiles = async (fileList) => {
+    const files = {};
+    let manifest = null;
+
+    for (const file of Array.from(fileList)) {
+      const text = await file.text();
+      try {
+        const parsed = JSON.parse(text);
+        if (isTokenSetManifest(parsed)) {
+          manifest = parsed;
+          continue;
+        }
+      } catch {
+        // Invalid JSON is reported when the set is validated
+      }
+      files[file.name] = text;
+    }
+
+    const names = Object.keys(files);
+    if (names.length === 0) {
+      setError('No token set files selected');
       return;
     }
 
-    try {
-      const parsed = JSON.parse(text);
-      setJsonData(parsed);
-      setError(null);
+    manifest = manifest || inferTokenSetManifest(names);
+    const themes = Object.keys(manifest.themes || {});
+    const workspace = {
+      manifest,
+      files,
+      activeFile: names.find(name => manifest.sets.includes(name)) || names[0],
+      activeTheme: themes[0] || 'default'
+    };
 
-      const validator = new DTCGValidator();
-      const result = validator.validate(parsed);
-      setValidationResult(result);
+    setJsonText(files[workspace.activeFile]);
+    applyTokenSets(workspace);
+  };
+
+  const handleImportSelect = (format) => {
+    importFormatRef.current = format;
+    importInputRef.current?.click();
+  };
+
+  // Convert a Tokens Studio, Style Dictionary or Tailwind source into DTCG and load it
+  const handleImportFile = async (file) => {
+    try {
+      const source = JSON.parse(await file.text());
+      const result = importTokens(source, importFormatRef.current || undefined);
+
+      if (result.tokenSets) {
+        const { manifest, files } = result.tokenSets;
+        const names = Object.keys(files);
+        const workspace = {
+          manifest,
+          files,
+          activeFile: manifest.sets[0] || names[0],
+          activeTheme: Object.keys(manifest.themes || {})[0] || 'default'
+        };
+        setJsonText(files[workspace.activeFile]);
+        applyTokenSets(workspace);
+      } else {
+        clearTokenSets();
+        const text = JSON.stringify(result.document, null, 2);
+        setJsonText(text);
+        validateJson(text);
+      }
+      setImportResult(result);
     } catch (e) {
-      setError(e.message);
+      setImportResult({ error: `${file.name}: ${e.message}` });
+    }
+  };
+
+  const clearTokenSets = () => {
+    tokenSetsRef.current = null;
+    setTokenSets(null);
+  };
+
+  const getValidationWorker = () => {
+    if (!validationWorkerRef.current) validationWorkerRef.current = createValidationWorker();
+    return validationWorkerRef.current;
+  };
+
+  const validateJson = async (text) => {
+    if (tokenSetsRef.current) {
+      getValidationWorker().cancel();
+      const workspace = tokenSetsRef.current;
+      applyTokenSets({ ...workspace, files: { ...workspace.files, [workspace.activeFile]: text } });
+      return;
+    }
+
+    if (!text.trim()) {
+      getValidationWorker().cancel();
       setJsonData(null);
       setValidationResult(null);
+      return;
     }
+
+    let response;
+    try {
+      response = await getValidationWorker().validate(text, getValidatorConfig());
+    } catch (err) {
+      console.error('Validation failed', err);
+      return;
+    }
+    // Superseded by a newer edit, or the editor switched to token sets meanwhile
+    if (!response || tokenSetsRef.current) return;
+
+    const syntaxError = response.result.errors.find(issue => issue.code === 'DTCG_INVALID_JSON');
+    setError(syntaxError ? syntaxError.message : null);
+    setJsonData(response.document);
+    setEditorMarkers(response.markers);
+    setValidationResult(response.result);
   };
 
   const handleJsonChange = (text) => {
     if (text === undefined) return;
     setJsonText(text);
-    localStorage.setItem('brand-json-validator-content', text);
+    if (!tokenSetsRef.current) {
+      localStorage.setItem('brand-json-validator-content', text);
+    }
     
     // Debounced validation using ref
     if (timerRef.current) clearTimeout(timerRef.current);
@@ -357,16 +550,58 @@ export default function App() {
     }
   }, [monaco, registerMonacoThemes, theme]);
 
+  // A single JSON file opens in the editor; several files, folders or zips open the batch workspace
   const handleDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFileInput(e.dataTransfer.files[0]);
+    const files = e.dataTransfer.files;
+    if (!files?.length) return;
+
+    // Entries must be read while the drop event is being handled
+    const entries = [...e.dataTransfer.items].map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+    const isSingleJson = files.length === 1 && !entries[0]?.isDirectory && /\.json$/i.test(files[0].name);
+    if (isSingleJson) {
+      handleFileInput(files[0]);
+    } else {
+      handleBatchFiles(entries.length > 0 ? entries : [...files]);
+    }
+  };
+
+  // A single JSON file dropped with its logos and fonts opens in the editor, with the other files as its assets
+  const handleBatchFiles = async (items) => {
+    try {
+      const { documents, assets } = await collectBatchFiles(items);
+      if (documents.length === 0) {
+        setError('No JSON files found in the dropped items');
+        return;
+      }
+      setAssets(assets.length > 0
+        ? { urls: new Map(assets.map(({ file, blob }) => [file, URL.createObjectURL(blob)])), base: null }
+        : null);
+      if (documents.length === 1 && assets.length > 0) {
+        handleOpenBatchFile(documents[0]);
+        return;
+      }
+      setBatch(validateBatch(documents, getBatchConfig()));
+      setBatchOpen(true);
+    } catch (e) {
+      setError('Batch validation failed: ' + e.message);
     }
   };
 
+  const handleOpenBatchFile = (entry, issue) => {
+    setBatchOpen(false);
+    clearTokenSets();
+    if (loadedAssetsRef.current) setAssets({ ...loadedAssetsRef.current, base: entry.file });
+    setJsonText(entry.text);
+    validateJson(entry.text);
+    if (issue) setTimeout(() => handleRevealPath(issue.path), 0);
+  };
+
   const handleFileInput = (file) => {
+    clearTokenSets();
+    setAssets(null);
     const reader = new FileReader();
     reader.onload = (e) => {
       const text = e.target.result;
@@ -376,19 +611,92 @@ export default function App() {
     reader.readAsText(file);
   };
 
-  const handleExport = () => {
-    if (!jsonText) return;
-    const blob = new Blob([jsonText], { type: 'application/json' });
+  const downloadFile = (content, fileName, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = jsonData?.name ? `${jsonData.name.toLowerCase()}-brand.json` : 'brand.json';
+    a.download = fileName;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   };
 
+  const handleExport = () => {
+    if (!jsonText) return;
+    downloadFile(
+      jsonText,
+      jsonData?.name ? `${jsonData.name.toLowerCase()}-brand.json` : 'brand.json',
+      'application/json'
+    );
+  };
+
+  const handleExportTokens = (format) => {
+    if (!jsonData) return;
+    const baseName = jsonData.brand?.name || jsonData.name;
+    const { content, fileName, mimeType, skipped } = exportTokens(jsonData, format, {
+      fileName: baseName ? `${baseName.toLowerCase().replace(/\s+/g, '-')}-tokens` : 'tokens'
+    });
+    downloadFile(content, fileName, mimeType);
+    if (skipped.length > 0) setExportResult({ format, fileName, skipped });
+  };
+
+  // Compare the document in the editor against a previous version of it
+  const handleCompareFile = async (file) => {
+    try {
+      const previous = JSON.parse(await file.text());
+      setDiffResult({ fileName: file.name, diff: diffTokens(previous, jsonData) });
+    } catch (e) {
+      setDiffResult({ error: `${file.name}: ${e.message}` });
+    }
+  };
+
+  const handleToggleFix = (id, approve) => {
+    setApprovedFixes(prev => {
+      const next = new Set(prev);
+      if (approve) next.add(id); else next.delete(id);
+      return next;
+    });
+  };
+
+  const handleToggleAllFixes = (approve) => {
+    setApprovedFixes(approve ? new Set(fixableIssues.map(fix => fix.id)) : new Set());
+  };
+
+  const handleApplyFixes = () => {
+    try {
+      const parsed = JSON.parse(jsonText);
+      const fixes = fixableIssues.map(fix => ({ ...fix, approved: approvedFixes.has(fix.id) }));
+      const fixedText = JSON.stringify(new DTCGValidator().applyApprovedFixes(parsed, fixes), null, 2);
+
+      setJsonText(fixedText);
+      setFixSuccess(true);
+      setTimeout(() => setFixSuccess(false), 2000);
+      validateJson(fixedText);
+    } catch (e) {
+      setError('Fix failed: ' + e.message);
+    }
+  };
+
+  // AI assist works on the document in the editor (the active set in token set mode)
+  const handleAssist = (issue) => {
+    try {
+      setAssistRequest({ issue, document: JSON.parse(jsonText), config: getValidatorConfig() });
+    } catch (e) {
+      setError('Explain failed: ' + e.message);
+    }
+  };
+
+  const handleApplyAssist = (document) => {
+    const fixedText = JSON.stringify(document, null, 2);
+    setAssistRequest(null);
+    setJsonText(fixedText);
+    setFixSuccess(true);
+    setTimeout(() => setFixSuccess(false), 2000);
+    validateJson(fixedText);
+  };
+
   const handleAutoFix = () => {
     try {
       const parsed = JSON.parse(jsonText);
@@ -467,6 +775,86 @@ export default function App() {
 
             <Separator orientation="vertical" className="h-8 mx-1" />
 
+            <Tooltip>
+              <TooltipTrigger asChild>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => (batch ? setBatchOpen(true) : batchInputRef.current?.click())}
+                  className="h-9 w-9 rounded-xl"
+                >
+                  <Files className="w-4 h-4" />
+                </Button>
+              </TooltipTrigger>
+              <TooltipContent>{batch ? 'Open Batch Results' : 'Batch Validate (multiple files, folder or zip)'}</TooltipContent>
+            </Tooltip>
+
+            <Tooltip>
+              <TooltipTrigger asChild>
+                <Button variant="ghost" size="icon" onClick={() => setsInputRef.current?.click()} className="h-9 w-9 rounded-xl">
+                  <Layers className="w-4 h-4" />
+                </Button>
+              </TooltipTrigger>
+              <TooltipContent>Load Token Sets (primitives, semantic, themes)</TooltipContent>
+            </Tooltip>
+
+            <Tooltip>
+              <TooltipTrigger asChild>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={handleToggleAccessibility}
+                  className={cn("h-9 w-9 rounded-xl", accessibilityMode && "bg-accent text-primary")}
+                  aria-pressed={accessibilityMode}
+                >
+                  <Contrast className="w-4 h-4" />
+                </Button>
+              </TooltipTrigger>
+              <TooltipContent>{accessibilityMode ? 'Disable' : 'Enable'} Accessibility Checks (WCAG / APCA contrast)</TooltipContent>
+            </Tooltip>
+
+            <Tooltip>
+              <TooltipTrigger asChild>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => compareInputRef.current?.click()}
+                  disabled={!jsonData}
+                  className="h-9 w-9 rounded-xl"
+                >
+                  <GitCompare className="w-4 h-4" />
+                </Button>
+              </TooltipTrigger>
+              <TooltipContent>Compare with a previous version (breaking changes, changelog)</TooltipContent>
+            </Tooltip>
+
+            <DropdownMenu>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <DropdownMenuTrigger asChild>
+                    <Button variant="ghost" size="icon" className="h-9 w-9 rounded-xl">
+                      <FileInput className="w-4 h-4" />
+                    </Button>
+                  </DropdownMenuTrigger>
+                </TooltipTrigger>
+                <TooltipContent>Import from Tokens Studio, Style Dictionary or Tailwind</TooltipContent>
+              </Tooltip>
+              <DropdownMenuContent align="end" className="w-56">
+                <DropdownMenuLabel>Import and convert to DTCG</DropdownMenuLabel>
+                <DropdownMenuItem onSelect={() => handleImportSelect(null)}>
+                  <Sparkles className="w-4 h-4" />
+                  Detect format
+                </DropdownMenuItem>
+                <DropdownMenuSeparator />
+                {Object.entries(IMPORT_FORMATS).map(([format, { label }]) => (
+                  <DropdownMenuItem key={format} onSelect={() => handleImportSelect(format)}>
+                    <FileJson className="w-4 h-4" />
+                    {label}
+                  </DropdownMenuItem>
+                ))}
+              </DropdownMenuContent>
+            </DropdownMenu>
+
             {!hasEditorContent ? (
               <Button
                 variant="brand"
@@ -480,7 +868,7 @@ export default function App() {
             ) : (
               <Tooltip>
                 <TooltipTrigger asChild>
-                  <Button variant="ghost" size="icon" onClick={() => { setJsonText(''); setJsonData(null); setValidationResult(null); if (fileInputRef.current) fileInputRef.current.value = ''; }} className="h-9 w-9 rounded-xl hover:bg-destructive/10 hover:text-destructive">
+                  <Button variant="ghost" size="icon" onClick={() => { clearTokenSets(); setJsonText(''); setJsonData(null); setValidationResult(null); if (fileInputRef.current) fileInputRef.current.value = ''; }} className="h-9 w-9 rounded-xl hover:bg-destructive/10 hover:text-destructive">
                     <Trash2 className="w-4 h-4" />
                   </Button>
                 </TooltipTrigger>
@@ -522,15 +910,38 @@ export default function App() {
             )}
 
             {hasEditorContent && (
-              <Button
-                variant="brand"
-                size="sm"
-                onClick={handleExport}
-                className="h-9 px-4 rounded-xl font-bold"
-              >
-                <Download className="w-4 h-4 mr-2" />
-                Export
-              </Button>
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button
+                    variant="brand"
+                    size="sm"
+                    className="h-9 px-4 rounded-xl font-bold"
+                  >
+                    <Download className="w-4 h-4 mr-2" />
+                    Export
+                    <ChevronDown className="w-3.5 h-3.5 ml-1 opacity-70" />
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end" className="w-56">
+                  <DropdownMenuItem onSelect={handleExport}>
+                    <FileJson className="w-4 h-4" />
+                    brand.json
+                  </DropdownMenuItem>
+                  <DropdownMenuSeparator />
+                  <DropdownMenuLabel>Resolved tokens</DropdownMenuLabel>
+                  {Object.entries(EXPORT_FORMATS).map(([format, { label, extension }]) => (
+                    <DropdownMenuItem
+                      key={format}
+                      disabled={!jsonData}
+                      onSelect={() => handleExportTokens(format)}
+                    >
+                      <Code2 className="w-4 h-4" />
+                      <span className="flex-1">{label}</span>
+                      <span className="text-[10px] font-mono text-muted-foreground">.{extension}</span>
+                    </DropdownMenuItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
             )}
           </div>
         </header>
@@ -560,9 +971,27 @@ export default function App() {
             )}
 
             <div className="h-12 border-b flex items-center justify-between px-6 bg-muted/30">
-              <div className="flex items-center gap-3">
-                <Code2 className="w-4 h-4 text-muted-foreground" />
-                <span className="text-xs font-bold uppercase tracking-wider text-muted-foreground">brand.json</span>
+              <div className="flex items-center gap-3 min-w-0">
+                <Code2 className="w-4 h-4 text-muted-foreground shrink-0" />
+                {tokenSets ? (
+                  <div className="flex items-center gap-1 overflow-x-auto">
+                    {Object.keys(tokenSets.files).map(name => (
+                      <button
+                        key={name}
+                        type="button"
+                        onClick={() => handleSelectSet(name)}
+                        className={cn(
+                          "px-2 py-1 rounded-md text-[10px] font-bold uppercase tracking-wider whitespace-nowrap transition-colors",
+                          name === tokenSets.activeFile ? "bg-background text-foreground shadow-sm" : "text-muted-foreground hover:text-foreground"
+                        )}
+                      >
+                        {name}
+                      </button>
+                    ))}
+                  </div>
+                ) : (
+                  <span className="text-xs font-bold uppercase tracking-wider text-muted-foreground">brand.json</span>
+                )}
               </div>
               {validationResult && (
                 <div className={cn(
@@ -611,14 +1040,30 @@ export default function App() {
           <aside className="w-96 h-full min-w-0 flex flex-col bg-card border rounded-xl overflow-hidden shadow-sm min-h-0">
             <Tabs value={tabValue} onValueChange={setTabValue} className="flex-1 flex flex-col min-h-0 h-full">
               <div className="p-4 shrink-0">
-                <TabsList className="w-full h-11 grid grid-cols-2 rounded-xl py-1 px-3 bg-muted/50">
-                  <TabsTrigger value="issues" className="rounded-lg gap-2 text-xs font-bold uppercase tracking-wider data-[state=active]:bg-background data-[state=active]:text-foreground data-[state=active]:shadow-sm">
+                <TabsList className="w-full h-11 flex rounded-xl py-1 px-3 bg-muted/50">
+                  <TabsTrigger value="issues" title="Inspection" className="group flex-1 data-[state=active]:flex-[2] rounded-lg gap-2 px-0 text-xs font-bold uppercase tracking-wider data-[state=active]:bg-background data-[state=active]:text-foreground data-[state=active]:shadow-sm">
                     <AlertCircle className="w-3.5 h-3.5" />
-                    Inspection
+                    <span className="hidden group-data-[state=active]:inline">Inspection</span>
+                    {validationResult && validationResult.errors.length + validationResult.warnings.length > 0 && (
+                      <span className="text-[9px] px-1.5 rounded-full bg-primary text-primary-foreground">
+                        {validationResult.errors.length + validationResult.warnings.length}
+                      </span>
+                    )}
                   </TabsTrigger>
-                  <TabsTrigger value="preview" className="rounded-lg gap-2 text-xs font-bold uppercase tracking-wider data-[state=active]:bg-background data-[state=active]:text-foreground data-[state=active]:shadow-sm">
+                  <TabsTrigger value="fixes" title="Fixes" className="group flex-1 data-[state=active]:flex-[2] rounded-lg gap-2 px-0 text-xs font-bold uppercase tracking-wider data-[state=active]:bg-background data-[state=active]:text-foreground data-[state=active]:shadow-sm">
+                    <Wand2 className="w-3.5 h-3.5" />
+                    <span className="hidden group-data-[state=active]:inline">Fixes</span>
+                    {fixableIssues.length > 0 && (
+                      <span className="text-[9px] px-1.5 rounded-full bg-primary text-primary-foreground">{fixableIssues.length}</span>
+                    )}
+                  </TabsTrigger>
+                  <TabsTrigger value="preview" title="Preview" className="group flex-1 data-[state=active]:flex-[2] rounded-lg gap-2 px-0 text-xs font-bold uppercase tracking-wider data-[state=active]:bg-background data-[state=active]:text-foreground data-[state=active]:shadow-sm">
                     <LayoutPanelLeft className="w-3.5 h-3.5" />
-                    Preview
+                    <span className="hidden group-data-[state=active]:inline">Preview</span>
+                  </TabsTrigger>
+                  <TabsTrigger value="insights" title="Insights" className="group flex-1 data-[state=active]:flex-[2] rounded-lg gap-2 px-0 text-xs font-bold uppercase tracking-wider data-[state=active]:bg-background data-[state=active]:text-foreground data-[state=active]:shadow-sm">
+                    <BarChart3 className="w-3.5 h-3.5" />
+                    <span className="hidden group-data-[state=active]:inline">Insights</span>
                   </TabsTrigger>
                 </TabsList>
               </div>
@@ -633,42 +1078,40 @@ export default function App() {
                         </div>
                         <p className="text-xs font-bold text-muted-foreground uppercase tracking-widest">Awaiting Input</p>
                       </div>
-                    ) : validationResult.valid ? (
-                      <div className="flex flex-col items-center py-12 text-center gap-3">
-                        <div className="w-20 h-20 bg-green-500/10 rounded-full flex items-center justify-center border border-green-500/20">
-                          <CheckCircle2 className="w-10 h-10 text-green-500" />
-                        </div>
-                        <h3 className="text-lg font-bold">Perfect Structure</h3>
-                        <p className="text-sm text-muted-foreground">Tokens are ready for production.</p>
-                        <Button variant="outline" size="sm" className="mt-1 rounded-xl" onClick={() => setTabValue('preview')}>
-                          Take a look →
-                        </Button>
-                      </div>
                     ) : (
-                      <div className="space-y-3">
-                        {validationResult.errors.map((err, i) => (
-                          <div 
-                            key={i} 
-                            className="group p-4 rounded-xl border bg-muted/30 hover:bg-muted/50 transition-colors cursor-pointer"
-                            onClick={() => handleRevealPath(err.path)}
-                            title="Click to jump to location"
-                          >
-                            <div className="flex items-center justify-between mb-2">
-                              <span className="text-[10px] font-bold uppercase tracking-widest px-2 py-0.5 rounded-md bg-destructive text-destructive-foreground">Error</span>
-                              <code className="text-[10px] text-muted-foreground font-mono group-hover:text-primary transition-colors">
-                                {err.path}
-                              </code>
-                            </div>
-                            <p className="text-sm font-semibold leading-relaxed mb-3">{err.message}</p>
-                            {err.hint && (
-                              <div className="flex gap-2 p-3 rounded-xl bg-background border text-[11px] text-muted-foreground italic">
-                                <Sparkles className="w-4 h-4 text-primary shrink-0" />
-                                {err.hint}
-                              </div>
-                            )}
-                          </div>
-                        ))}
-                      </div>
+                      <IssuesPanel
+                        result={validationResult}
+                        onPreview={() => setTabValue('preview')}
+                        onAssist={handleAssist}
+                        canAssist={(issue) => issue.code !== 'DTCG_INVALID_JSON' && (!tokenSets || issue.set === tokenSets.activeFile)}
+                        onSelectIssue={(issue) => {
+                          if (tokenSets && issue.set && issue.set !== tokenSets.activeFile) {
+                            handleSelectSet(issue.set);
+                            setTimeout(() => handleRevealPath(issue.path), 0);
+                          } else {
+                            handleRevealPath(issue.path);
+                          }
+                        }}
+                      />
+                    )}
+                  </div>
+                </ScrollArea>
+              </TabsContent>
+
+              <TabsContent value="fixes" className="flex-1 min-h-0 min-w-0 mt-0 data-[state=active]:flex flex-col overflow-hidden h-full">
+                <ScrollArea className="flex-1 h-full min-w-0">
+                  <div className="p-4 pb-4">
+                    {!validationResult ? (
+                      <div className="text-center py-24 text-muted-foreground text-[10px] font-bold uppercase tracking-widest">Awaiting Input</div>
+                    ) : (
+                      <FixReview
+                        fixes={fixableIssues}
+                        approved={approvedFixes}
+                        onToggle={handleToggleFix}
+                        onToggleAll={handleToggleAllFixes}
+                        onApply={handleApplyFixes}
+                        onFocusPath={handleRevealPath}
+                      />
                     )}
                   </div>
                 </ScrollArea>
@@ -677,9 +1120,31 @@ export default function App() {
               <TabsContent value="preview" className="flex-1 min-h-0 min-w-0 mt-0 data-[state=active]:flex flex-col overflow-hidden h-full">
                 <ScrollArea className="flex-1 h-full min-w-0">
                   <div className="p-4 space-y-2 pb-4">
+                    {tokenSets && Object.keys(tokenSets.manifest.themes || {}).length > 0 && (
+                      <div className="flex flex-wrap items-center gap-1 pb-2">
+                        <span className="text-[10px] font-black uppercase tracking-widest text-muted-foreground mr-1">Theme</span>
+                        {Object.keys(tokenSets.manifest.themes).map(name => (
+                          <Button
+                            key={name}
+                            variant={name === tokenSets.activeTheme ? 'brand' : 'outline'}
+                            size="sm"
+                            className="h-7 rounded-lg text-[10px] font-bold uppercase tracking-wider"
+                            onClick={() => handleSelectTheme(name)}
+                          >
+                            {name}
+                          </Button>
+                        ))}
+                      </div>
+                    )}
+                    {jsonData?.brand && (
+                      <BrandCard json={jsonData} assets={loadedAssets} onFocusPath={handleRevealPath} />
+                    )}
+                    {accessibilityMode && jsonData && (
+                      <ContrastReport json={jsonData} onFocusPath={handleRevealPath} />
+                    )}
                     {jsonData ? (
                       Object.keys(jsonData).filter(k => !k.startsWith('$')).map(key => (
-                        <TokenPreview key={key} name={key} node={jsonData[key]} path={[key]} onFocusPath={handleRevealPath} />
+                        <TokenPreview key={key} name={key} node={jsonData[key]} path={[key]} assets={loadedAssets} resolved={previewTokens} onFocusPath={handleRevealPath} />
                       ))
                     ) : (
                       <div className="text-center py-24 text-muted-foreground text-[10px] font-bold uppercase tracking-widest">Visualizer Empty</div>
@@ -687,6 +1152,18 @@ export default function App() {
                   </div>
                 </ScrollArea>
               </TabsContent>
+
+              <TabsContent value="insights" className="flex-1 min-h-0 min-w-0 mt-0 data-[state=active]:flex flex-col overflow-hidden h-full">
+                <ScrollArea className="flex-1 h-full min-w-0">
+                  <div className="p-4 pb-4">
+                    {jsonData ? (
+                      <InsightsPanel json={jsonData} onFocusPath={handleRevealPath} />
+                    ) : (
+                      <div className="text-center py-24 text-muted-foreground text-[10px] font-bold uppercase tracking-widest">Awaiting Input</div>
+                    )}
+                  </div>
+                </ScrollArea>
+              </TabsContent>
             </Tabs>
 
             <div className="p-6 border-t bg-muted/20 flex items-center justify-center">
@@ -707,6 +1184,57 @@ export default function App() {
           className="hidden" 
           accept=".json" 
         />
+        <input
+          type="file"
+          ref={setsInputRef}
+          onChange={(e) => { if (e.target.files?.length) handleTokenSetFiles(e.target.files); e.target.value = ''; }}
+          className="hidden"
+          accept=".json"
+          multiple
+        />
+        <input
+          type="file"
+          ref={importInputRef}
+          onChange={(e) => { if (e.target.files?.[0]) handleImportFile(e.target.files[0]); e.target.value = ''; }}
+          className="hidden"
+          accept=".json"
+        />
+        <input
+          type="file"
+          ref={compareInputRef}
+          onChange={(e) => { if (e.target.files?.[0]) handleCompareFile(e.target.files[0]); e.target.value = ''; }}
+          className="hidden"
+          accept=".json"
+        />
+        <input
+          type="file"
+          ref={batchInputRef}
+          onChange={(e) => { if (e.target.files?.length) handleBatchFiles([...e.target.files]); e.target.value = ''; }}
+          className="hidden"
+          accept=".json,.zip,image/*,.woff,.woff2,.ttf,.otf"
+          multiple
+        />
+        <ImportReport result={importResult} onClose={() => setImportResult(null)} />
+        <ExportReport result={exportResult} onClose={() => setExportResult(null)} />
+        <TokenDiffReport
+          result={diffResult}
+          onClose={() => setDiffResult(null)}
+          onDownload={(content) => downloadFile(content, 'CHANGELOG.md', 'text/markdown')}
+        />
+        <BatchWorkspace
+          batch={batch}
+          open={batchOpen}
+          onClose={() => setBatchOpen(false)}
+          onFixAll={() => setBatch(fixBatch(batch, getBatchConfig()))}
+          onOpenFile={handleOpenBatchFile}
+          onAddFiles={() => batchInputRef.current?.click()}
+          onDownload={(zip) => downloadFile(zip, 'brand-validation.zip', 'application/zip')}
+        />
+        <AiAssist
+          request={assistRequest}
+          onApply={handleApplyAssist}
+          onClose={() => setAssistRequest(null)}
+        />
       </div>
     </TooltipProvider>
   );
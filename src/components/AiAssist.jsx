@@ -0,0 +1,170 @@
+import { useEffect, useState } from 'react';
+import { Dialog, DialogContent, DialogTitle, DialogDescription, DialogOverlay } from '@radix-ui/react-dialog';
+import { AlertCircle, CheckCircle2, KeyRound, Loader2, Sparkles } from 'lucide-react';
+import { Button } from './ui/button';
+import { AI_PROVIDERS, requestAssist } from '../lib/aiAssist';
+import { cn } from '../lib/utils';
+
+const PROVIDER_STORAGE_KEY = 'brand-json-validator-ai-provider';
+const GEMINI_KEY_STORAGE_KEY = 'brand-json-validator-gemini-key';
+
+function describeCheck(check) {
+  if (check.ok) return 'Re-validated: the patch fixes this issue without new errors.';
+  if (check.error) return `Not offered: ${check.error}.`;
+  if (!check.resolved) return 'Not offered: the validator still reports this issue after the patch.';
+  return `Not offered: the patch introduces ${check.introduced.length} new error(s), e.g. ${check.introduced[0].message}.`;
+}
+
+/**
+ * Explanation and proposed JSON Patch for one issue ({ issue, document, config })
+ * from the selected AI provider. The Gemini key is kept in this browser's
+ * localStorage only.
+ */
+export function AiAssist({ request, onApply, onClose }) {
+  const open = !!request;
+  const [providerId, setProviderId] = useState(() =>
+    localStorage.getItem(PROVIDER_STORAGE_KEY) || (localStorage.getItem(GEMINI_KEY_STORAGE_KEY) ? 'gemini' : 'mock'));
+  const [apiKey, setApiKey] = useState(() => localStorage.getItem(GEMINI_KEY_STORAGE_KEY) || '');
+  const [keyDraft, setKeyDraft] = useState('');
+  const [state, setState] = useState({ status: 'idle' });
+
+  const needsKey = AI_PROVIDERS[providerId].requiresKey && !apiKey;
+
+  useEffect(() => {
+    if (!request || needsKey) {
+      setState({ status: 'idle' });
+      return;
+    }
+
+    const controller = new AbortController();
+    setState({ status: 'loading' });
+    const provider = AI_PROVIDERS[providerId].create({ apiKey, model: import.meta.env.VITE_GEMINI_MODEL || undefined });
+    requestAssist(provider, request.issue, request.document, { config: request.config, signal: controller.signal })
+      .then(response => setState({ status: 'done', response }))
+      .catch(error => {
+        if (!controller.signal.aborted) setState({ status: 'error', error: error.message });
+      });
+    return () => controller.abort();
+  }, [request, providerId, apiKey, needsKey]);
+
+  const selectProvider = (id) => {
+    localStorage.setItem(PROVIDER_STORAGE_KEY, id);
+    setProviderId(id);
+  };
+
+  const saveKey = () => {
+    const key = keyDraft.trim();
+    if (!key) return;
+    localStorage.setItem(GEMINI_KEY_STORAGE_KEY, key);
+    setApiKey(key);
+    setKeyDraft('');
+  };
+
+  const forgetKey = () => {
+    localStorage.removeItem(GEMINI_KEY_STORAGE_KEY);
+    setApiKey('');
+  };
+
+  const response = state.response;
+
+  return (
+    <Dialog open={open} onOpenChange={(value) => !value && onClose()}>
+      <DialogOverlay className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 backdrop-blur-sm">
+        <DialogContent className="relative max-w-2xl w-full max-h-[80vh] flex flex-col rounded-xl p-6 bg-white dark:bg-zinc-900 shadow-2xl border">
+          <DialogTitle className="flex items-center gap-2 text-xl font-bold mb-1">
+            <Sparkles className="w-5 h-5 text-primary" />
+            Explain issue
+          </DialogTitle>
+          <DialogDescription className="mb-4 text-sm text-zinc-600 dark:text-zinc-300">
+            {request?.issue.message} <code className="font-mono text-xs text-muted-foreground">{request?.issue.path}</code>
+          </DialogDescription>
+
+          <div className="flex items-center gap-2 mb-4">
+            {Object.entries(AI_PROVIDERS).map(([id, { label }]) => (
+              <Button
+                key={id}
+                size="sm"
+                variant={id === providerId ? 'brand' : 'outline'}
+                onClick={() => selectProvider(id)}
+                className="rounded-lg"
+              >
+                {label}
+              </Button>
+            ))}
+            {AI_PROVIDERS[providerId].requiresKey && apiKey && (
+              <Button size="sm" variant="ghost" onClick={forgetKey} className="ml-auto text-xs">Forget key</Button>
+            )}
+          </div>
+
+          {needsKey && (
+            <div className="flex flex-col gap-2 p-4 rounded-xl border bg-muted/30 mb-4">
+              <label htmlFor="gemini-key" className="flex items-center gap-1.5 text-xs font-bold uppercase tracking-wider text-muted-foreground">
+                <KeyRound className="w-3.5 h-3.5" />
+                Gemini API key
+              </label>
+              <div className="flex gap-2">
+                <input
+                  id="gemini-key"
+                  type="password"
+                  value={keyDraft}
+                  onChange={(e) => setKeyDraft(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && saveKey()}
+                  placeholder="Paste your key"
+                  className="h-9 flex-1 rounded-lg border bg-background px-3 text-sm font-mono"
+                />
+                <Button size="sm" onClick={saveKey} disabled={!keyDraft.trim()} className="h-9">Save</Button>
+              </div>
+              <p className="text-[11px] text-muted-foreground">
+                Stored in this browser only. The issue and the token around it are sent to Google when you ask.
+              </p>
+            </div>
+          )}
+
+          <div className="max-h-[45vh] overflow-y-auto -mx-2 px-2">
+            {state.status === 'loading' && (
+              <div className="flex items-center gap-2 text-sm text-muted-foreground py-6">
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Asking {AI_PROVIDERS[providerId].label}...
+              </div>
+            )}
+            {state.status === 'error' && (
+              <div className="flex gap-2 p-3 rounded-xl border border-red-500/30 bg-red-500/5 text-sm text-red-600 dark:text-red-400">
+                <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" />
+                {state.error}
+              </div>
+            )}
+            {state.status === 'done' && (
+              <div className="space-y-4">
+                <p className="text-sm leading-relaxed">{response.explanation}</p>
+                {response.patch.length > 0 && (
+                  <div>
+                    <span className="text-[10px] font-bold uppercase tracking-widest text-muted-foreground">Proposed patch</span>
+                    <pre className="mt-1 p-2 rounded-lg bg-background border text-[10px] font-mono leading-4 overflow-x-auto">
+                      {JSON.stringify(response.patch, null, 2)}
+                    </pre>
+                  </div>
+                )}
+                <div className={cn('flex gap-2 text-xs', response.check.ok ? 'text-green-600 dark:text-green-400' : 'text-muted-foreground')}>
+                  {response.check.ok ? <CheckCircle2 className="w-4 h-4 shrink-0" /> : <AlertCircle className="w-4 h-4 shrink-0" />}
+                  {describeCheck(response.check)}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="flex gap-2 mt-4">
+            <Button variant="outline" onClick={onClose} className="flex-1">Close</Button>
+            <Button
+              variant="brand"
+              onClick={() => onApply(response.check.document)}
+              disabled={state.status !== 'done' || !response.check.ok}
+              className="flex-1"
+            >
+              Apply patch
+            </Button>
+          </div>
+        </DialogContent>
+      </DialogOverlay>
+    </Dialog>
+  );
+}
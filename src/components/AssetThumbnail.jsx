@@ -0,0 +1,60 @@
+import { useEffect, useId, useState } from 'react';
+import { FileQuestion, ImageOff } from 'lucide-react';
+import { cn } from '../lib/utils';
+
+/**
+ * Loads a font file under a private family name; null until it has loaded
+ */
+function useFontFace(src) {
+  const id = useId();
+  const [family, setFamily] = useState(null);
+
+  useEffect(() => {
+    setFamily(null);
+    if (!src || typeof FontFace === 'undefined') return;
+    const name = `asset-font-${id.replace(/[^\w-]/g, '')}`;
+    const face = new FontFace(name, `url(${JSON.stringify(src)})`);
+    let active = true;
+    face.load()
+      .then(loaded => {
+        if (!active) return;
+        document.fonts.add(loaded);
+        setFamily(name);
+      })
+      .catch(() => {});
+    return () => {
+      active = false;
+      document.fonts.delete(face);
+    };
+  }, [src, id]);
+
+  return family;
+}
+
+/**
+ * Preview of an image or font file: the image itself, or "Aa" set in the
+ * font. `src` is null when the file cannot be loaded (missing, not dropped
+ * with the document); broken images and fonts fall back to an icon.
+ */
+export function AssetThumbnail({ src, category, className }) {
+  const [failed, setFailed] = useState(false);
+  const family = useFontFace(category === 'font' ? src : null);
+
+  useEffect(() => setFailed(false), [src]);
+
+  if (category === 'font') {
+    return family ? (
+      <span className={cn('flex items-center justify-center text-base leading-none', className)} style={{ fontFamily: family }}>Aa</span>
+    ) : (
+      <span className={cn('flex items-center justify-center', className)}><FileQuestion className="w-4 h-4 text-muted-foreground" /></span>
+    );
+  }
+
+  return (
+    <span className={cn('flex items-center justify-center', className)}>
+      {src && !failed
+        ? <img src={src} alt="" className="max-w-full max-h-full object-contain" onError={() => setFailed(true)} />
+        : <ImageOff className="w-4 h-4 text-muted-foreground" />}
+    </span>
+  );
+}
@@ -0,0 +1,193 @@
+import { useState } from 'react';
+import { Dialog, DialogContent, DialogTitle, DialogDescription, DialogOverlay } from '@radix-ui/react-dialog';
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate';
+import { CheckCircle2, Download, FilePlus2, FileText, Wand2, XCircle } from 'lucide-react';
+import { Button } from './ui/button';
+import { ScrollArea } from './ui/scroll-area';
+import { IssuesPanel } from './IssuesPanel';
+import { formatHuman, formatJson, formatJunit } from '../lib/reporters';
+import { ASSET_TYPES } from '../lib/assets';
+import { cn } from '../lib/utils';
+
+const isHidden = name => /(^|\/)(__MACOSX|\.)/.test(name);
+const isJsonFile = name => /\.json$/i.test(name) && !isHidden(name);
+const isAssetFile = name => !isHidden(name) && !name.endsWith('/') && !/\.(json|zip)$/i.test(name);
+
+// Reports the zip export writes next to the documents
+const REPORTS = {
+  'validation-report.txt': formatHuman,
+  'validation-report.json': formatJson,
+  'validation-report.xml': formatJunit
+};
+
+function assetBlob(name, data) {
+  const extension = name.split('.').pop().toLowerCase();
+  return new Blob([data], { type: ASSET_TYPES[extension]?.mime || '' });
+}
+
+// "brand.json", then "brand (2).json", ...
+function uniqueName(name, taken) {
+  let candidate = name;
+  for (let n = 2; taken.has(candidate); n++) candidate = name.replace(/(\.[^./]+)?$/, ` (${n})$1`);
+  taken.add(candidate);
+  return candidate;
+}
+
+async function addFile(file, path, files) {
+  if (/\.zip$/i.test(path)) {
+    // Entries are listed under the archive's path, so archives with the same layout do not clash
+    const archive = unzipSync(new Uint8Array(await file.arrayBuffer()));
+    for (const [name, data] of Object.entries(archive)) {
+      if (isJsonFile(name)) files.documents.push({ file: `${path}/${name}`, text: strFromU8(data) });
+      else if (isAssetFile(name)) files.assets.push({ file: `${path}/${name}`, blob: assetBlob(name, data) });
+    }
+  } else if (isJsonFile(path)) {
+    files.documents.push({ file: path, text: await file.text() });
+  } else if (isAssetFile(path)) {
+    files.assets.push({ file: path, blob: file });
+  }
+}
+
+async function readEntry(entry, files) {
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    // readEntries returns directory contents in chunks until it yields an empty list
+    let chunk;
+    do {
+      chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      for (const child of chunk) await readEntry(child, files);
+    } while (chunk.length > 0);
+  } else {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    await addFile(file, entry.fullPath.replace(/^\//, ''), files);
+  }
+}
+
+/**
+ * Files from dropped folders (FileSystemEntry), picked files or zips:
+ * { documents: [{ file, text }], assets: [{ file, blob }] }, the JSON files
+ * sorted by path and every other file (logos, fonts) their asset paths may
+ * point at. Zip entries are listed under the archive's path ("acme.zip/brand.json")
+ * and documents are renamed where paths repeat.
+ */
+export async function collectBatchFiles(items) {
+  const files = { documents: [], assets: [] };
+  for (const item of items) {
+    if (typeof item.isDirectory === 'boolean') await readEntry(item, files);
+    else await addFile(item, item.webkitRelativePath || item.name, files);
+  }
+  files.documents.sort((a, b) => a.file.localeCompare(b.file));
+  // Files are told apart by name in the dashboard and the zip export
+  const taken = new Set(Object.keys(REPORTS));
+  for (const document of files.documents) document.file = uniqueName(document.file, taken);
+  return files;
+}
+
+function exportBatchZip(batch) {
+  const entries = batch.entries.map(({ file, result }) => ({ file, result }));
+  return zipSync({
+    ...Object.fromEntries(batch.entries.map(({ file, text }) => [file, strToU8(text)])),
+    ...Object.fromEntries(Object.entries(REPORTS).map(([file, format]) => [file, strToU8(format(entries))]))
+  });
+}
+
+/**
+ * Dashboard of a batch of brand files: per-file pass/fail and issue counts,
+ * drill-down into one file's issues, bulk fixes and a zip export
+ */
+export function BatchWorkspace({ batch, open, onClose, onFixAll, onOpenFile, onAddFiles, onDownload }) {
+  const [selected, setSelected] = useState(null);
+  const entry = batch?.entries.find(item => item.file === selected) || batch?.entries[0];
+  const summary = batch?.summary;
+
+  return (
+    <Dialog open={open && !!batch} onOpenChange={(value) => !value && onClose()}>
+      <DialogOverlay className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 backdrop-blur-sm">
+        <DialogContent className="relative max-w-5xl w-full h-[85vh] flex flex-col rounded-xl p-6 bg-white dark:bg-zinc-900 shadow-2xl border">
+          <DialogTitle className="text-xl font-bold mb-1">Batch validation</DialogTitle>
+          <DialogDescription className="mb-4 text-sm text-zinc-600 dark:text-zinc-300">
+            {batch?.fixed
+              ? `Fixed ${batch.fixed.length} of ${summary.files} files.`
+              : `${summary?.files} files validated.`}
+          </DialogDescription>
+
+          {summary && (
+            <div className="grid grid-cols-4 gap-2 mb-4">
+              {[['Passed', summary.passed, 'text-green-500'], ['Failed', summary.failed, 'text-red-500'], ['Errors', summary.errors, 'text-red-500'], ['Warnings', summary.warnings, 'text-amber-500']].map(([label, count, className]) => (
+                <div key={label} className="rounded-lg border p-2">
+                  <div className={cn('text-[10px] font-bold uppercase tracking-wider', className)}>{label}</div>
+                  <div className="text-2xl font-bold mt-1">{count}</div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex-1 min-h-0 grid grid-cols-[minmax(0,2fr)_minmax(0,3fr)] gap-4">
+            <ScrollArea className="h-full rounded-lg border">
+              <ul className="divide-y">
+                {batch?.entries.map(item => (
+                  <li key={item.file}>
+                    <button
+                      type="button"
+                      onClick={() => setSelected(item.file)}
+                      className={cn(
+                        'w-full flex items-center gap-2 px-3 py-2 text-left text-xs hover:bg-muted/50',
+                        item === entry && 'bg-muted'
+                      )}
+                    >
+                      {item.result.valid
+                        ? <CheckCircle2 className="w-4 h-4 shrink-0 text-green-500" />
+                        : <XCircle className="w-4 h-4 shrink-0 text-red-500" />}
+                      <span className="flex-1 truncate font-mono">{item.file}</span>
+                      {batch.fixed?.includes(item.file) && (
+                        <span className="text-[10px] font-bold uppercase tracking-wider text-primary">fixed</span>
+                      )}
+                      <span className="w-8 text-right font-bold text-red-500">{item.result.errors.length}</span>
+                      <span className="w-8 text-right font-bold text-amber-500">{item.result.warnings.length}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </ScrollArea>
+
+            <ScrollArea className="h-full">
+              {entry && (
+                <div className="pr-3">
+                  <div className="flex items-center justify-between gap-2 mb-3">
+                    <code className="text-xs font-mono truncate">{entry.file}</code>
+                    <Button size="sm" variant="outline" className="h-7 gap-1.5 text-xs" onClick={() => onOpenFile(entry)}>
+                      <FileText className="w-3.5 h-3.5" />
+                      Open in editor
+                    </Button>
+                  </div>
+                  <IssuesPanel
+                    key={entry.file}
+                    result={entry.result}
+                    onPreview={() => onOpenFile(entry)}
+                    onSelectIssue={(issue) => onOpenFile(entry, issue)}
+                  />
+                </div>
+              )}
+            </ScrollArea>
+          </div>
+
+          <div className="flex gap-2 mt-4">
+            <Button variant="outline" onClick={onAddFiles} className="gap-2">
+              <FilePlus2 className="w-4 h-4" />
+              Validate other files
+            </Button>
+            <Button variant="outline" onClick={onFixAll} className="gap-2">
+              <Wand2 className="w-4 h-4" />
+              Fix all files
+            </Button>
+            <Button variant="outline" onClick={() => onDownload(exportBatchZip(batch))} className="gap-2">
+              <Download className="w-4 h-4" />
+              Export zip
+            </Button>
+            <Button variant="brand" onClick={onClose} className="flex-1">Done</Button>
+          </div>
+        </DialogContent>
+      </DialogOverlay>
+    </Dialog>
+  );
+}
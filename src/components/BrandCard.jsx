@@ -0,0 +1,134 @@
+import { useMemo } from 'react';
+import { AlertCircle, ExternalLink, Globe } from 'lucide-react';
+import { BRAND_FIELDS, collectBrandAssets, validateBrandMetadata } from '../lib/brandMetadata';
+import { parseAssetReference, resolveAssetSource } from '../lib/assets';
+import { buildTokenIndex, resolveAlias } from '../lib/tokenTree';
+import { cn } from '../lib/utils';
+import { AssetThumbnail } from './AssetThumbnail';
+
+function AssetPreview({ asset, value, src, onFocusPath }) {
+  return (
+    <button
+      type="button"
+      onClick={() => onFocusPath(`brand${asset.path}`)}
+      className="flex flex-col items-center gap-1 p-2 rounded-lg border bg-background hover:bg-muted/50"
+      title={asset.value}
+    >
+      <AssetThumbnail src={src} category={parseAssetReference(value)?.category} className="w-16 h-12" />
+      <span className="text-[9px] font-bold uppercase tracking-wider text-muted-foreground">{asset.variant || asset.field}</span>
+    </button>
+  );
+}
+
+/**
+ * The brand block as a card: name, tagline, description, site, locale, logos
+ * and social handles, with fields that fail the brand metadata schema marked.
+ * Logos are loaded from the files dropped with the document (`assets`), else
+ * relative to siteUrl.
+ */
+export function BrandCard({ json, assets, onFocusPath }) {
+  const brand = json.brand;
+  const { problems, brandAssets, index } = useMemo(() => ({
+    problems: validateBrandMetadata(brand),
+    brandAssets: collectBrandAssets(brand),
+    index: buildTokenIndex(json)
+  }), [json, brand]);
+
+  if (typeof brand !== 'object' || brand === null) return null;
+
+  const fieldProblems = field => problems.filter(problem => problem.path === `.${field}` || problem.path.startsWith(`.${field}.`));
+  const details = ['legalName', 'siteTitle', 'locale'].filter(field => field in brand);
+  const social = brand.social && typeof brand.social === 'object' ? Object.entries(brand.social) : [];
+  const siteUrl = fieldProblems('siteUrl').length === 0 ? brand.siteUrl : null;
+
+  return (
+    <div className="space-y-2 pb-2">
+      <div className="flex items-center justify-between">
+        <span className="text-[10px] font-black uppercase tracking-widest text-muted-foreground">Brand</span>
+        {problems.length > 0 && (
+          <span className="flex items-center gap-1 text-[10px] font-bold uppercase tracking-widest text-amber-500">
+            <AlertCircle className="w-3 h-3" />
+            {problems.length} issue{problems.length === 1 ? '' : 's'}
+          </span>
+        )}
+      </div>
+
+      <div className="p-3 rounded-xl border bg-muted/30 space-y-3">
+        <div className="cursor-pointer" onClick={() => onFocusPath('brand.name')}>
+          <p className={cn('text-base font-bold', !brand.name && 'text-muted-foreground italic')}>{brand.name || 'Unnamed brand'}</p>
+          {brand.tagline && <p className="text-xs text-muted-foreground">{brand.tagline}</p>}
+        </div>
+
+        {brand.description && <p className="text-[11px] leading-relaxed">{brand.description}</p>}
+
+        {brand.siteUrl && (
+          <div className="flex items-center gap-1.5 text-[11px]">
+            <Globe className="w-3.5 h-3.5 text-muted-foreground shrink-0" />
+            {siteUrl ? (
+              <a href={siteUrl} target="_blank" rel="noreferrer" className="font-mono truncate text-primary hover:underline inline-flex items-center gap-1">
+                {siteUrl}
+                <ExternalLink className="w-3 h-3" />
+              </a>
+            ) : (
+              <span className="font-mono truncate text-destructive">{String(brand.siteUrl)}</span>
+            )}
+          </div>
+        )}
+
+        {details.length > 0 && (
+          <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-[11px]">
+            {details.map(field => (
+              <div key={field} className="contents cursor-pointer" onClick={() => onFocusPath(`brand.${field}`)}>
+                <dt className="text-muted-foreground">{BRAND_FIELDS[field].label}</dt>
+                <dd className={cn('truncate', fieldProblems(field).length > 0 && 'text-destructive')}>{String(brand[field])}</dd>
+              </div>
+            ))}
+          </dl>
+        )}
+
+        {brandAssets.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {brandAssets.map(asset => {
+              const value = asset.alias ? resolveAlias(index, asset.value).value : asset.value;
+              const src = resolveAssetSource(value, { urls: assets?.urls, base: assets?.base || '', siteUrl });
+              return <AssetPreview key={asset.path} asset={asset} value={value} src={src} onFocusPath={onFocusPath} />;
+            })}
+          </div>
+        )}
+
+        {social.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            {social.map(([network, handle]) => (
+              <button
+                key={network}
+                type="button"
+                onClick={() => onFocusPath(`brand.social.${network}`)}
+                className={cn(
+                  'px-1.5 py-0.5 rounded-md bg-background border text-[10px] font-mono hover:bg-muted',
+                  fieldProblems(`social.${network}`).length > 0 && 'border-destructive/50 text-destructive'
+                )}
+              >
+                {network}: {String(handle)}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {problems.length > 0 && (
+          <ul className="space-y-1 pt-2 border-t">
+            {problems.map(problem => (
+              <li
+                key={`${problem.code}${problem.path}`}
+                className="flex gap-1.5 text-[10px] text-muted-foreground cursor-pointer hover:text-foreground"
+                onClick={() => onFocusPath(`brand${problem.path}`)}
+              >
+                <AlertCircle className={cn('w-3 h-3 shrink-0 mt-px', problem.code === 'BRAND_UNKNOWN_FIELD' ? 'text-amber-500' : 'text-destructive')} />
+                {problem.message}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
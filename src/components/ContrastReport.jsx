@@ -0,0 +1,74 @@
+import { useMemo } from 'react';
+import { CheckCircle2, AlertCircle } from 'lucide-react';
+import { checkContrast } from '../lib/accessibility';
+import { parseColor, toHex } from '../lib/color';
+import { buildTokenIndex, getTokenValue, resolveAlias } from '../lib/tokenTree';
+import { cn } from '../lib/utils';
+
+function resolveCssColor(index, path) {
+  const token = index.tokens.get(path);
+  const resolution = resolveAlias(index, getTokenValue(token));
+  const color = parseColor(resolution.value);
+  return color ? toHex(color) : 'transparent';
+}
+
+/**
+ * Every foreground/background pair with its WCAG ratio and APCA Lc, as proof
+ * that text tokens meet their level on the intended surfaces
+ */
+export function ContrastReport({ json, level = 'AA', onFocusPath }) {
+  const { pairs, index } = useMemo(() => {
+    const tokenIndex = buildTokenIndex(json);
+    return { pairs: checkContrast(json, { level, index: tokenIndex }).pairs, index: tokenIndex };
+  }, [json, level]);
+
+  if (pairs.length === 0) {
+    return (
+      <div className="p-3 rounded-xl border bg-muted/30 text-[11px] text-muted-foreground">
+        No text/background pairs found. Name tokens like <code>ui.text.primary</code> and <code>ui.background</code>,
+        or declare pairs in <code>$extensions["com.pabliqe.brandjson"].contrast</code>.
+      </div>
+    );
+  }
+
+  const failing = pairs.filter(pair => !pair.passes).length;
+
+  return (
+    <div className="space-y-2 pb-2">
+      <div className="flex items-center justify-between">
+        <span className="text-[10px] font-black uppercase tracking-widest text-muted-foreground">Contrast</span>
+        <span className={cn('text-[10px] font-bold uppercase tracking-widest', failing ? 'text-destructive' : 'text-green-500')}>
+          {pairs.length - failing}/{pairs.length} pass
+        </span>
+      </div>
+      {pairs.map(pair => (
+        <div
+          key={`${pair.foreground}|${pair.background}`}
+          className="flex items-center gap-3 p-2 rounded-xl border bg-muted/30 cursor-pointer hover:bg-muted/50"
+          onClick={() => onFocusPath(pair.foreground)}
+          title="Click to jump to the foreground token"
+        >
+          <div
+            className="w-12 h-10 shrink-0 rounded-lg border flex items-center justify-center text-base font-bold"
+            style={{ color: resolveCssColor(index, pair.foreground), backgroundColor: resolveCssColor(index, pair.background) }}
+          >
+            Aa
+          </div>
+          <div className="flex-1 min-w-0">
+            <p className="text-[11px] font-semibold font-mono truncate">{pair.foreground}</p>
+            <p className="text-[10px] font-mono text-muted-foreground truncate">on {pair.background}</p>
+          </div>
+          <div className="text-right shrink-0">
+            <p className={cn('flex items-center justify-end gap-1 text-xs font-bold', pair.passes ? 'text-green-500' : 'text-destructive')}>
+              {pair.passes ? <CheckCircle2 className="w-3 h-3" /> : <AlertCircle className="w-3 h-3" />}
+              {pair.ratio}:1
+            </p>
+            <p className="text-[10px] text-muted-foreground">
+              {pair.level}{pair.size === 'large' ? ' large' : ''} · Lc {Math.abs(pair.apca)}
+            </p>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
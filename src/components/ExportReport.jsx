@@ -0,0 +1,46 @@
+import { Dialog, DialogContent, DialogTitle, DialogDescription, DialogOverlay } from '@radix-ui/react-dialog';
+import { AlertCircle } from 'lucide-react';
+import { Button } from './ui/button';
+import { ScrollArea } from './ui/scroll-area';
+import { EXPORT_FORMATS } from '../lib/exporters';
+
+/**
+ * Tokens left out of an export (unresolved aliases, malformed values,
+ * colliding names), shown after the file is downloaded
+ */
+export function ExportReport({ result, onClose }) {
+  const open = !!result;
+  const skipped = result?.skipped || [];
+
+  return (
+    <Dialog open={open} onOpenChange={(value) => !value && onClose()}>
+      <DialogOverlay className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 backdrop-blur-sm">
+        <DialogContent className="relative max-w-2xl w-full max-h-[80vh] flex flex-col rounded-xl p-6 bg-white dark:bg-zinc-900 shadow-2xl border">
+          <DialogTitle className="text-xl font-bold mb-1">
+            {EXPORT_FORMATS[result?.format]?.label || 'Token'} export incomplete
+          </DialogTitle>
+          <DialogDescription className="mb-4 text-sm text-zinc-600 dark:text-zinc-300">
+            {result?.fileName} is missing {skipped.length} token{skipped.length === 1 ? '' : 's'}. Fix them in the editor and export again.
+          </DialogDescription>
+
+          <ScrollArea className="h-[40vh] -mx-2 px-2">
+            <h4 className="flex items-center gap-1.5 text-xs font-bold uppercase tracking-wider mb-2 text-red-500">
+              <AlertCircle className="w-3.5 h-3.5" />
+              Skipped
+            </h4>
+            <ul className="space-y-1">
+              {skipped.map((item, idx) => (
+                <li key={idx} className="text-xs flex gap-2">
+                  <code className="font-mono text-muted-foreground shrink-0">{item.path}</code>
+                  <span>{item.reason}</span>
+                </li>
+              ))}
+            </ul>
+          </ScrollArea>
+
+          <Button variant="brand" onClick={onClose} className="w-full mt-4">Done</Button>
+        </DialogContent>
+      </DialogOverlay>
+    </Dialog>
+  );
+}
@@ -0,0 +1,147 @@
+import { Check, X, Wand2, CheckCircle2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { cn } from '../lib/utils';
+
+const FIX_LABELS = {
+  'add-type': 'Add $type',
+  'rename-keys': 'Rename keys',
+  'flatten': 'Flatten'
+};
+
+/**
+ * Line diff (LCS) of two JSON snapshots, returned as aligned side-by-side rows
+ */
+function diffRows(before, after) {
+  const left = JSON.stringify(before, null, 2).split('\n');
+  const right = JSON.stringify(after, null, 2).split('\n');
+  const lcs = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      lcs[i][j] = left[i] === right[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length || j < right.length) {
+    if (i < left.length && j < right.length && left[i] === right[j]) {
+      rows.push({ left: left[i++], right: right[j++], changed: false });
+    } else if (j < right.length && (i === left.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      rows.push({ left: null, right: right[j++], changed: true });
+    } else {
+      rows.push({ left: left[i++], right: null, changed: true });
+    }
+  }
+  return rows;
+}
+
+function FixDiff({ before, after }) {
+  const rows = diffRows(before, after);
+
+  return (
+    <div className="grid grid-cols-2 rounded-lg border overflow-hidden text-[10px] font-mono leading-4">
+      {['Before', 'After'].map(label => (
+        <div key={label} className="px-2 py-1 bg-muted/60 font-sans font-bold uppercase tracking-widest text-muted-foreground border-b">
+          {label}
+        </div>
+      ))}
+      {rows.map((row, idx) => (
+        <div key={idx} className="contents">
+          <pre className={cn('px-2 whitespace-pre overflow-hidden text-ellipsis', row.changed && row.left !== null && 'bg-red-500/10 text-red-600 dark:text-red-400')}>
+            {row.left ?? ' '}
+          </pre>
+          <pre className={cn('px-2 whitespace-pre overflow-hidden text-ellipsis border-l', row.changed && row.right !== null && 'bg-green-500/10 text-green-700 dark:text-green-400')}>
+            {row.right ?? ' '}
+          </pre>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Review panel for DTCGValidator.getFixableIssues(): approve or reject each
+ * fix individually, then apply only the approved ones
+ */
+export function FixReview({ fixes, approved, onToggle, onToggleAll, onApply, onFocusPath }) {
+  if (fixes.length === 0) {
+    return (
+      <div className="flex flex-col items-center py-12 text-center gap-3">
+        <div className="w-20 h-20 bg-green-500/10 rounded-full flex items-center justify-center border border-green-500/20">
+          <CheckCircle2 className="w-10 h-10 text-green-500" />
+        </div>
+        <h3 className="text-lg font-bold">Nothing to Fix</h3>
+        <p className="text-sm text-muted-foreground">No automatic fixes are proposed for this document.</p>
+      </div>
+    );
+  }
+
+  const approvedCount = fixes.filter(fix => approved.has(fix.id)).length;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-[10px] font-black uppercase tracking-widest text-muted-foreground">
+          {approvedCount} of {fixes.length} approved
+        </span>
+        <div className="flex gap-1">
+          <Button variant="ghost" size="sm" className="h-7 rounded-lg text-[10px] font-bold uppercase" onClick={() => onToggleAll(true)}>
+            All
+          </Button>
+          <Button variant="ghost" size="sm" className="h-7 rounded-lg text-[10px] font-bold uppercase" onClick={() => onToggleAll(false)}>
+            None
+          </Button>
+        </div>
+      </div>
+
+      <Button variant="brand" size="sm" className="w-full h-9 rounded-xl gap-2 font-bold" disabled={approvedCount === 0} onClick={onApply}>
+        <Wand2 className="w-4 h-4" />
+        Apply selected ({approvedCount})
+      </Button>
+
+      {fixes.map(fix => {
+        const isApproved = approved.has(fix.id);
+        return (
+          <div key={fix.id} className={cn('p-3 rounded-xl border transition-colors', isApproved ? 'bg-primary/5 border-primary/40' : 'bg-muted/30')}>
+            <div className="flex items-center justify-between gap-2 mb-2">
+              <span className="text-[10px] font-bold uppercase tracking-widest px-2 py-0.5 rounded-md border text-muted-foreground">
+                {FIX_LABELS[fix.type] || fix.type}
+              </span>
+              <code
+                className="text-[10px] text-muted-foreground font-mono truncate cursor-pointer hover:text-primary"
+                onClick={() => onFocusPath(fix.path)}
+                title="Click to jump to location"
+              >
+                {fix.path}
+              </code>
+            </div>
+            <p className="text-xs font-semibold leading-relaxed mb-2">{fix.description}</p>
+            <FixDiff before={fix.before} after={fix.after} />
+            <div className="grid grid-cols-2 gap-1 mt-2">
+              <Button
+                variant={isApproved ? 'brand' : 'outline'}
+                size="sm"
+                className="h-7 rounded-lg gap-1 text-[10px] font-bold uppercase"
+                onClick={() => onToggle(fix.id, true)}
+              >
+                <Check className="w-3 h-3" />
+                Approve
+              </Button>
+              <Button
+                variant={!isApproved ? 'secondary' : 'outline'}
+                size="sm"
+                className="h-7 rounded-lg gap-1 text-[10px] font-bold uppercase"
+                onClick={() => onToggle(fix.id, false)}
+              >
+                <X className="w-3 h-3" />
+                Reject
+              </Button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
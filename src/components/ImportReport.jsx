@@ -0,0 +1,73 @@
+import { Dialog, DialogContent, DialogTitle, DialogDescription, DialogOverlay } from '@radix-ui/react-dialog';
+import { CheckCircle2, AlertCircle, Info } from 'lucide-react';
+import { Button } from './ui/button';
+import { ScrollArea } from './ui/scroll-area';
+import { IMPORT_FORMATS } from '../lib/importers';
+import { cn } from '../lib/utils';
+
+const SECTIONS = [
+  { key: 'approximated', label: 'Approximated', icon: Info, className: 'text-amber-500' },
+  { key: 'dropped', label: 'Dropped', icon: AlertCircle, className: 'text-red-500' },
+  { key: 'translated', label: 'Translated', icon: CheckCircle2, className: 'text-green-500' }
+];
+
+/**
+ * Conversion report shown after importing Tokens Studio, Style Dictionary or Tailwind sources
+ */
+export function ImportReport({ result, onClose }) {
+  const open = !!result;
+  const report = result?.report;
+
+  return (
+    <Dialog open={open} onOpenChange={(value) => !value && onClose()}>
+      <DialogOverlay className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 backdrop-blur-sm">
+        <DialogContent className="relative max-w-2xl w-full max-h-[80vh] flex flex-col rounded-xl p-6 bg-white dark:bg-zinc-900 shadow-2xl border">
+          <DialogTitle className="text-xl font-bold mb-1">
+            {result?.error ? 'Import failed' : `Imported from ${IMPORT_FORMATS[result?.format]?.label || 'source'}`}
+          </DialogTitle>
+          <DialogDescription className="mb-4 text-sm text-zinc-600 dark:text-zinc-300">
+            {result?.error
+              ? result.error
+              : result?.tokenSets
+                ? `Loaded ${Object.keys(result.tokenSets.files).length} token sets and ${Object.keys(result.tokenSets.manifest.themes || {}).length} themes.`
+                : 'The converted DTCG document is now in the editor.'}
+          </DialogDescription>
+
+          {report && (
+            <>
+              <div className="grid grid-cols-3 gap-2 mb-4">
+                {SECTIONS.map(({ key, label, icon: Icon, className }) => (
+                  <div key={key} className="rounded-lg border p-3">
+                    <div className={cn('flex items-center gap-1.5 text-xs font-bold uppercase tracking-wider', className)}>
+                      <Icon className="w-3.5 h-3.5" />
+                      {label}
+                    </div>
+                    <div className="text-2xl font-bold mt-1">{report[key].length}</div>
+                  </div>
+                ))}
+              </div>
+
+              <ScrollArea className="h-[40vh] -mx-2 px-2">
+                {SECTIONS.filter(({ key }) => key !== 'translated' && report[key].length > 0).map(({ key, label, className }) => (
+                  <div key={key} className="mb-4">
+                    <h4 className={cn('text-xs font-bold uppercase tracking-wider mb-2', className)}>{label}</h4>
+                    <ul className="space-y-1">
+                      {report[key].map((item, idx) => (
+                        <li key={idx} className="text-xs flex gap-2">
+                          <code className="font-mono text-muted-foreground shrink-0">{item.path}</code>
+                          <span>{item.message}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </ScrollArea>
+            </>
+          )}
+
+          <Button variant="brand" onClick={onClose} className="w-full mt-4">Done</Button>
+        </DialogContent>
+      </DialogOverlay>
+    </Dialog>
+  );
+}
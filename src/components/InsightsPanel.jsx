@@ -0,0 +1,166 @@
+import { useMemo } from 'react';
+import { analyzeTokens } from '../lib/tokenInsights';
+import { cn } from '../lib/utils';
+
+const percent = ratio => `${Math.round(ratio * 100)}%`;
+
+function Section({ title, count, children }) {
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-[10px] font-black uppercase tracking-widest text-muted-foreground">{title}</span>
+        {count !== undefined && <span className="text-[10px] font-bold text-muted-foreground">{count}</span>}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function Empty({ children }) {
+  return <p className="p-3 rounded-xl border bg-muted/30 text-[11px] text-muted-foreground">{children}</p>;
+}
+
+function Counts({ counts }) {
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  const max = entries[0]?.[1] || 1;
+  return (
+    <div className="space-y-1">
+      {entries.map(([name, count]) => (
+        <div key={name} className="flex items-center gap-2 text-[11px]">
+          <span className="w-24 shrink-0 truncate font-mono" title={name}>{name}</span>
+          <div className="flex-1 h-1.5 rounded-full bg-muted overflow-hidden">
+            <div className="h-full rounded-full bg-primary" style={{ width: `${(count / max) * 100}%` }} />
+          </div>
+          <span className="w-8 text-right font-bold">{count}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function PathList({ paths, onFocusPath }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {paths.map(path => (
+        <button
+          key={path}
+          type="button"
+          onClick={() => onFocusPath(path)}
+          className="px-1.5 py-0.5 rounded-md bg-background border text-[10px] font-mono hover:bg-muted"
+          title="Click to jump to this token"
+        >
+          {path}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function Swatch({ color }) {
+  return <div className="w-6 h-6 shrink-0 rounded-md border" style={{ backgroundColor: color }} />;
+}
+
+/**
+ * Token statistics for trimming a document: counts, depth, alias usage,
+ * duplicates, near-duplicate colors, orphaned primitives and naming consistency
+ */
+export function InsightsPanel({ json, onFocusPath }) {
+  const insights = useMemo(() => analyzeTokens(json), [json]);
+
+  if (insights.total === 0) {
+    return <Empty>No tokens to analyze yet.</Empty>;
+  }
+
+  const { depth, aliases, duplicates, nearDuplicateColors, orphans, naming } = insights;
+
+  return (
+    <div className="space-y-6 pb-2">
+      <div className="grid grid-cols-2 gap-2">
+        {[
+          ['Tokens', insights.total],
+          ['Aliases', `${aliases.count} · ${percent(aliases.ratio)}`],
+          ['Max depth', depth.max],
+          ['Avg depth', depth.average.toFixed(1)]
+        ].map(([label, value]) => (
+          <div key={label} className="rounded-xl border bg-muted/30 p-2">
+            <div className="text-[10px] font-bold uppercase tracking-wider text-muted-foreground">{label}</div>
+            <div className="text-lg font-bold mt-0.5">{value}</div>
+          </div>
+        ))}
+      </div>
+
+      <Section title="By type">
+        <Counts counts={insights.byType} />
+      </Section>
+
+      <Section title="By group">
+        <Counts counts={insights.byGroup} />
+      </Section>
+
+      <Section title="Duplicate values" count={duplicates.length}>
+        {duplicates.length === 0 ? (
+          <Empty>No two literal tokens share a value.</Empty>
+        ) : duplicates.map(entry => (
+          <div key={`${entry.type}|${entry.paths[0]}`} className="p-2 rounded-xl border bg-muted/30 space-y-1.5">
+            <div className="flex items-center gap-2">
+              {entry.type === 'color' && <Swatch color={entry.value} />}
+              <code className="flex-1 min-w-0 truncate text-[11px] font-mono">
+                {typeof entry.value === 'string' ? entry.value : JSON.stringify(entry.value)}
+              </code>
+              <span className="text-[10px] text-muted-foreground">{entry.type || 'untyped'}</span>
+            </div>
+            <PathList paths={entry.paths} onFocusPath={onFocusPath} />
+          </div>
+        ))}
+      </Section>
+
+      <Section title="Near-duplicate colors" count={nearDuplicateColors.length}>
+        {nearDuplicateColors.length === 0 ? (
+          <Empty>No colors are perceptually close to each other.</Empty>
+        ) : nearDuplicateColors.map(pair => (
+          <div key={`${pair.a.value}|${pair.b.value}`} className="p-2 rounded-xl border bg-muted/30 space-y-1.5">
+            <div className="flex items-center gap-2">
+              <Swatch color={pair.a.value} />
+              <Swatch color={pair.b.value} />
+              <code className="flex-1 text-[11px] font-mono">{pair.a.value} / {pair.b.value}</code>
+              <span className="text-[10px] font-bold text-amber-500">ΔE {pair.deltaE}</span>
+            </div>
+            <PathList paths={[...pair.a.paths, ...pair.b.paths]} onFocusPath={onFocusPath} />
+          </div>
+        ))}
+      </Section>
+
+      <Section title="Orphaned primitives" count={orphans.length}>
+        {orphans.length === 0 ? (
+          <Empty>Every primitive in a referenced group is used by an alias.</Empty>
+        ) : (
+          <PathList paths={orphans} onFocusPath={onFocusPath} />
+        )}
+      </Section>
+
+      <Section title="Naming" count={naming.dominant ? `${naming.dominant} · ${percent(naming.consistency)}` : undefined}>
+        {naming.outliers.length === 0 ? (
+          <Empty>
+            {naming.dominant ? `All multi-word names use ${naming.dominant}.` : 'All names are single words.'}
+          </Empty>
+        ) : (
+          <div className="space-y-1">
+            {naming.outliers.map(outlier => (
+              <button
+                key={outlier.path}
+                type="button"
+                onClick={() => onFocusPath(outlier.path)}
+                className="w-full flex items-center justify-between gap-2 px-2 py-1 rounded-lg hover:bg-muted/50 text-left"
+              >
+                <code className="truncate text-[11px] font-mono">{outlier.path}</code>
+                <span className={cn('text-[10px] shrink-0', outlier.style === 'mixed' ? 'text-destructive' : 'text-amber-500')}>
+                  {outlier.style}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+      </Section>
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+import { useMemo, useState } from 'react';
+import { AlertCircle, AlertTriangle, CheckCircle2, Info, MessageCircleQuestion, Sparkles } from 'lucide-react';
+import { Button } from './ui/button';
+import { cn } from '../lib/utils';
+
+const SEVERITIES = [
+  { key: 'error', label: 'Errors', icon: AlertCircle, badge: 'bg-destructive text-destructive-foreground', text: 'text-destructive' },
+  { key: 'warning', label: 'Warnings', icon: AlertTriangle, badge: 'bg-amber-500 text-white', text: 'text-amber-500' },
+  { key: 'info', label: 'Structure', icon: Info, badge: 'bg-blue-500 text-white', text: 'text-blue-500' }
+];
+
+const STRUCTURE_RULE = 'structure';
+
+/**
+ * First segment of an issue path ("$.colors.primary.$value" -> "colors")
+ */
+function getIssueGroup(issue) {
+  return issue.path?.replace(/^\$\.?/, '').split(/[.[]/)[0] || '$';
+}
+
+function JsonBlock({ label, value }) {
+  return (
+    <div className="mt-2">
+      <span className="text-[10px] font-bold uppercase tracking-widest text-muted-foreground">{label}</span>
+      <pre className="mt-1 p-2 rounded-lg bg-background border text-[10px] font-mono leading-4 overflow-x-auto">
+        {JSON.stringify(value, null, 2)}
+      </pre>
+    </div>
+  );
+}
+
+function FilterSelect({ label, value, options, onChange }) {
+  return (
+    <label className="flex-1 min-w-0 flex flex-col gap-1">
+      <span className="text-[10px] font-black uppercase tracking-widest text-muted-foreground">{label}</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="h-8 w-full rounded-lg border bg-background px-2 text-xs font-medium"
+      >
+        <option value="">All</option>
+        {options.map(option => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * Errors, warnings and structure issues of a validation result, grouped by
+ * severity and filterable by severity, token group and rule.
+ * `canAssist(issue)` decides which errors and warnings offer an AI explanation.
+ */
+export function IssuesPanel({ result, onSelectIssue, onPreview, onAssist, canAssist = () => true }) {
+  const [hiddenSeverities, setHiddenSeverities] = useState(() => new Set());
+  const [groupFilter, setGroupFilter] = useState('');
+  const [ruleFilter, setRuleFilter] = useState('');
+
+  const issues = useMemo(() => [
+    ...result.errors.map(issue => ({ ...issue, severity: 'error' })),
+    ...result.warnings.map(issue => ({ ...issue, severity: 'warning' })),
+    ...(result.structureIssues || []).map(issue => ({ ...issue, severity: 'info', rule: issue.rule || STRUCTURE_RULE }))
+  ], [result]);
+
+  const groups = useMemo(() => [...new Set(issues.map(getIssueGroup))].sort(), [issues]);
+  const rules = useMemo(() => [...new Set(issues.map(issue => issue.rule).filter(Boolean))].sort(), [issues]);
+
+  if (issues.length === 0) {
+    return (
+      <div className="flex flex-col items-center py-12 text-center gap-3">
+        <div className="w-20 h-20 bg-green-500/10 rounded-full flex items-center justify-center border border-green-500/20">
+          <CheckCircle2 className="w-10 h-10 text-green-500" />
+        </div>
+        <h3 className="text-lg font-bold">Perfect Structure</h3>
+        <p className="text-sm text-muted-foreground">Tokens are ready for production.</p>
+        <Button variant="outline" size="sm" className="mt-1 rounded-xl" onClick={onPreview}>
+          Take a look →
+        </Button>
+      </div>
+    );
+  }
+
+  const matches = issue =>
+    (!groupFilter || getIssueGroup(issue) === groupFilter) &&
+    (!ruleFilter || issue.rule === ruleFilter);
+
+  const toggleSeverity = (key) => {
+    setHiddenSeverities(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key); else next.add(key);
+      return next;
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-1">
+        {SEVERITIES.map(({ key, label, icon: Icon, text }) => {
+          const count = issues.filter(issue => issue.severity === key).length;
+          return (
+            <button
+              key={key}
+              type="button"
+              onClick={() => toggleSeverity(key)}
+              className={cn(
+                'flex flex-col items-start p-2 rounded-lg border text-left transition-opacity',
+                hiddenSeverities.has(key) ? 'opacity-40' : 'bg-muted/30'
+              )}
+              title={hiddenSeverities.has(key) ? `Show ${label.toLowerCase()}` : `Hide ${label.toLowerCase()}`}
+            >
+              <span className={cn('flex items-center gap-1 text-[10px] font-black uppercase tracking-widest', text)}>
+                <Icon className="w-3 h-3" />
+                {label}
+              </span>
+              <span className="text-lg font-bold leading-tight">{count}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex gap-2">
+        <FilterSelect label="Group" value={groupFilter} options={groups} onChange={setGroupFilter} />
+        <FilterSelect label="Rule" value={ruleFilter} options={rules} onChange={setRuleFilter} />
+      </div>
+
+      {SEVERITIES.filter(({ key }) => !hiddenSeverities.has(key)).map(({ key, label, badge, text }) => {
+        const sectionIssues = issues.filter(issue => issue.severity === key && matches(issue));
+        if (sectionIssues.length === 0) return null;
+
+        return (
+          <section key={key} className="space-y-3">
+            <h4 className={cn('text-[10px] font-black uppercase tracking-widest', text)}>
+              {label} ({sectionIssues.length})
+            </h4>
+            {sectionIssues.map((issue, i) => (
+              <div
+                key={`${issue.code}-${issue.path}-${i}`}
+                className="group p-4 rounded-xl border bg-muted/30 hover:bg-muted/50 transition-colors cursor-pointer"
+                onClick={() => onSelectIssue(issue)}
+                title="Click to jump to location"
+              >
+                <div className="flex items-center justify-between gap-2 mb-2">
+                  <div className="flex items-center gap-1.5 shrink-0">
+                    <span className={cn('text-[10px] font-bold uppercase tracking-widest px-2 py-0.5 rounded-md', badge)}>
+                      {key === 'info' ? 'Info' : key === 'error' ? 'Error' : 'Warning'}
+                    </span>
+                    {issue.set && (
+                      <span className="text-[10px] font-bold px-2 py-0.5 rounded-md border text-muted-foreground">{issue.set}</span>
+                    )}
+                  </div>
+                  <code className="text-[10px] text-muted-foreground font-mono truncate group-hover:text-primary transition-colors">
+                    {issue.path}
+                  </code>
+                </div>
+                <p className="text-sm font-semibold leading-relaxed mb-1">{issue.message}</p>
+                {issue.rule && (
+                  <p className="text-[10px] font-mono text-muted-foreground mb-2">{issue.rule}{issue.code ? ` · ${issue.code}` : ''}</p>
+                )}
+                {onAssist && key !== 'info' && canAssist(issue) && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="h-7 px-2 mb-2 gap-1.5 text-[11px] text-muted-foreground hover:text-primary"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onAssist(issue);
+                    }}
+                  >
+                    <MessageCircleQuestion className="w-3.5 h-3.5" />
+                    Explain & propose fix
+                  </Button>
+                )}
+                {(issue.hint || issue.description) && (
+                  <div className="flex gap-2 p-3 rounded-xl bg-background border text-[11px] text-muted-foreground italic">
+                    <Sparkles className="w-4 h-4 text-primary shrink-0" />
+                    {issue.hint || issue.description}
+                  </div>
+                )}
+                {issue.suggestion && <p className="mt-2 text-[11px] text-muted-foreground">{issue.suggestion}</p>}
+                {issue.suggestedFix && <JsonBlock label="Suggested fix" value={issue.suggestedFix} />}
+                {issue.correctExample && <JsonBlock label="Correct structure" value={issue.correctExample} />}
+                {issue.flattenedStructure && <JsonBlock label="Flattened structure" value={issue.flattenedStructure} />}
+              </div>
+            ))}
+          </section>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import { useMemo } from 'react';
+import { Dialog, DialogContent, DialogTitle, DialogDescription, DialogOverlay } from '@radix-ui/react-dialog';
+import { AlertCircle, CheckCircle2, Download } from 'lucide-react';
+import { Button } from './ui/button';
+import { ScrollArea } from './ui/scroll-area';
+import { CHANGE_KINDS, formatChangelog } from '../lib/tokenDiff';
+import { cn } from '../lib/utils';
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function ChangeDetail({ change }) {
+  switch (change.kind) {
+    case 'renamed':
+      return <span className="text-muted-foreground">from <code className="font-mono">{change.from}</code></span>;
+    case 'retyped':
+      return <span className="text-muted-foreground">{change.from ?? 'untyped'} → {change.type ?? 'untyped'}</span>;
+    case 'changed':
+      return (
+        <span className="text-muted-foreground truncate">
+          <code className="font-mono">{formatValue(change.before)}</code> → <code className="font-mono">{formatValue(change.after)}</code>
+        </span>
+      );
+    case 'added':
+      return <code className="font-mono text-muted-foreground truncate">{formatValue(change.after)}</code>;
+    default:
+      return change.type ? <span className="text-muted-foreground">{change.type}</span> : null;
+  }
+}
+
+/**
+ * Changes between a previous version of the document and the one in the editor,
+ * split into breaking and non-breaking, with a downloadable changelog
+ */
+export function TokenDiffReport({ result, onClose, onDownload }) {
+  const open = !!result;
+  const diff = result?.diff;
+  const changelog = useMemo(
+    () => (diff ? formatChangelog(diff, { title: `Changes since ${result.fileName}` }) : ''),
+    [diff, result]
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={(value) => !value && onClose()}>
+      <DialogOverlay className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 backdrop-blur-sm">
+        <DialogContent className="relative max-w-2xl w-full max-h-[80vh] flex flex-col rounded-xl p-6 bg-white dark:bg-zinc-900 shadow-2xl border">
+          <DialogTitle className="text-xl font-bold mb-1">
+            {result?.error ? 'Compare failed' : 'Token changes'}
+          </DialogTitle>
+          <DialogDescription className="mb-4 text-sm text-zinc-600 dark:text-zinc-300">
+            {result?.error
+              ? result.error
+              : diff && diff.changes.length === 0
+                ? `No token changes since ${result.fileName}.`
+                : `Editor compared with ${result?.fileName}. Suggested version bump: ${diff?.summary.bump}.`}
+          </DialogDescription>
+
+          {diff && diff.changes.length > 0 && (
+            <>
+              <div className="grid grid-cols-5 gap-2 mb-4">
+                {Object.entries(CHANGE_KINDS).map(([kind, { label, breaking }]) => (
+                  <div key={kind} className="rounded-lg border p-2">
+                    <div className={cn('text-[10px] font-bold uppercase tracking-wider', breaking ? 'text-red-500' : 'text-green-500')}>
+                      {label}
+                    </div>
+                    <div className="text-2xl font-bold mt-1">{diff.summary[kind]}</div>
+                  </div>
+                ))}
+              </div>
+
+              <ScrollArea className="h-[40vh] -mx-2 px-2">
+                {[['Breaking', true, AlertCircle, 'text-red-500'], ['Non-breaking', false, CheckCircle2, 'text-green-500']].map(([heading, breaking, Icon, className]) => {
+                  const changes = diff.changes.filter(change => change.breaking === breaking);
+                  if (changes.length === 0) return null;
+                  return (
+                    <div key={heading} className="mb-4">
+                      <h4 className={cn('flex items-center gap-1.5 text-xs font-bold uppercase tracking-wider mb-2', className)}>
+                        <Icon className="w-3.5 h-3.5" />
+                        {heading} ({changes.length})
+                      </h4>
+                      <ul className="space-y-1">
+                        {changes.map(change => (
+                          <li key={`${change.kind}-${change.path}`} className="text-xs flex gap-2 min-w-0">
+                            <span className="shrink-0 w-24 text-[10px] font-bold uppercase tracking-wider text-muted-foreground">
+                              {CHANGE_KINDS[change.kind].label}
+                            </span>
+                            <code className="font-mono shrink-0">{change.path}</code>
+                            <ChangeDetail change={change} />
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  );
+                })}
+              </ScrollArea>
+            </>
+          )}
+
+          <div className="flex gap-2 mt-4">
+            {diff && diff.changes.length > 0 && (
+              <Button variant="outline" onClick={() => onDownload(changelog)} className="flex-1 gap-2">
+                <Download className="w-4 h-4" />
+                CHANGELOG.md
+              </Button>
+            )}
+            <Button variant="brand" onClick={onClose} className="flex-1">Done</Button>
+          </div>
+        </DialogContent>
+      </DialogOverlay>
+    </Dialog>
+  );
+}
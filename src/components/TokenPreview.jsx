@@ -1,30 +1,49 @@
 import { useState } from 'react';
 import { ChevronDown, ChevronRight, Type, Palette, Layout, Hash, Copy, Check } from 'lucide-react';
 import { cn } from '../lib/utils';
+import { colorObjectToCss } from '../lib/color';
+import { parseAssetReference, resolveAssetSource } from '../lib/assets';
+import { getDeprecation, isAliasValue } from '../lib/tokenTree';
+import { AssetThumbnail } from './AssetThumbnail';
+import { TokenSpecimen } from './TokenSpecimen';
 
-export function TokenPreview({ node, name, path = [], onFocusPath }) {
+function describeDeprecation(deprecated) {
+  if (!deprecated) return undefined;
+  return typeof deprecated === 'string' ? `Deprecated: ${deprecated}` : 'Deprecated';
+}
+
+/**
+ * Token tree preview. `deprecated` and `inheritedType` are the $deprecated
+ * and $type inherited from parent groups; deprecated tokens and groups are
+ * struck through. `assets` ({ urls, base }) are the files loaded with the
+ * document, for previewing asset tokens that reference them. `resolved` maps
+ * token paths to their collectExportTokens entries (type and CSS value with
+ * aliases resolved), from which specimens are drawn.
+ */
+export function TokenPreview({ node, name, path = [], onFocusPath, deprecated = false, inheritedType, assets, resolved }) {
   const [open, setOpen] = useState(true);
   const [copied, setCopied] = useState(false);
+  const isDeprecated = getDeprecation(node) ?? deprecated;
 
   // Is Token (leaf node)?
   if (node && node.hasOwnProperty('$value')) {
     const val = node.$value;
-    const type = node.$type || 'unknown';
+    const entry = resolved?.get(path.join('.'));
+    const type = entry?.type || node.$type || inheritedType || 'unknown';
     
     let preview = null;
-    let valueDisplay = typeof val === 'object' ? JSON.stringify(val) : String(val);
+    let valueDisplay = typeof val === 'object' ? entry?.css ?? JSON.stringify(val) : String(val);
+    if (isAliasValue(val) && entry) valueDisplay = `${val} → ${entry.css}`;
 
     // Handle color type
     if (type === 'color' || (typeof val === 'string' && (val.startsWith('#') || val.startsWith('hsl') || val.startsWith('rgb')))) {
       let colorValue = '#ffffff';
       
       if (typeof val === 'string') {
-        colorValue = val;
-      } else if (val?.colorSpace === 'srgb' && val?.channels) {
-        // Convert sRGB object back to hex for display
-        const { r, g, b } = val.channels;
-        const toHex = (n) => Math.round(n * 255).toString(16).padStart(2, '0');
-        colorValue = `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+        colorValue = entry?.css ?? val;
+      } else if (val?.components || val?.channels) {
+        // Serialize color objects (any color space) as CSS for display
+        colorValue = colorObjectToCss(val);
         valueDisplay = colorValue;
       } else if (val?.hex) {
         colorValue = val.hex;
@@ -36,15 +55,21 @@ export function TokenPreview({ node, name, path = [], onFocusPath }) {
           style={{ backgroundColor: colorValue }}
         />
       );
-      
-      if (typeof val === 'string') {
-        valueDisplay = val;
-      }
+    } else if (type === 'asset' && typeof val === 'string' && !isAliasValue(val)) {
+      preview = (
+        <AssetThumbnail
+          src={resolveAssetSource(val, { urls: assets?.urls, base: assets?.base || '' })}
+          category={parseAssetReference(val)?.category}
+          className="w-10 h-8"
+        />
+      );
+      // Data URIs are long; their MIME type says enough
+      if (val.startsWith('data:')) valueDisplay = `${val.slice(0, val.search(/[;,]/))}…`;
     } else if (type === 'fontFamily') {
       preview = <Type className="w-3.5 h-3.5 text-primary" />;
     } else if (type === 'dimension' || type === 'spacing') {
       preview = <Layout className="w-3.5 h-3.5 text-muted-foreground" />;
-      valueDisplay = typeof val === 'object' ? `${val.value}${val.unit}` : val;
+      if (!entry && typeof val === 'object') valueDisplay = `${val.value}${val.unit}`;
     } else {
       preview = <Hash className="w-3.5 h-3.5 text-muted-foreground" />;
     }
@@ -62,35 +87,47 @@ export function TokenPreview({ node, name, path = [], onFocusPath }) {
 
     return (
       <div
-        className="flex gap-2 items-center justify-between py-2 px-3 hover:bg-muted/50 group/token rounded-xl transition-all duration-200 border border-transparent hover:border-border/50 cursor-pointer"
+        className="py-2 px-3 hover:bg-muted/50 group/token rounded-xl transition-all duration-200 border border-transparent hover:border-border/50 cursor-pointer"
         onClick={() => onFocusPath?.(path)}
       >
-        <div className="flex flex-col min-w-0">
-          <span className="text-md font-bold text-foreground/80 group-hover/token:text-foreground">{name}</span>
-          <span className="text-[10px] text-muted-foreground font-mono truncate max-w-full">
-            {valueDisplay}
-          </span>
-        </div>
-        <div className="flex items-center gap-2">
-          <button
-            type="button"
-            onClick={handleCopy}
-            className="h-8 w-8 flex items-center justify-center rounded-lg border bg-background text-muted-foreground hover:text-foreground hover:border-foreground/40 transition-colors"
-            aria-label="Copy token value"
-          >
-            {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
-          </button>
-          <div className="flex-shrink-0 bg-background rounded-lg p-1.5 shadow-sm border">
-            {preview}
+        <div className="flex gap-2 items-center justify-between">
+          <div className="flex flex-col min-w-0">
+            <span
+              className={cn('text-md font-bold text-foreground/80 group-hover/token:text-foreground', isDeprecated && 'line-through decoration-2 opacity-60')}
+              title={describeDeprecation(isDeprecated)}
+            >
+              {name}
+            </span>
+            <span className="text-[10px] text-muted-foreground font-mono truncate max-w-full">
+              {valueDisplay}
+            </span>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="h-8 w-8 flex items-center justify-center rounded-lg border bg-background text-muted-foreground hover:text-foreground hover:border-foreground/40 transition-colors"
+              aria-label="Copy token value"
+            >
+              {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+            </button>
+            <div className="flex-shrink-0 bg-background rounded-lg p-1.5 shadow-sm border">
+              {preview}
+            </div>
           </div>
         </div>
+        {entry && <TokenSpecimen type={entry.type} css={entry.css} fields={entry.fields} className="mt-2" />}
       </div>
     );
   }
 
   // Is Group?
   if (node && typeof node === 'object') {
-    const keys = Object.keys(node).filter(k => !k.startsWith('$'));
+    // A $root token is the group's own value and is listed first
+    const keys = [
+      ...(typeof node.$root === 'object' && node.$root !== null ? ['$root'] : []),
+      ...Object.keys(node).filter(k => !k.startsWith('$'))
+    ];
     if (keys.length === 0) return null;
 
     return (
@@ -105,14 +142,31 @@ export function TokenPreview({ node, name, path = [], onFocusPath }) {
           <div className="flex-shrink-0">
             {open ? <ChevronDown className="w-3 h-3 text-muted-foreground" /> : <ChevronRight className="w-3 h-3 text-muted-foreground" />}
           </div>
-          <span className="text-[10px] font-black uppercase tracking-widest text-muted-foreground group-hover/header:text-foreground">{name}</span>
+          <span
+            className={cn('text-[10px] font-black uppercase tracking-widest text-muted-foreground group-hover/header:text-foreground', isDeprecated && 'line-through')}
+            title={describeDeprecation(isDeprecated)}
+          >
+            {name}
+          </span>
           <div className="h-px flex-1 bg-border/50 ml-2" />
           <span className="text-[9px] font-bold text-muted-foreground/30 px-1.5">{keys.length}</span>
         </button>
         
         {open && (
           <div className="ml-4 pl-2 border-l border-border/50 space-y-1 mt-1 animate-in slide-in-from-left-1 duration-200">
-            {keys.map(k => <TokenPreview key={k} name={k} node={node[k]} path={[...path, k]} onFocusPath={onFocusPath} />)}
+            {keys.map(k => (
+              <TokenPreview
+                key={k}
+                name={k}
+                node={node[k]}
+                path={[...path, k]}
+                onFocusPath={onFocusPath}
+                deprecated={isDeprecated}
+                inheritedType={node.$type || inheritedType}
+                assets={assets}
+                resolved={resolved}
+              />
+            ))}
           </div>
         )}
       </div>
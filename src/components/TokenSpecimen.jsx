@@ -0,0 +1,115 @@
+import { cn } from '../lib/utils';
+
+const SAMPLE_TEXT = 'The quick brown fox jumps over the lazy dog';
+// Widest ruler, in CSS pixels; longer dimensions are drawn to scale within it
+const RULER_WIDTH = 240;
+const ROOT_FONT_SIZE = 16;
+
+/**
+ * A dimension in CSS pixels, or null for units that depend on the viewport
+ * or the container (%, vh, ch)
+ */
+function toPixels(css) {
+  const match = /^(-?\d*\.?\d+)(px|rem|em)?$/.exec(String(css).trim());
+  if (!match) return null;
+  return Math.abs(parseFloat(match[1])) * (match[2] === 'rem' || match[2] === 'em' ? ROOT_FONT_SIZE : 1);
+}
+
+function parseCubicBezier(css) {
+  const match = /^cubic-bezier\(([^)]+)\)$/.exec(css);
+  const points = match ? match[1].split(',').map(Number) : [];
+  return points.length === 4 && points.every(Number.isFinite) ? points : null;
+}
+
+function Ruler({ pixels, className }) {
+  const scale = pixels > RULER_WIDTH ? RULER_WIDTH / pixels : 1;
+  return (
+    <div className={cn('flex items-center gap-2 text-primary', className)}>
+      <div
+        className="h-3 border-x border-current shrink-0"
+        style={{
+          width: Math.max(pixels * scale, 1),
+          // A tick every 4 (scaled) pixels along the bottom edge
+          backgroundImage: `repeating-linear-gradient(to right, currentColor 0 1px, transparent 1px ${Math.max(4 * scale, 2)}px)`,
+          backgroundSize: '100% 40%',
+          backgroundPosition: 'bottom',
+          backgroundRepeat: 'no-repeat'
+        }}
+      />
+      {scale < 1 && <span className="text-[9px] font-bold text-muted-foreground">1:{Math.round(1 / scale * 10) / 10}</span>}
+    </div>
+  );
+}
+
+function BezierPlot({ points, label, className }) {
+  const [x1, y1, x2, y2] = points;
+  // y runs up; overshooting curves (y outside [0, 1]) stay visible in the padding
+  return (
+    <svg viewBox="-0.25 -0.25 1.5 1.5" className={cn('w-16 h-16 rounded-md border bg-background text-primary', className)} aria-label={label}>
+      <g transform="translate(0 1) scale(1 -1)" fill="none" stroke="currentColor">
+        <rect x="0" y="0" width="1" height="1" strokeWidth="0.01" strokeOpacity="0.25" />
+        <line x1="0" y1="0" x2={x1} y2={y1} strokeWidth="0.015" strokeOpacity="0.5" />
+        <line x1="1" y1="1" x2={x2} y2={y2} strokeWidth="0.015" strokeOpacity="0.5" />
+        <path d={`M0 0 C${x1} ${y1} ${x2} ${y2} 1 1`} strokeWidth="0.04" />
+        <circle cx={x1} cy={y1} r="0.035" fill="currentColor" stroke="none" />
+        <circle cx={x2} cy={y2} r="0.035" fill="currentColor" stroke="none" />
+      </g>
+    </svg>
+  );
+}
+
+/**
+ * Visual sample of a token, drawn from its CSS value (aliases already
+ * resolved, see collectExportTokens): sample text for typography, a card for
+ * shadows, bars for gradients, boxes for borders and radii, rulers for
+ * dimensions and a plot for cubicBezier curves. Null for other types.
+ */
+export function TokenSpecimen({ type, css, fields, className }) {
+  switch (type) {
+    case 'typography':
+      return (
+        <p
+          className={cn('max-h-32 overflow-hidden break-words', className)}
+          style={{
+            fontFamily: fields?.fontFamily,
+            fontSize: fields?.fontSize,
+            fontWeight: fields?.fontWeight,
+            fontStyle: fields?.fontStyle,
+            lineHeight: fields?.lineHeight,
+            letterSpacing: fields?.letterSpacing,
+            textTransform: fields?.textCase,
+            textDecoration: fields?.textDecoration
+          }}
+        >
+          {SAMPLE_TEXT}
+        </p>
+      );
+    case 'fontFamily':
+      return <p className={cn('text-lg truncate', className)} style={{ fontFamily: css }}>{SAMPLE_TEXT}</p>;
+    case 'shadow':
+      return (
+        <div className={cn('p-3 rounded-lg bg-muted/30', className)}>
+          <div className="h-10 rounded-lg bg-background" style={{ boxShadow: css }} />
+        </div>
+      );
+    case 'gradient':
+      return <div className={cn('h-6 rounded-md border', className)} style={{ background: css }} />;
+    case 'border':
+      return <div className={cn('h-10 rounded-md', className)} style={{ border: css }} />;
+    case 'borderRadius':
+      return <div className={cn('w-16 h-10 border-2 border-current text-primary', className)} style={{ borderRadius: css }} />;
+    case 'dimension':
+    case 'fontSize':
+    case 'letterSpacing':
+    case 'paragraphSpacing': {
+      const pixels = toPixels(css);
+      return pixels === null ? null : <Ruler pixels={pixels} className={className} />;
+    }
+    case 'cubicBezier': {
+      const points = parseCubicBezier(css);
+      return points ? <BezierPlot points={points} label={css} className={className} /> : null;
+    }
+    default:
+      return null;
+  }
+}
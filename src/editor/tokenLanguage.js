@@ -0,0 +1,210 @@
+/**
+ * Monaco support for DTCG documents: the token JSON Schema ($type and value
+ * completions, composite snippets), alias path completions inside "{...}",
+ * token hovers with the resolved value and a color swatch, and quick-fix
+ * code actions for fixable issues.
+ */
+
+import { parseColor, toHex } from '../lib/color.js';
+import { getIssueLocation, getPathAtPosition, parseJsonWithPositions } from '../lib/jsonPositions.js';
+import { QUICK_FIX_CODES, getQuickFix } from '../lib/quickFixes.js';
+import { TOKEN_SCHEMA, TOKEN_SCHEMA_URI } from '../lib/tokenSchema.js';
+import { buildTokenIndex, getTokenValue, isAliasValue, resolveAlias } from '../lib/tokenTree.js';
+
+function getTokenType(token, resolution) {
+  return token.$type || token.type || resolution?.type || null;
+}
+
+function formatInline(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function toSwatchHex(value) {
+  const color = parseColor(value);
+  return color ? toHex(color) : null;
+}
+
+/**
+ * Colors to show for a resolved value: the color itself, gradient stops, or
+ * the color field of shadows and borders. Nested aliases are followed.
+ */
+function collectSwatches(index, type, value) {
+  const resolve = item => (isAliasValue(item) ? resolveAlias(index, item).value : item);
+  let colors = [];
+
+  if (type === 'color') colors = [value];
+  else if (type === 'gradient') colors = (Array.isArray(value) ? value : value?.stops || []).map(stop => stop?.color);
+  else if (type === 'shadow') colors = (Array.isArray(value) ? value : [value]).map(layer => layer?.color);
+  else if (type === 'border') colors = [value?.color];
+
+  return colors.map(resolve).map(toSwatchHex).filter(Boolean);
+}
+
+/**
+ * The token containing an issue-style path ("$.colors.primary.$value[0]")
+ */
+function findTokenPath(index, path) {
+  const segments = path.replace(/^\$\.?/, '').split('.').map(segment => segment.replace(/(\[\d+\])+$/, ''));
+  for (let i = segments.length; i > 0; i--) {
+    const candidate = segments.slice(0, i).join('.');
+    if (index.tokens.has(candidate)) return candidate;
+  }
+  return null;
+}
+
+function describeToken(index, tokenPath) {
+  const token = index.tokens.get(tokenPath);
+  const value = getTokenValue(token);
+  const resolution = resolveAlias(index, value);
+  const type = getTokenType(token, resolution);
+  const lines = [`**${tokenPath}**${type ? ` · \`${type}\`` : ''}`];
+
+  if (resolution.status !== 'resolved') {
+    lines.push(`Alias \`${value}\` is ${resolution.status === 'group' ? 'a group' : resolution.status}`);
+  } else {
+    const swatches = collectSwatches(index, type, resolution.value)
+      .map(hex => `<span style="background-color:${hex};">&nbsp;&nbsp;&nbsp;&nbsp;</span>`)
+      .join(' ');
+    if (resolution.chain.length > 0) lines.push(`Resolves through ${resolution.chain.map(ref => `\`{${ref}}\``).join(' → ')}`);
+    if (resolution.value && typeof resolution.value === 'object') {
+      if (swatches) lines.push(swatches);
+      lines.push(['```json', JSON.stringify(resolution.value, null, 2), '```'].join('\n'));
+    } else {
+      lines.push(`${swatches ? `${swatches} ` : ''}\`${resolution.value}\``);
+    }
+  }
+
+  const deprecated = index.deprecated.get(tokenPath);
+  if (deprecated) lines.push(`**Deprecated**${typeof deprecated === 'string' ? `: ${deprecated}` : ''}`);
+  if (token.$description) lines.push(token.$description);
+  return lines.join('\n\n');
+}
+
+/**
+ * Register the schema and providers. `getDocument` returns the last parsed
+ * document, used for alias completions while the text is mid-edit;
+ * `getIssues` returns the issues of the document in the editor.
+ * Returns { dispose }.
+ */
+export function registerTokenLanguage(monaco, { getDocument, getIssues }) {
+  const jsonDefaults = monaco.json?.jsonDefaults ?? monaco.languages.json?.jsonDefaults;
+  jsonDefaults?.setDiagnosticsOptions({
+    validate: true,
+    enableSchemaRequest: false,
+    // Diagnostics come from DTCGValidator; the schema only drives completion and hover
+    schemaValidation: 'ignore',
+    schemas: [{ uri: TOKEN_SCHEMA_URI, fileMatch: ['*'], schema: TOKEN_SCHEMA }]
+  });
+
+  const completions = monaco.languages.registerCompletionItemProvider('json', {
+    triggerCharacters: ['{', '.'],
+    provideCompletionItems(model, position) {
+      const before = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+      const typed = before.match(/"\{([^{}"]*)$/);
+      const document = getDocument();
+      if (!typed || !document) return { suggestions: [] };
+
+      // Replace what was typed, and an existing closing brace, with the full reference
+      const after = model.getLineContent(position.lineNumber).slice(position.column - 1);
+      const closing = after.match(/^[^{}"]*\}/)?.[0].length ?? 0;
+      const range = {
+        startLineNumber: position.lineNumber,
+        startColumn: position.column - typed[1].length,
+        endLineNumber: position.lineNumber,
+        endColumn: position.column + closing
+      };
+
+      const index = buildTokenIndex(document);
+      const suggestions = [...index.tokens].map(([path, token]) => {
+        const resolution = resolveAlias(index, getTokenValue(token));
+        const type = getTokenType(token, resolution);
+        const swatch = type === 'color' && resolution.status === 'resolved' ? toSwatchHex(resolution.value) : null;
+        return {
+          label: path,
+          kind: swatch ? monaco.languages.CompletionItemKind.Color : monaco.languages.CompletionItemKind.Reference,
+          detail: [type, resolution.status === 'resolved' ? formatInline(resolution.value) : null].filter(Boolean).join(' · '),
+          documentation: swatch || undefined,
+          // Shown struck through, so deprecated targets are not picked by accident
+          tags: index.deprecated.has(path) ? [monaco.languages.CompletionItemTag.Deprecated] : undefined,
+          insertText: `${path}}`,
+          range
+        };
+      });
+
+      return { suggestions };
+    }
+  });
+
+  const hovers = monaco.languages.registerHoverProvider('json', {
+    provideHover(model, position) {
+      let parsed;
+      try {
+        parsed = parseJsonWithPositions(model.getValue());
+      } catch {
+        return null;
+      }
+
+      const path = getPathAtPosition(parsed.positions, position.lineNumber, position.column);
+      const index = buildTokenIndex(parsed.value);
+      const tokenPath = path && findTokenPath(index, path);
+      if (!tokenPath) return null;
+
+      return {
+        contents: [{ value: describeToken(index, tokenPath), supportHtml: true }]
+      };
+    }
+  });
+
+  // Issues are re-located in the current text, which may be ahead of the last validation run
+  const codeActions = monaco.languages.registerCodeActionProvider('json', {
+    provideCodeActions(model, range, context) {
+      const none = { actions: [], dispose() {} };
+      const issues = getIssues().filter(issue => QUICK_FIX_CODES.includes(issue.code));
+      if (issues.length === 0) return none;
+
+      const text = model.getValue();
+      let parsed;
+      try {
+        parsed = parseJsonWithPositions(text);
+      } catch {
+        return none;
+      }
+
+      const actions = [];
+      for (const issue of issues) {
+        const location = getIssueLocation(parsed.positions, issue.path);
+        if (!location?.exact || location.line > range.endLineNumber || location.endLine < range.startLineNumber) continue;
+
+        const fix = getQuickFix(issue, text, parsed.positions);
+        if (!fix) continue;
+        actions.push({
+          title: fix.title,
+          kind: 'quickfix',
+          isPreferred: true,
+          diagnostics: context.markers.filter(marker => marker.message.startsWith(issue.message)),
+          edit: {
+            edits: fix.edits.map(edit => ({
+              resource: model.uri,
+              versionId: model.getVersionId(),
+              textEdit: {
+                range: new monaco.Range(edit.range.line, edit.range.column, edit.range.endLine, edit.range.endColumn),
+                text: edit.text
+              }
+            }))
+          }
+        });
+      }
+
+      return { actions, dispose() {} };
+    }
+  }, { providedCodeActionKinds: ['quickfix'] });
+
+  return {
+    dispose() {
+      completions.dispose();
+      hovers.dispose();
+      codeActions.dispose();
+    }
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * Color contrast analysis
+ *
+ * Pairs foreground and background color tokens and measures them against
+ * WCAG 2.x (and optionally APCA) minimums. Pairs are either declared on the
+ * foreground token:
+ *   "$extensions": {
+ *     "com.pabliqe.brandjson": {
+ *       "contrast": { "backgrounds": ["{ui.background}"], "level": "AA", "size": "normal" }
+ *     }
+ *   }
+ * or inferred from names: "ui.text.primary" on "ui.background", "colors.on-primary" on "colors.primary".
+ */
+
+import { apcaContrast, contrastRatio, parseColor } from './color.js';
+import { buildTokenIndex, getTokenValue, isAliasValue, parseAlias, resolveAlias, walkTokens } from './tokenTree.js';
+
+export const CONTRAST_EXTENSION = 'com.pabliqe.brandjson';
+
+export const WCAG_MINIMUMS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+// APCA Lc minimums roughly equivalent to the WCAG levels (body text / large text)
+export const APCA_MINIMUMS = {
+  AA: { normal: 60, large: 45 },
+  AAA: { normal: 75, large: 60 }
+};
+
+const FOREGROUND_WORDS = ['text', 'foreground', 'fg', 'icon'];
+const BACKGROUND_WORDS = ['background', 'bg', 'surface', 'canvas'];
+// Variants that are only meant for the matching variant of the surface
+const VARIANT_WORDS = ['inverse', 'inverted'];
+// WCAG exempts inactive UI, so disabled text is not paired
+const EXEMPT_WORDS = ['disabled'];
+
+function splitWords(segment) {
+  return segment
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[\s\-_]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Color tokens of a document, with aliases resolved and values parsed
+ */
+function collectColorTokens(json, index) {
+  const colors = new Map();
+
+  walkTokens(json, (token, path) => {
+    const raw = getTokenValue(token);
+    if (raw === undefined) return;
+
+    let value = raw;
+    let type = token.$type || token.type || null;
+    if (isAliasValue(raw)) {
+      const resolution = resolveAlias(index, raw);
+      if (resolution.status !== 'resolved') return;
+      value = resolution.value;
+      type = type || resolution.type;
+    }
+
+    if (type && type !== 'color') return;
+    const color = parseColor(value);
+    if (color) colors.set(path.join('.'), { path, color, token });
+  });
+
+  return colors;
+}
+
+function getContrastExtension(token) {
+  return token.$extensions?.[CONTRAST_EXTENSION]?.contrast;
+}
+
+function toTokenPath(reference) {
+  return parseAlias(reference) ?? String(reference);
+}
+
+function inferBackgrounds(entry, colors) {
+  const { path } = entry;
+  const segmentWords = path.map(splitWords);
+  const allWords = segmentWords.flat();
+  if (allWords.some(word => EXEMPT_WORDS.includes(word))) return [];
+
+  const isVariant = allWords.some(word => VARIANT_WORDS.includes(word));
+  const results = [];
+
+  // "on-primary" is meant to sit on "primary"
+  const last = segmentWords[segmentWords.length - 1];
+  if (last[0] === 'on' && last.length > 1) {
+    const name = path[path.length - 1].replace(/^on[-_]?/i, '');
+    const sibling = [...path.slice(0, -1), name.charAt(0).toLowerCase() + name.slice(1)].join('.');
+    const exact = [...path.slice(0, -1), name].join('.');
+    const target = colors.has(exact) ? exact : sibling;
+    if (colors.has(target)) results.push(target);
+    return results;
+  }
+
+  const foregroundIndex = segmentWords.findIndex(words => words.some(word => FOREGROUND_WORDS.includes(word)));
+  if (foregroundIndex === -1) return [];
+
+  const prefix = path.slice(0, foregroundIndex).join('.');
+  for (const [candidatePath, candidate] of colors) {
+    if (prefix && !candidatePath.startsWith(`${prefix}.`)) continue;
+    const words = candidate.path.map(splitWords).flat();
+    if (!words.some(word => BACKGROUND_WORDS.includes(word))) continue;
+    if (words.some(word => FOREGROUND_WORDS.includes(word))) continue;
+    if (words.some(word => VARIANT_WORDS.includes(word)) !== isVariant) continue;
+    results.push(candidatePath);
+  }
+  return results;
+}
+
+/**
+ * List foreground/background pairs.
+ * Returns { pairs: [{ foreground, background, level, size, source }], invalid: [{ foreground, reference, reason }] }
+ */
+export function findContrastPairs(json, options = {}) {
+  const index = options.index || buildTokenIndex(json);
+  const colors = options.colors || collectColorTokens(json, index);
+  const defaultLevel = options.level || 'AA';
+  const pairs = [];
+  const invalid = [];
+
+  for (const [foreground, entry] of colors) {
+    const declared = getContrastExtension(entry.token);
+
+    if (declared) {
+      const references = [].concat(declared.backgrounds ?? declared.background ?? []);
+      const level = WCAG_MINIMUMS[declared.level] ? declared.level : defaultLevel;
+      const size = declared.size === 'large' ? 'large' : 'normal';
+
+      for (const reference of references) {
+        const background = toTokenPath(reference);
+        if (!colors.has(background)) {
+          invalid.push({
+            foreground,
+            reference,
+            reason: index.tokens.has(background) ? 'not a color token' : 'token does not exist'
+          });
+          continue;
+        }
+        pairs.push({ foreground, background, level, size, source: 'declared' });
+      }
+      continue;
+    }
+
+    for (const background of inferBackgrounds(entry, colors)) {
+      if (background === foreground) continue;
+      pairs.push({ foreground, background, level: defaultLevel, size: 'normal', source: 'inferred' });
+    }
+  }
+
+  return { pairs, invalid };
+}
+
+/**
+ * Measure every pair. Each pair gets { ratio, required, passes, apca, apcaRequired, apcaPasses }.
+ * options: { level: 'AA' | 'AAA' }
+ */
+export function checkContrast(json, options = {}) {
+  const index = options.index || buildTokenIndex(json);
+  const colors = collectColorTokens(json, index);
+  const { pairs, invalid } = findContrastPairs(json, { ...options, index, colors });
+
+  const measured = pairs.map(pair => {
+    const fg = colors.get(pair.foreground).color;
+    const bg = colors.get(pair.background).color;
+    const ratio = contrastRatio(fg, bg);
+    const apca = apcaContrast(fg, bg);
+    const required = WCAG_MINIMUMS[pair.level][pair.size];
+    const apcaRequired = APCA_MINIMUMS[pair.level][pair.size];
+
+    return {
+      ...pair,
+      ratio: Math.round(ratio * 100) / 100,
+      required,
+      passes: ratio >= required,
+      apca: Math.round(apca * 10) / 10,
+      apcaRequired,
+      apcaPasses: Math.abs(apca) >= apcaRequired
+    };
+  });
+
+  return { pairs: measured, invalid };
+}
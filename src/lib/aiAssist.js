@@ -0,0 +1,370 @@
+/**
+ * AI assist
+ *
+ * Plain-language explanations and fix proposals for a single issue, from a
+ * pluggable provider. A provider receives the issue, the token subtree around
+ * it and the matching spec excerpt, and answers { explanation, patch }, where
+ * patch is an RFC 6902 JSON Patch against the whole document. Proposals are
+ * applied to a copy and re-validated before they are offered.
+ */
+
+import { DTCGValidator, DTCG_SCHEMA_URL, VALID_TOKEN_TYPES } from './dtcgValidator.js';
+import { ISSUE_CODES } from './issueCodes.js';
+import { RULES, getRuleForCode } from './rules.js';
+import { isTokenNode } from './tokenTree.js';
+
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash';
+const GEMINI_ENDPOINT = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Condensed from the DTCG 2025.10 format, per rule
+const SPEC_EXCERPTS = {
+  'schema-version': 'A token file may declare "$schema" with the URL of the format version it follows, so tools know which rules apply.',
+  'group-structure': 'A token file is a JSON object of groups and tokens. Groups are objects that contain tokens or other groups; tokens are objects with a "$value". Names must not start with "$" and must not contain ".", "{" or "}".',
+  'token-value': 'A token is an object with a "$value" property. Properties starting with "$" are reserved by the format.',
+  'legacy-value-key': 'The value of a token is its "$value" property. Drafts before 2025.10 used "value" without the "$" prefix, which the format no longer recognizes.',
+  'legacy-type-key': 'The type of a token is its "$type" property. Drafts before 2025.10 used "type" without the "$" prefix, which the format no longer recognizes.',
+  'known-type': `"$type" must be one of the format's types: ${VALID_TOKEN_TYPES.join(', ')}.`,
+  'explicit-type': 'A token\'s type comes from its "$type", or from the "$type" of the closest parent group that declares one. Tools must not guess a type from the value.',
+  'dtcg-properties': 'Tokens and groups may have "$description" (a plain-text string), "$extensions" (an object of vendor data keyed by reverse domain name, e.g. "com.example.tool") and "$deprecated" (true, or a string explaining what to use instead).',
+  'extension-namespace': 'Keys of "$extensions" should use vendor-specific reverse domain notation, e.g. "com.example.tool", so data from different tools does not collide.',
+  'reserved-properties': 'Property names starting with "$" are reserved for the format: $value, $type, $description, $extensions and $deprecated on tokens; $type, $description, $extensions, $deprecated and $extends on groups. Tool-specific data belongs in $extensions.',
+  'deprecated-token': '"$deprecated": true, or a string explaining why and what to use instead, marks a token or group as deprecated. Tokens in a deprecated group are deprecated unless they set "$deprecated": false.',
+  'deprecated-alias': 'References to deprecated tokens should be moved to the replacement the deprecation message names before the token is removed.',
+  'group-extends': 'A group may declare "$extends": "{other.group}" to inherit every token and property of that group, overriding members it redefines. The target must be an existing group, and a group must not extend itself, its ancestors or descendants, or a group that extends it.',
+  'alias-resolution': 'An alias is a string "{group.token}" that references another token by its dot path from the document root. The target must exist and be a token, not a group, and alias chains must not be circular.',
+  'alias-type-match': 'An alias takes the type of the token it references, which must match the type expected where the alias is used.',
+  'value-format': 'Each type defines the shape of "$value": color objects { colorSpace, components, alpha?, hex? }; dimension { value, unit: "px" | "rem" }; duration { value, unit: "ms" | "s" }; fontWeight 1-1000 or a keyword; cubicBezier [x1, y1, x2, y2] with x in [0, 1]; and composite types (typography, shadow, border, strokeStyle, gradient, transition) whose fields each follow their own type.',
+  'color-components': 'A color is { colorSpace, components, alpha?, hex? }. "components" holds one number (or "none") per channel of the color space, and "alpha" is a number from 0 to 1.',
+  'dimension-units': 'A dimension is { value, unit } where unit is "px" or "rem".',
+  'brand-metadata': 'Not part of the DTCG format: this tool reads a "brand" block with name, legalName, tagline, description, siteTitle, siteUrl (absolute http(s) URL), locale (canonical BCP 47 tag such as "en-US"), logo and favicon (file paths, URLs or token aliases; logo may be an object of variants) and social (handles or profile URLs by network).',
+  'brand-known-fields': 'Not part of the DTCG format: the "brand" block only has the fields name, legalName, tagline, description, siteTitle, siteUrl, locale, logo, favicon and social; custom data belongs in brand.$extensions.',
+  'asset-type': 'An asset token\'s "$value" references a file: a path relative to the token file, a data URI or an http(s) URL. This tool accepts images (svg, png, jpg, gif, webp, avif, ico) and fonts (woff, woff2, ttf, otf) unless configured otherwise.',
+  'asset-files': 'An asset token\'s "$value" path is relative to the token file; a leading "/" refers to the site root. The file must be among those loaded with the document.',
+  'transition-timing-function': 'A transition\'s "timingFunction" is a cubicBezier value: [x1, y1, x2, y2] where x1 and x2 are between 0 and 1.'
+};
+
+function toPointer(segments) {
+  return segments.map(segment => `/${segment.replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * "$.colors.primary.$value[0]" -> "/colors/primary/$value/0"
+ */
+export function issuePathToPointer(path) {
+  const segments = [];
+  for (const part of String(path).replace(/^\$\.?/, '').split('.')) {
+    if (!part) continue;
+    const [name, ...indexes] = part.split('[');
+    if (name) segments.push(name);
+    for (const index of indexes) segments.push(index.replace(']', ''));
+  }
+  return toPointer(segments);
+}
+
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) throw new Error(`Invalid JSON Pointer "${pointer}"`);
+  return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// Patches come from model output: these would reach Object.prototype
+const UNSAFE_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Apply an RFC 6902 JSON Patch to a copy of a document
+ */
+export function applyJsonPatch(document, patch) {
+  if (!Array.isArray(patch)) throw new Error('Patch must be an array of operations');
+  let root = structuredClone(document);
+
+  const locate = (pointer) => {
+    const segments = parsePointer(pointer);
+    const unsafe = segments.find(segment => UNSAFE_SEGMENTS.has(segment));
+    if (unsafe) throw new Error(`Path "${pointer}" contains "${unsafe}"`);
+    const key = segments.pop();
+    let parent = root;
+    for (const segment of segments) {
+      if (parent === null || typeof parent !== 'object' || !Object.hasOwn(parent, segment)) {
+        throw new Error(`Path "${pointer}" does not exist`);
+      }
+      parent = parent[segment];
+    }
+    if (parent === null || typeof parent !== 'object') throw new Error(`Path "${pointer}" does not exist`);
+    return { parent, key };
+  };
+
+  const get = (pointer) => {
+    if (pointer === '') return root;
+    const { parent, key } = locate(pointer);
+    if (!Object.hasOwn(parent, key)) throw new Error(`Path "${pointer}" does not exist`);
+    return parent[key];
+  };
+
+  const add = (pointer, value) => {
+    if (pointer === '') {
+      root = value;
+      return;
+    }
+    const { parent, key } = locate(pointer);
+    if (Array.isArray(parent)) {
+      const index = key === '-' ? parent.length : Number(key);
+      if (!Number.isInteger(index) || index < 0 || index > parent.length) throw new Error(`Invalid array index in "${pointer}"`);
+      parent.splice(index, 0, value);
+    } else {
+      parent[key] = value;
+    }
+  };
+
+  const remove = (pointer) => {
+    const { parent, key } = locate(pointer);
+    if (!Object.hasOwn(parent, key)) throw new Error(`Path "${pointer}" does not exist`);
+    const value = parent[key];
+    if (Array.isArray(parent)) parent.splice(Number(key), 1); else delete parent[key];
+    return value;
+  };
+
+  patch.forEach((operation, i) => {
+    try {
+      switch (operation?.op) {
+        case 'add':
+          add(operation.path, structuredClone(operation.value));
+          break;
+        case 'remove':
+          remove(operation.path);
+          break;
+        case 'replace':
+          get(operation.path);
+          if (operation.path === '') root = structuredClone(operation.value);
+          else {
+            const { parent, key } = locate(operation.path);
+            parent[key] = structuredClone(operation.value);
+          }
+          break;
+        case 'move':
+          add(operation.path, remove(operation.from));
+          break;
+        case 'copy':
+          add(operation.path, structuredClone(get(operation.from)));
+          break;
+        case 'test':
+          if (JSON.stringify(get(operation.path)) !== JSON.stringify(operation.value)) throw new Error(`Test failed at "${operation.path}"`);
+          break;
+        default:
+          throw new Error(`Unknown operation "${operation?.op}"`);
+      }
+    } catch (error) {
+      throw new Error(`Patch operation ${i + 1}: ${error.message}`);
+    }
+  });
+
+  return root;
+}
+
+/**
+ * The token containing an issue, or the deepest existing group on its path
+ */
+function getIssueSubtree(document, issue) {
+  const segments = parsePointer(issuePathToPointer(issue.path));
+  let node = document;
+  let depth = 0;
+
+  while (depth < segments.length && !isTokenNode(node)) {
+    const child = node?.[segments[depth]];
+    if (child === null || typeof child !== 'object') break;
+    node = child;
+    depth++;
+  }
+
+  return { pointer: toPointer(segments.slice(0, depth)), value: depth === 0 ? null : node };
+}
+
+/**
+ * Spec excerpt for an issue's rule, falling back to the rule description
+ */
+export function getSpecExcerpt(issue) {
+  const rule = issue.rule || getRuleForCode(issue.code);
+  return {
+    rule,
+    text: SPEC_EXCERPTS[rule] || RULES[rule]?.description || ISSUE_CODES[issue.code] || '',
+    url: DTCG_SCHEMA_URL
+  };
+}
+
+/**
+ * Everything a provider gets: the issue, the token subtree around it and the spec excerpt
+ */
+export function buildAssistRequest(issue, document) {
+  return {
+    issue: {
+      code: issue.code,
+      path: issue.path,
+      pointer: issuePathToPointer(issue.path),
+      message: issue.message,
+      hint: issue.hint,
+      suggestedFix: issue.suggestedFix
+    },
+    subtree: getIssueSubtree(document, issue),
+    spec: getSpecExcerpt(issue)
+  };
+}
+
+function normalizeProposal(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.explanation !== 'string') {
+    throw new Error('Provider response has no explanation');
+  }
+  if (raw.patch !== undefined && !Array.isArray(raw.patch)) {
+    throw new Error('Provider response "patch" must be an array of JSON Patch operations');
+  }
+  return { explanation: raw.explanation.trim(), patch: raw.patch || [] };
+}
+
+function buildPrompt({ issue, subtree, spec }) {
+  return [
+    'You help authors fix design token files written in the DTCG 2025.10 format.',
+    '',
+    `Issue ${issue.code} at JSON Pointer "${issue.pointer}": ${issue.message}`,
+    issue.hint ? `Validator hint: ${issue.hint}` : null,
+    '',
+    `Spec (${spec.url}): ${spec.text}`,
+    '',
+    `Token subtree at "${subtree.pointer || '/'}":`,
+    JSON.stringify(subtree.value, null, 2),
+    '',
+    'Reply with a JSON object: { "explanation": string, "patch": array }.',
+    '"explanation" says in two or three sentences, for a designer, what is wrong and how the fix addresses it.',
+    '"patch" is an RFC 6902 JSON Patch with paths from the document root that fixes only this issue, or [] when the fix needs a human decision.'
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Provider backed by the Gemini API. The key stays with the caller (the
+ * browser) and is sent only to Google.
+ */
+export function createGeminiProvider({ apiKey, model = DEFAULT_GEMINI_MODEL, fetch: fetchImpl = globalThis.fetch } = {}) {
+  if (!apiKey) throw new Error('A Gemini API key is required');
+
+  return {
+    id: 'gemini',
+    async assist(request, { signal } = {}) {
+      const response = await fetchImpl(`${GEMINI_ENDPOINT}/${encodeURIComponent(model)}:generateContent`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+        body: JSON.stringify({
+          contents: [{ role: 'user', parts: [{ text: buildPrompt(request) }] }],
+          generationConfig: { responseMimeType: 'application/json', temperature: 0.2 }
+        }),
+        signal
+      });
+
+      const body = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw new Error(`Gemini request failed (${response.status}): ${body?.error?.message || response.statusText}`);
+      }
+
+      const text = body?.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '';
+      try {
+        return normalizeProposal(JSON.parse(text));
+      } catch (error) {
+        throw new Error(`Unexpected Gemini response: ${error.message}`);
+      }
+    }
+  };
+}
+
+/**
+ * Patch for the issues the validator already knows how to fix
+ */
+function getLocalPatch({ issue }) {
+  const { pointer } = issue;
+  const parent = pointer.slice(0, pointer.lastIndexOf('/'));
+
+  switch (issue.code) {
+    case 'DTCG_MISSING_SCHEMA':
+      return [{ op: 'add', path: '/$schema', value: DTCG_SCHEMA_URL }];
+    case 'DTCG_UNEXPECTED_SCHEMA':
+      return [{ op: 'replace', path: '/$schema', value: DTCG_SCHEMA_URL }];
+    case 'DTCG_MISSING_TYPE':
+      return issue.suggestedFix?.$type ? [{ op: 'add', path: `${pointer}/$type`, value: issue.suggestedFix.$type }] : [];
+    case 'DTCG_LEGACY_VALUE_KEY':
+      return [{ op: 'move', from: pointer, path: `${parent}/$value` }];
+    case 'DTCG_LEGACY_TYPE_KEY':
+      return [{ op: 'move', from: pointer, path: `${parent}/$type` }];
+    case 'DTCG_LEGACY_COLOR_CHANNELS':
+      return issue.suggestedFix ? [{ op: 'replace', path: parent, value: issue.suggestedFix }] : [];
+    case 'DTCG_BROKEN_ALIAS': {
+      const candidate = issue.hint?.match(/^Did you mean "(\{[^{}]+\})"/);
+      return candidate ? [{ op: 'replace', path: pointer, value: candidate[1] }] : [];
+    }
+    case 'DTCG_INVALID_LINE_HEIGHT': {
+      const number = Number(issue.hint?.match(/^Use a number: (.+)$/)?.[1]);
+      return Number.isFinite(number) ? [{ op: 'replace', path: pointer, value: number }] : [];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Deterministic provider that works offline: explains from the spec excerpts
+ * and issue catalog, and proposes the fixes the validator can derive itself.
+ */
+export function createMockProvider() {
+  return {
+    id: 'mock',
+    async assist(request) {
+      const { issue, spec } = request;
+      const patch = getLocalPatch(request);
+      const explanation = [
+        `${ISSUE_CODES[issue.code] || issue.message}.`,
+        spec.text,
+        patch.length > 0
+          ? 'The proposed patch applies the fix the validator suggests.'
+          : `No automatic fix: ${issue.hint || 'this needs a decision about the intended value'}.`
+      ].join(' ');
+      return normalizeProposal({ explanation, patch });
+    }
+  };
+}
+
+export const AI_PROVIDERS = {
+  gemini: { label: 'Google Gemini', requiresKey: true, create: createGeminiProvider },
+  mock: { label: 'Local (offline)', requiresKey: false, create: createMockProvider }
+};
+
+const issueKey = issue => `${issue.code}|${issue.path}`;
+
+/**
+ * Apply a proposed patch to a copy of the document and re-validate it.
+ * Returns { ok, document, result, resolved, introduced, error }: ok when the
+ * patch applies, the issue is gone and no new errors appeared.
+ */
+export function checkProposal(document, issue, patch, config = {}) {
+  if (patch.length === 0) {
+    return { ok: false, resolved: false, introduced: [], error: 'No patch proposed' };
+  }
+
+  let patched;
+  try {
+    patched = applyJsonPatch(document, patch);
+  } catch (error) {
+    return { ok: false, resolved: false, introduced: [], error: error.message };
+  }
+
+  const before = new DTCGValidator(config).validate(document);
+  const result = new DTCGValidator(config).validate(patched);
+  const remaining = new Set([...result.errors, ...result.warnings].map(issueKey));
+  const existing = new Set(before.errors.map(issueKey));
+  const resolved = !remaining.has(issueKey(issue));
+  const introduced = result.errors.filter(error => !existing.has(issueKey(error)));
+
+  return { ok: resolved && introduced.length === 0, document: patched, result, resolved, introduced, error: null };
+}
+
+/**
+ * Ask a provider about an issue and check its proposal.
+ * Resolves to { explanation, patch, check }.
+ */
+export async function requestAssist(provider, issue, document, { config = {}, signal } = {}) {
+  const proposal = await provider.assist(buildAssistRequest(issue, document), { signal });
+  return { ...proposal, check: checkProposal(document, issue, proposal.patch, config) };
+}
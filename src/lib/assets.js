@@ -0,0 +1,224 @@
+/**
+ * Asset references
+ *
+ * Values of "asset" tokens (and brand logos and favicons): a relative path,
+ * a data URI or an http(s) URL to an image or font file. Paths are resolved
+ * against the document's location to check them against files loaded with
+ * it and to preview them.
+ */
+
+import { buildTokenIndex, isAliasValue, walkTokens } from './tokenTree.js';
+import { collectBrandAssets } from './brandMetadata.js';
+
+// File types asset tokens may reference by default, by extension
+export const ASSET_TYPES = {
+  svg: { mime: 'image/svg+xml', category: 'image' },
+  png: { mime: 'image/png', category: 'image' },
+  jpg: { mime: 'image/jpeg', category: 'image' },
+  jpeg: { mime: 'image/jpeg', category: 'image' },
+  gif: { mime: 'image/gif', category: 'image' },
+  webp: { mime: 'image/webp', category: 'image' },
+  avif: { mime: 'image/avif', category: 'image' },
+  ico: { mime: 'image/x-icon', category: 'image' },
+  woff: { mime: 'font/woff', category: 'font' },
+  woff2: { mime: 'font/woff2', category: 'font' },
+  ttf: { mime: 'font/ttf', category: 'font' },
+  otf: { mime: 'font/otf', category: 'font' }
+};
+
+// Registered and legacy MIME types browsers still send for the same files
+const MIME_ALIASES = {
+  'image/vnd.microsoft.icon': 'ico',
+  'application/font-woff': 'woff',
+  'application/x-font-ttf': 'ttf',
+  'application/x-font-otf': 'otf'
+};
+
+const DATA_URI_PATTERN = /^data:([\w.+-]+\/[\w.+-]+)?((?:;[\w.+-]+=[^;,]*)*)(;base64)?,/i;
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:/i;
+
+function getExtension(pathname) {
+  const match = /\.([a-z0-9]+)$/i.exec(pathname.split(/[?#]/)[0]);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function getExtensionForMime(mime) {
+  const type = mime.toLowerCase();
+  return Object.keys(ASSET_TYPES).find(extension => ASSET_TYPES[extension].mime === type) || MIME_ALIASES[type] || null;
+}
+
+/**
+ * What an asset value points at: { kind: 'data' | 'url' | 'path', extension,
+ * mime, category }, or null when it is not a string in one of those forms.
+ * extension is that of the file (for data URIs, the one of its MIME type) and
+ * null when there is none; mime and category are null outside ASSET_TYPES.
+ */
+export function parseAssetReference(value) {
+  if (typeof value !== 'string' || !value.trim() || value !== value.trim()) return null;
+
+  let kind;
+  let extension;
+  let mime = null;
+  if (/^data:/i.test(value)) {
+    const match = DATA_URI_PATTERN.exec(value);
+    if (!match) return null;
+    kind = 'data';
+    mime = (match[1] || 'text/plain').toLowerCase();
+    extension = getExtensionForMime(mime);
+  } else if (SCHEME_PATTERN.test(value) || value.startsWith('//')) {
+    let url;
+    try {
+      url = new URL(value, 'https://example.com');
+    } catch {
+      return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    kind = 'url';
+    extension = getExtension(url.pathname);
+  } else {
+    if (value.includes('\\')) return null;
+    kind = 'path';
+    extension = getExtension(value);
+  }
+
+  const known = ASSET_TYPES[extension];
+  return {
+    kind,
+    extension,
+    mime: known ? known.mime : mime,
+    category: known ? known.category : null
+  };
+}
+
+/**
+ * Check an asset value. `types` lists the allowed extensions (default: every
+ * ASSET_TYPES entry). Returns [{ code, path, message, hint }] with path
+ * relative to the value, like validateColorObject.
+ */
+export function validateAssetValue(value, { types = Object.keys(ASSET_TYPES) } = {}) {
+  const reference = parseAssetReference(value);
+  if (!reference) {
+    return [{
+      code: 'DTCG_INVALID_ASSET',
+      path: '',
+      message: typeof value === 'string' && value.includes('\\')
+        ? 'Asset path uses backslashes'
+        : `Asset value must be a relative path, data URI or http(s) URL (found ${JSON.stringify(value)})`,
+      hint: 'e.g. "assets/logo.svg", "https://cdn.example.com/logo.png" or "data:image/png;base64,…"'
+    }];
+  }
+
+  if (reference.extension && types.includes(reference.extension)) return [];
+  // URLs without an extension (CDN endpoints) cannot be typed from the reference alone
+  if (reference.kind === 'url' && !reference.extension) return [];
+
+  const found = reference.kind === 'data'
+    ? `data of type "${reference.mime}"`
+    : reference.extension ? `a ".${reference.extension}" file` : 'a file without an extension';
+  return [{
+    code: 'DTCG_UNSUPPORTED_ASSET_TYPE',
+    path: '',
+    message: `Asset references ${found}, which is not an allowed asset type`,
+    hint: `Allowed types: ${types.join(', ')}. Change the list with "assets": { "types": [...] } in the config`
+  }];
+}
+
+function normalizeSegments(segments) {
+  const result = [];
+  for (const segment of segments) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') {
+      // Above the loaded folder: nothing there can be checked
+      if (result.length === 0) return null;
+      result.pop();
+    } else {
+      result.push(segment);
+    }
+  }
+  return result.join('/');
+}
+
+/**
+ * Paths of loaded files a path reference may point at, relative to the
+ * loaded folder. `base` is the document's own path ("acme/brand.json");
+ * relative paths are resolved against its folder, root-relative ones
+ * ("/logo.svg") against that folder and its public/ folder (the web root of
+ * most site builds). Empty for data URIs, URLs and paths above the folder.
+ */
+export function getAssetCandidates(value, base = '') {
+  if (parseAssetReference(value)?.kind !== 'path') return [];
+  const dir = base.split('/').slice(0, -1);
+  let pathname;
+  try {
+    pathname = decodeURI(value.split(/[?#]/)[0]);
+  } catch {
+    pathname = value.split(/[?#]/)[0];
+  }
+  const segments = pathname.split('/');
+  const roots = pathname.startsWith('/') ? [dir, [...dir, 'public']] : [dir];
+  return roots.map(root => normalizeSegments([...root, ...segments])).filter(Boolean);
+}
+
+/**
+ * How a document at `base` references a loaded file: "logo.svg", "../shared/logo.svg"
+ */
+export function getRelativeAssetPath(file, base = '') {
+  const from = base.split('/').slice(0, -1);
+  const to = file.split('/');
+  let common = 0;
+  while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++;
+  return [...from.slice(common).map(() => '..'), ...to.slice(common)].join('/');
+}
+
+/**
+ * Loaded file the reference points at, or null when it is missing.
+ * Returns undefined when the reference cannot be checked (URLs, data URIs).
+ */
+export function findAssetFile(value, files, base = '') {
+  const candidates = getAssetCandidates(value, base);
+  if (candidates.length === 0) return undefined;
+  return candidates.find(candidate => files.has(candidate)) || null;
+}
+
+/**
+ * URL an asset can be displayed from: data URIs and URLs as they are, paths
+ * from `urls` (loaded file path -> object URL) or relative to `siteUrl`
+ */
+export function resolveAssetSource(value, { urls, base = '', siteUrl } = {}) {
+  const reference = parseAssetReference(value);
+  if (!reference) return null;
+  if (reference.kind !== 'path') return value;
+
+  const loaded = getAssetCandidates(value, base).find(candidate => urls?.has(candidate));
+  if (loaded) return urls.get(loaded);
+  if (!siteUrl) return null;
+  try {
+    return new URL(value, siteUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Literal asset references in a document, as [{ path, value }] with issue
+ * paths: asset tokens (own or inherited $type) and brand logos and favicons.
+ * Aliases are skipped; the tokens they point at are listed themselves.
+ */
+export function collectAssetReferences(json) {
+  const index = buildTokenIndex(json);
+  const references = [];
+
+  walkTokens(json, (token, path) => {
+    const key = '$value' in token ? '$value' : 'value';
+    const value = token[key];
+    if (index.types.get(path.join('.')) === 'asset' && typeof value === 'string' && !isAliasValue(value)) {
+      references.push({ path: `$.${path.join('.')}.${key}`, value });
+    }
+  });
+
+  for (const asset of collectBrandAssets(json?.brand)) {
+    if (!asset.alias) references.push({ path: `$.brand${asset.path}`, value: asset.value });
+  }
+
+  return references;
+}
@@ -0,0 +1,63 @@
+/**
+ * Batch validation
+ *
+ * Validates many independent brand files at once (e.g. one brand.json per
+ * sub-brand), summarizes pass/fail and issue counts, and applies the
+ * automatic fixes to every file. Entries use the reporters' { file, result }
+ * shape, so a batch can be passed to formatHuman / formatJson / formatJunit.
+ */
+
+import { DTCGValidator } from './dtcgValidator.js';
+import { stableStringify } from './tokenDiff.js';
+
+function summarizeBatch(entries) {
+  return {
+    files: entries.length,
+    passed: entries.filter(entry => entry.result.valid).length,
+    failed: entries.filter(entry => !entry.result.valid).length,
+    errors: entries.reduce((sum, entry) => sum + entry.result.errors.length, 0),
+    warnings: entries.reduce((sum, entry) => sum + entry.result.warnings.length, 0)
+  };
+}
+
+// With config.assets.files (every file loaded with the batch), each file's asset paths are resolved from its own folder
+function getFileConfig(config, file) {
+  return config.assets?.files ? { ...config, assets: { ...config.assets, base: file } } : config;
+}
+
+/**
+ * Validate [{ file, text }].
+ * Returns { entries: [{ file, text, result }], summary: { files, passed, failed, errors, warnings } }.
+ */
+export function validateBatch(files, config = {}) {
+  const entries = files.map(({ file, text }) => ({
+    file,
+    text,
+    result: new DTCGValidator(getFileConfig(config, file)).validateText(text)
+  }));
+  return { entries, summary: summarizeBatch(entries) };
+}
+
+/**
+ * Apply DTCGValidator.autoFix() to every parseable file and re-validate.
+ * Returns the new batch plus `fixed`, the names of the files that changed.
+ */
+export function fixBatch(batch, config = {}) {
+  const fixed = [];
+  const files = batch.entries.map(({ file, text }) => {
+    let document;
+    try {
+      document = JSON.parse(text);
+    } catch {
+      return { file, text };
+    }
+
+    const fixedDocument = new DTCGValidator(config).autoFix(document);
+    // autoFix reorders keys; only files whose content changed are rewritten
+    if (stableStringify(fixedDocument) === stableStringify(document)) return { file, text };
+    fixed.push(file);
+    return { file, text: JSON.stringify(fixedDocument, null, 2) };
+  });
+
+  return { ...validateBatch(files, config), fixed };
+}
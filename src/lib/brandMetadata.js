@@ -0,0 +1,264 @@
+/**
+ * Brand metadata
+ *
+ * Schema of the "brand" block, which drives site metadata (title, description,
+ * canonical URL, Open Graph image) rather than design tokens:
+ *   "brand": {
+ *     "name": "Acme", "legalName": "Acme Inc.", "tagline": "...", "description": "...",
+ *     "siteTitle": "...", "siteUrl": "https://acme.com", "locale": "en-US",
+ *     "logo": { "primary": "/logo.svg", "mark": "{assets.logo-mark}" }, "favicon": "/favicon.ico",
+ *     "social": { "twitter": "@acme", "github": "acme" }
+ *   }
+ * Logo and favicon are file paths, URLs or aliases to tokens.
+ */
+
+import { isAliasValue } from './tokenTree.js';
+import { levenshtein } from './editDistance.js';
+
+export const BRAND_FIELDS = {
+  name: { label: 'Name', kind: 'text', required: true, description: 'Brand or product name' },
+  legalName: { label: 'Legal name', kind: 'text', description: 'Registered company name, for legal notices' },
+  tagline: { label: 'Tagline', kind: 'text', description: 'Short slogan' },
+  description: { label: 'Description', kind: 'text', description: 'One or two sentences, used as the meta and Open Graph description' },
+  siteTitle: { label: 'Site title', kind: 'text', description: 'Title of the website, used on the Open Graph image' },
+  siteUrl: { label: 'Site URL', kind: 'url', description: 'Absolute http(s) URL of the website, used for canonical and Open Graph URLs' },
+  locale: { label: 'Locale', kind: 'locale', description: 'BCP 47 language tag, e.g. "en-US"' },
+  logo: { label: 'Logo', kind: 'assets', description: 'Logo file path, URL or token alias, or an object of variants (e.g. primary, mark, light, dark)' },
+  favicon: { label: 'Favicon', kind: 'asset', description: 'Favicon file path, URL or token alias' },
+  social: { label: 'Social', kind: 'social', description: 'Social handles or profile URLs by network, e.g. { "twitter": "@acme" }' }
+};
+
+export const SOCIAL_NETWORKS = [
+  'bluesky', 'behance', 'dribbble', 'facebook', 'github', 'instagram',
+  'linkedin', 'mastodon', 'threads', 'tiktok', 'twitter', 'x', 'youtube'
+];
+
+// "acme", "@acme", "@acme@mastodon.social"
+const HANDLE_PATTERN = /^@?[\w.-]+(@[\w-]+(\.[\w-]+)+)?$/;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function canonicalLocale(value) {
+  try {
+    return Intl.getCanonicalLocales(value)[0];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The known name an unknown key was probably meant to be: same letters in a
+ * different case ("siteURL"), or at most two edits away ("tagLine", "favicn")
+ */
+function findFieldTypo(key, names) {
+  const lower = key.toLowerCase().replace(/[-_ ]/g, '');
+  return names.find(name => name.toLowerCase() === lower)
+    || names.find(name => levenshtein(name.toLowerCase(), lower) <= Math.min(2, Math.floor(name.length / 3)))
+    || null;
+}
+
+function checkText(value, path, label) {
+  if (typeof value === 'string' && value.trim()) return [];
+  return [{
+    code: 'BRAND_INVALID_FIELD',
+    path,
+    message: `brand${path} must be a non-empty string`,
+    hint: `Set ${label.toLowerCase()} as plain text`
+  }];
+}
+
+function checkAsset(value, path) {
+  if (typeof value === 'string' && value.trim() && !/\s/.test(value.trim())) return [];
+  return [{
+    code: 'BRAND_INVALID_FIELD',
+    path,
+    message: `brand${path} must be a file path, URL or token alias`,
+    hint: 'e.g. "/brand/logo.svg", "https://cdn.example.com/logo.png" or "{assets.logo}"'
+  }];
+}
+
+function checkField(kind, value, path, label) {
+  switch (kind) {
+    case 'text':
+      return checkText(value, path, label);
+
+    case 'url':
+      if (isHttpUrl(value)) return [];
+      return [{
+        code: 'BRAND_INVALID_FIELD',
+        path,
+        message: `brand${path} must be an absolute http(s) URL (found ${JSON.stringify(value)})`,
+        hint: 'Include the protocol, e.g. "https://example.com"'
+      }];
+
+    case 'locale': {
+      // "en_us" is a common POSIX-style spelling of "en-US"
+      const canonical = typeof value === 'string' ? canonicalLocale(value) || canonicalLocale(value.replace(/_/g, '-')) : null;
+      if (canonical === value) return [];
+      return [{
+        code: 'BRAND_INVALID_FIELD',
+        path,
+        message: canonical
+          ? `brand${path} "${value}" is not in canonical form`
+          : `brand${path} must be a BCP 47 language tag (found ${JSON.stringify(value)})`,
+        hint: canonical ? `Use "${canonical}"` : 'e.g. "en", "en-US" or "pt-BR"'
+      }];
+    }
+
+    case 'asset':
+      return checkAsset(value, path);
+
+    case 'assets':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) return checkAsset(value, path);
+      return Object.entries(value).flatMap(([variant, asset]) => checkAsset(asset, `${path}.${variant}`));
+
+    case 'social':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return [{
+          code: 'BRAND_INVALID_FIELD',
+          path,
+          message: `brand${path} must be an object of handles by network`,
+          hint: 'e.g. { "twitter": "@acme", "github": "acme" }'
+        }];
+      }
+      return Object.entries(value).flatMap(([network, handle]) => {
+        const problems = [];
+        const typo = !SOCIAL_NETWORKS.includes(network) && findFieldTypo(network, SOCIAL_NETWORKS);
+        if (typo) {
+          problems.push({
+            code: 'BRAND_UNKNOWN_FIELD',
+            path: `${path}.${network}`,
+            message: `Unknown social network "${network}"; did you mean "${typo}"?`,
+            hint: `Rename "${network}" to "${typo}"`,
+            suggestion: typo
+          });
+        }
+        if (typeof handle !== 'string' || !(HANDLE_PATTERN.test(handle) || isHttpUrl(handle))) {
+          problems.push({
+            code: 'BRAND_INVALID_FIELD',
+            path: `${path}.${network}`,
+            message: `brand${path}.${network} must be a handle or a profile URL (found ${JSON.stringify(handle)})`,
+            hint: 'e.g. "@acme" or "https://www.linkedin.com/company/acme"'
+          });
+        }
+        return problems;
+      });
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Check the brand block against BRAND_FIELDS.
+ * Returns a list of { code, path, message, hint } problems; path is relative to
+ * the block. Likely typos of known names carry the intended name as `suggestion`.
+ */
+export function validateBrandMetadata(brand) {
+  if (typeof brand !== 'object' || brand === null || Array.isArray(brand)) {
+    return [{
+      code: 'BRAND_INVALID_METADATA',
+      path: '',
+      message: 'Brand metadata must be an object',
+      hint: 'brand should contain brand.name, brand.siteUrl, etc.'
+    }];
+  }
+
+  const problems = [];
+  const names = Object.keys(BRAND_FIELDS);
+
+  for (const [key, value] of Object.entries(brand)) {
+    const field = BRAND_FIELDS[key];
+    if (field) {
+      problems.push(...checkField(field.kind, value, `.${key}`, field.label));
+      continue;
+    }
+    if (key === '$extensions') continue;
+
+    const typo = findFieldTypo(key, names);
+    problems.push({
+      code: 'BRAND_UNKNOWN_FIELD',
+      path: `.${key}`,
+      message: typo ? `Unknown brand field "${key}"; did you mean "${typo}"?` : `Unknown brand field "${key}"`,
+      hint: typo
+        ? `Rename "${key}" to "${typo}"`
+        : `Known fields: ${names.join(', ')}. Put custom data in brand.$extensions`,
+      ...(typo && { suggestion: typo })
+    });
+  }
+
+  for (const [key, field] of Object.entries(BRAND_FIELDS)) {
+    if (field.required && !(key in brand)) {
+      problems.push({
+        code: 'BRAND_MISSING_FIELD',
+        path: `.${key}`,
+        message: `Missing brand.${key}`,
+        hint: `Add brand.${key}: ${field.description.toLowerCase()}`
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Logo and favicon references as [{ path, field, variant, value, alias }],
+ * with path relative to the block (".logo.mark")
+ */
+export function collectBrandAssets(brand) {
+  if (typeof brand !== 'object' || brand === null) return [];
+  const assets = [];
+  for (const [field, { kind }] of Object.entries(BRAND_FIELDS)) {
+    const value = brand[field];
+    if (kind !== 'asset' && kind !== 'assets') continue;
+    const entries = kind === 'assets' && value && typeof value === 'object' ? Object.entries(value) : [[null, value]];
+    for (const [variant, asset] of entries) {
+      if (typeof asset !== 'string') continue;
+      assets.push({ path: variant ? `.${field}.${variant}` : `.${field}`, field, variant, value: asset, alias: isAliasValue(asset) });
+    }
+  }
+  return assets;
+}
+
+const assetSchema = {
+  type: 'string',
+  description: 'File path, URL or "{token.alias}"'
+};
+
+/**
+ * JSON Schema of the brand block, for editor completion and hovers
+ */
+export const BRAND_METADATA_SCHEMA = {
+  type: 'object',
+  description: 'Brand metadata: site title, description, URL, logos and social handles',
+  required: ['name'],
+  properties: {
+    ...Object.fromEntries(Object.entries(BRAND_FIELDS).map(([key, field]) => {
+      const base = { description: field.description };
+      switch (field.kind) {
+        case 'url':
+          return [key, { ...base, type: 'string', format: 'uri', defaultSnippets: [{ body: 'https://${1}' }] }];
+        case 'asset':
+          return [key, { ...assetSchema, ...base }];
+        case 'assets':
+          return [key, { ...base, anyOf: [assetSchema, { type: 'object', additionalProperties: assetSchema }] }];
+        case 'social':
+          return [key, {
+            ...base,
+            type: 'object',
+            properties: Object.fromEntries(SOCIAL_NETWORKS.map(network => [network, { type: 'string' }])),
+            additionalProperties: { type: 'string' }
+          }];
+        default:
+          return [key, { ...base, type: 'string' }];
+      }
+    })),
+    $extensions: { type: 'object', description: 'Custom brand data, keyed by reverse domain name' }
+  }
+};
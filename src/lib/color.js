@@ -0,0 +1,624 @@
+/**
+ * DTCG color module
+ * Color space definitions, strict validation of 2025.10 color objects
+ * ({ colorSpace, components, alpha, hex }), lossless conversion between CSS
+ * color strings and color objects, and contrast math (WCAG 2.x, APCA).
+ */
+
+const UNIT = [0, 1];
+const PERCENT = [0, 100];
+const HUE = 'hue';
+const UNBOUNDED = null;
+
+/**
+ * Component ranges per color space. HUE is [0, 360), UNBOUNDED accepts any number.
+ */
+export const COLOR_SPACES = {
+  'srgb': { components: ['red', 'green', 'blue'], ranges: [UNIT, UNIT, UNIT] },
+  'srgb-linear': { components: ['red', 'green', 'blue'], ranges: [UNIT, UNIT, UNIT] },
+  'display-p3': { components: ['red', 'green', 'blue'], ranges: [UNIT, UNIT, UNIT] },
+  'a98-rgb': { components: ['red', 'green', 'blue'], ranges: [UNIT, UNIT, UNIT] },
+  'prophoto-rgb': { components: ['red', 'green', 'blue'], ranges: [UNIT, UNIT, UNIT] },
+  'rec2020': { components: ['red', 'green', 'blue'], ranges: [UNIT, UNIT, UNIT] },
+  'hsl': { components: ['hue', 'saturation', 'lightness'], ranges: [HUE, PERCENT, PERCENT] },
+  'hwb': { components: ['hue', 'whiteness', 'blackness'], ranges: [HUE, PERCENT, PERCENT] },
+  'lab': { components: ['lightness', 'a', 'b'], ranges: [PERCENT, UNBOUNDED, UNBOUNDED] },
+  'lch': { components: ['lightness', 'chroma', 'hue'], ranges: [PERCENT, [0, Infinity], HUE] },
+  'oklab': { components: ['lightness', 'a', 'b'], ranges: [UNIT, UNBOUNDED, UNBOUNDED] },
+  'oklch': { components: ['lightness', 'chroma', 'hue'], ranges: [UNIT, [0, Infinity], HUE] },
+  'xyz-d65': { components: ['x', 'y', 'z'], ranges: [UNBOUNDED, UNBOUNDED, UNBOUNDED] },
+  'xyz-d50': { components: ['x', 'y', 'z'], ranges: [UNBOUNDED, UNBOUNDED, UNBOUNDED] }
+};
+
+// Spaces written with the CSS color() function
+const COLOR_FUNCTION_SPACES = ['srgb', 'srgb-linear', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020', 'xyz-d65', 'xyz-d50'];
+
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  gray: '#808080',
+  grey: '#808080'
+};
+
+const HEX_PATTERN = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+export function isValidHex(value) {
+  return typeof value === 'string' && HEX_PATTERN.test(value);
+}
+
+/* ------------------------------------------------------------------ */
+/* Validation                                                          */
+/* ------------------------------------------------------------------ */
+
+function describeRange(range) {
+  if (range === HUE) return '0 to <360';
+  if (range[1] === Infinity) return `${range[0]} or more`;
+  return `${range[0]} to ${range[1]}`;
+}
+
+function isInRange(component, range) {
+  if (range === UNBOUNDED) return true;
+  if (range === HUE) return component >= 0 && component < 360;
+  return component >= range[0] && component <= range[1];
+}
+
+/**
+ * Check a color object against the 2025.10 color module.
+ * Returns a list of { code, path, message, hint } problems; path is relative to the value.
+ */
+export function validateColorObject(value) {
+  const problems = [];
+
+  if (value.channels && !('components' in value)) {
+    problems.push({
+      code: 'DTCG_LEGACY_COLOR_CHANNELS',
+      path: '.channels',
+      message: 'Legacy "channels" color object',
+      hint: 'DTCG 2025.10 uses "components": [r, g, b] with a separate "alpha"',
+      suggestedFix: legacyToColorObject(value)
+    });
+    return problems;
+  }
+
+  if (typeof value.colorSpace !== 'string') {
+    problems.push({
+      code: 'DTCG_INVALID_COLOR',
+      path: '',
+      message: 'Color object is missing "colorSpace"',
+      hint: `Use one of: ${Object.keys(COLOR_SPACES).join(', ')}`
+    });
+    return problems;
+  }
+
+  const space = COLOR_SPACES[value.colorSpace];
+  if (!space) {
+    problems.push({
+      code: 'DTCG_UNKNOWN_COLOR_SPACE',
+      path: '.colorSpace',
+      message: `Unknown color space "${value.colorSpace}"`,
+      hint: `Use one of: ${Object.keys(COLOR_SPACES).join(', ')}`
+    });
+    return problems;
+  }
+
+  const { components } = value;
+  if (!Array.isArray(components) || components.length !== 3) {
+    problems.push({
+      code: 'DTCG_INVALID_COLOR',
+      path: '.components',
+      message: `"components" must be an array of 3 values (${space.components.join(', ')})`,
+      hint: 'Each component is a number or "none"'
+    });
+  } else {
+    components.forEach((component, i) => {
+      if (component === 'none') return;
+      if (typeof component !== 'number' || !Number.isFinite(component)) {
+        problems.push({
+          code: 'DTCG_INVALID_COLOR',
+          path: `.components[${i}]`,
+          message: `${space.components[i]} must be a number or "none"`
+        });
+      } else if (!isInRange(component, space.ranges[i])) {
+        problems.push({
+          code: 'DTCG_COLOR_OUT_OF_RANGE',
+          path: `.components[${i}]`,
+          message: `${value.colorSpace} ${space.components[i]} ${component} is out of range`,
+          hint: `Expected ${describeRange(space.ranges[i])}`
+        });
+      }
+    });
+  }
+
+  if ('alpha' in value && (typeof value.alpha !== 'number' || value.alpha < 0 || value.alpha > 1)) {
+    problems.push({
+      code: 'DTCG_INVALID_ALPHA',
+      path: '.alpha',
+      message: 'alpha must be a number between 0 and 1',
+      hint: 'Omit alpha for fully opaque colors'
+    });
+  }
+
+  if ('hex' in value && !(typeof value.hex === 'string' && /^#[0-9a-f]{6}$/i.test(value.hex))) {
+    problems.push({
+      code: 'DTCG_INVALID_HEX',
+      path: '.hex',
+      message: 'The hex fallback must be a 6-digit hex color',
+      hint: 'Example: "#e00069"; alpha goes in "alpha"'
+    });
+  }
+
+  return problems;
+}
+
+/* ------------------------------------------------------------------ */
+/* CSS <-> color object                                                */
+/* ------------------------------------------------------------------ */
+
+function parseNumber(part, percentScale = 1) {
+  if (part === 'none') return 'none';
+  if (part.endsWith('%')) return (parseFloat(part) / 100) * percentScale;
+  return parseFloat(part);
+}
+
+function parseHue(part) {
+  if (part === 'none') return 'none';
+  const value = parseFloat(part);
+  if (part.endsWith('turn')) return value * 360;
+  if (part.endsWith('grad')) return value * 0.9;
+  if (part.endsWith('rad')) return (value * 180) / Math.PI;
+  return value;
+}
+
+function normalizeHue(hue) {
+  return hue === 'none' ? hue : ((hue % 360) + 360) % 360;
+}
+
+/**
+ * Split "1 2 3 / 0.5" or "1, 2, 3, 0.5" into three component parts and an alpha part
+ */
+function splitArgs(args) {
+  const [channels, slashAlpha] = args.split('/').map(part => part.trim());
+  const parts = channels.split(/[\s,]+/).filter(Boolean);
+  return { parts: parts.slice(0, 3), alpha: slashAlpha ?? parts[3] };
+}
+
+function hexToColorObject(hex) {
+  const digits = hex.slice(1);
+  const expanded = digits.length <= 4 ? [...digits].map(d => d + d).join('') : digits;
+  const bytes = expanded.toLowerCase().match(/../g);
+  const object = {
+    colorSpace: 'srgb',
+    components: bytes.slice(0, 3).map(byte => parseInt(byte, 16) / 255),
+    hex: `#${bytes.slice(0, 3).join('')}`
+  };
+  if (bytes[3]) object.alpha = parseInt(bytes[3], 16) / 255;
+  return object;
+}
+
+/**
+ * Convert a CSS color string (hex, rgb(), hsl(), hwb(), lab(), lch(),
+ * oklab(), oklch(), color()) into a DTCG color object, or null
+ */
+export function cssToColorObject(css) {
+  if (typeof css !== 'string') return null;
+  const color = css.trim().toLowerCase();
+
+  if (isValidHex(color)) return hexToColorObject(color);
+  if (NAMED_COLORS[color]) return hexToColorObject(NAMED_COLORS[color]);
+  if (color === 'transparent') return { colorSpace: 'srgb', components: [0, 0, 0], alpha: 0, hex: '#000000' };
+
+  const match = color.match(/^([a-z0-9-]+)\((.+)\)$/);
+  if (!match) return null;
+
+  let [, fn, args] = match;
+  let colorSpace;
+  let components;
+
+  if (fn === 'color') {
+    const [space, ...rest] = args.trim().split(/\s+/);
+    colorSpace = space === 'xyz' ? 'xyz-d65' : space;
+    if (!COLOR_FUNCTION_SPACES.includes(colorSpace)) return null;
+    args = rest.join(' ');
+  }
+
+  const { parts, alpha } = splitArgs(args);
+  if (parts.length !== 3) return null;
+
+  switch (fn) {
+    case 'color':
+      components = parts.map(part => parseNumber(part));
+      break;
+    case 'rgb':
+    case 'rgba':
+      colorSpace = 'srgb';
+      components = parts.map(part => (part === 'none' ? 'none' : part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part) / 255));
+      break;
+    case 'hsl':
+    case 'hsla':
+    case 'hwb':
+      colorSpace = fn.startsWith('hsl') ? 'hsl' : 'hwb';
+      components = [normalizeHue(parseHue(parts[0])), parseNumber(parts[1], 100), parseNumber(parts[2], 100)];
+      break;
+    case 'lab':
+      colorSpace = 'lab';
+      components = [parseNumber(parts[0], 100), parseNumber(parts[1], 125), parseNumber(parts[2], 125)];
+      break;
+    case 'lch':
+      colorSpace = 'lch';
+      components = [parseNumber(parts[0], 100), parseNumber(parts[1], 150), normalizeHue(parseHue(parts[2]))];
+      break;
+    case 'oklab':
+      colorSpace = 'oklab';
+      components = [parseNumber(parts[0], 1), parseNumber(parts[1], 0.4), parseNumber(parts[2], 0.4)];
+      break;
+    case 'oklch':
+      colorSpace = 'oklch';
+      components = [parseNumber(parts[0], 1), parseNumber(parts[1], 0.4), normalizeHue(parseHue(parts[2]))];
+      break;
+    default:
+      return null;
+  }
+
+  if (components.some(c => c !== 'none' && !Number.isFinite(c))) return null;
+
+  const object = { colorSpace, components };
+  if (alpha !== undefined) {
+    const parsedAlpha = parseNumber(alpha);
+    if (parsedAlpha === 'none' || !Number.isFinite(parsedAlpha)) return null;
+    if (parsedAlpha !== 1) object.alpha = parsedAlpha;
+  }
+
+  if (colorSpace === 'srgb' || colorSpace === 'hsl' || colorSpace === 'hwb') {
+    const srgb = toSrgb(object);
+    if (srgb && srgb.components.every(c => c >= 0 && c <= 1)) object.hex = toHex({ components: srgb.components, alpha: 1 });
+  }
+  return object;
+}
+
+function formatNumber(value) {
+  return value === 'none' ? 'none' : String(Math.round(value * 1e6) / 1e6);
+}
+
+function isByte(component) {
+  return component !== 'none' && Math.abs(component * 255 - Math.round(component * 255)) < 1e-6;
+}
+
+/**
+ * Serialize a DTCG color object (or legacy channels object) as a CSS color string
+ */
+export function colorObjectToCss(value) {
+  const object = value.channels && !value.components ? legacyToColorObject(value) : value;
+  const { colorSpace, components = [] } = object;
+  const alpha = object.alpha ?? 1;
+  const alphaPart = alpha === 1 ? '' : ` / ${formatNumber(alpha)}`;
+  const [c1, c2, c3] = components.map(formatNumber);
+
+  switch (colorSpace) {
+    case 'srgb':
+      if (components.every(isByte)) {
+        if (alpha === 1 || isByte(alpha)) return toHex({ components, alpha });
+        return `rgb(${components.map(c => Math.round(c * 255)).join(' ')}${alphaPart})`;
+      }
+      return `color(srgb ${c1} ${c2} ${c3}${alphaPart})`;
+    case 'hsl':
+    case 'hwb':
+      return `${colorSpace}(${c1} ${c2 === 'none' ? c2 : `${c2}%`} ${c3 === 'none' ? c3 : `${c3}%`}${alphaPart})`;
+    case 'lab':
+    case 'lch':
+    case 'oklab':
+    case 'oklch':
+      return `${colorSpace}(${c1} ${c2} ${c3}${alphaPart})`;
+    default:
+      return `color(${colorSpace} ${c1} ${c2} ${c3}${alphaPart})`;
+  }
+}
+
+/**
+ * Convert the legacy { colorSpace, channels: { r, g, b, a } } shape
+ */
+export function legacyToColorObject(value) {
+  const { r = 0, g = 0, b = 0, a = 1 } = value.channels || {};
+  const object = { colorSpace: value.colorSpace || 'srgb', components: [r, g, b] };
+  if (a !== 1) object.alpha = a;
+  if (value.hex) object.hex = value.hex;
+  return object;
+}
+
+/* ------------------------------------------------------------------ */
+/* Conversion to sRGB                                                  */
+/* ------------------------------------------------------------------ */
+
+const multiply = (matrix, [x, y, z]) => matrix.map(row => row[0] * x + row[1] * y + row[2] * z);
+
+const XYZ_D65_TO_LINEAR_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+
+const LINEAR_P3_TO_XYZ_D65 = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0, 0.04511338185890264, 1.043944368900976]
+];
+
+const XYZ_D50_TO_D65 = [
+  [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+  [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+  [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+];
+
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+function linearize(channel) {
+  const sign = channel < 0 ? -1 : 1;
+  const abs = Math.abs(channel);
+  return abs <= 0.04045 ? channel / 12.92 : sign * ((abs + 0.055) / 1.055) ** 2.4;
+}
+
+function gammaEncode(channel) {
+  const sign = channel < 0 ? -1 : 1;
+  const abs = Math.abs(channel);
+  return abs <= 0.0031308 ? channel * 12.92 : sign * (1.055 * abs ** (1 / 2.4) - 0.055);
+}
+
+function hslToSrgb([h, s, l]) {
+  s /= 100;
+  l /= 100;
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [f(0), f(8), f(4)];
+}
+
+function hwbToSrgb([h, w, b]) {
+  w /= 100;
+  b /= 100;
+  if (w + b >= 1) {
+    const gray = w / (w + b);
+    return [gray, gray, gray];
+  }
+  return hslToSrgb([h, 100, 50]).map(c => c * (1 - w - b) + w);
+}
+
+function labToXyzD50([l, a, b]) {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+  const fy = (l + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+  const xyz = [
+    fx ** 3 > epsilon ? fx ** 3 : (116 * fx - 16) / kappa,
+    l > kappa * epsilon ? fy ** 3 : l / kappa,
+    fz ** 3 > epsilon ? fz ** 3 : (116 * fz - 16) / kappa
+  ];
+  return xyz.map((v, i) => v * D50_WHITE[i]);
+}
+
+function oklabToLinearSrgb([l, a, b]) {
+  const [lms1, lms2, lms3] = [
+    l + 0.3963377774 * a + 0.2158037573 * b,
+    l - 0.1055613458 * a - 0.0638541728 * b,
+    l - 0.0894841775 * a - 1.291485548 * b
+  ].map(v => v ** 3);
+  return [
+    4.0767416621 * lms1 - 3.3077115913 * lms2 + 0.2309699292 * lms3,
+    -1.2684380046 * lms1 + 2.6097574011 * lms2 - 0.3413193965 * lms3,
+    -0.0041960863 * lms1 - 0.7034186147 * lms2 + 1.707614701 * lms3
+  ];
+}
+
+function polarToRectangular([l, c, h]) {
+  const radians = (h * Math.PI) / 180;
+  return [l, c * Math.cos(radians), c * Math.sin(radians)];
+}
+
+/**
+ * Convert a color object to gamma-encoded sRGB ({ components, alpha }), or
+ * null for spaces without a conversion (a98-rgb, prophoto-rgb, rec2020).
+ * Out-of-gamut results are not clipped here.
+ */
+function toSrgb(object) {
+  const components = (object.components || []).map(c => (c === 'none' ? 0 : c));
+  const alpha = object.alpha ?? 1;
+  const fromLinear = linear => ({ components: linear.map(gammaEncode), alpha });
+  const fromXyzD65 = xyz => fromLinear(multiply(XYZ_D65_TO_LINEAR_SRGB, xyz));
+
+  switch (object.colorSpace) {
+    case 'srgb':
+      return { components, alpha };
+    case 'srgb-linear':
+      return fromLinear(components);
+    case 'display-p3':
+      return fromXyzD65(multiply(LINEAR_P3_TO_XYZ_D65, components.map(linearize)));
+    case 'hsl':
+      return { components: hslToSrgb(components), alpha };
+    case 'hwb':
+      return { components: hwbToSrgb(components), alpha };
+    case 'lab':
+      return fromXyzD65(multiply(XYZ_D50_TO_D65, labToXyzD50(components)));
+    case 'lch':
+      return fromXyzD65(multiply(XYZ_D50_TO_D65, labToXyzD50(polarToRectangular(components))));
+    case 'oklab':
+      return fromLinear(oklabToLinearSrgb(components));
+    case 'oklch':
+      return fromLinear(oklabToLinearSrgb(polarToRectangular(components)));
+    case 'xyz-d65':
+      return fromXyzD65(components);
+    case 'xyz-d50':
+      return fromXyzD65(multiply(XYZ_D50_TO_D65, components));
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse a color token value (CSS string, color object or legacy channels object)
+ * into sRGB { components: [r, g, b] (0-1, clipped to gamut), alpha }, or null
+ */
+export function parseColor(value) {
+  let object = null;
+  if (typeof value === 'string') object = cssToColorObject(value);
+  else if (value && typeof value === 'object') {
+    object = value.channels && !value.components ? legacyToColorObject(value) : value;
+    if (!COLOR_SPACES[object.colorSpace] || !Array.isArray(object.components) || object.components.length !== 3) {
+      object = isValidHex(value.hex) ? hexToColorObject(value.hex) : null;
+    }
+  }
+
+  const srgb = object && toSrgb(object);
+  if (!srgb || srgb.components.some(c => !Number.isFinite(c))) return null;
+  return {
+    components: srgb.components.map(c => Math.min(1, Math.max(0, c))),
+    alpha: srgb.alpha
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* Contrast                                                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Composite a (possibly translucent) color over an opaque backdrop
+ */
+export function compositeColor(color, backdrop = { components: [1, 1, 1], alpha: 1 }) {
+  const alpha = color.alpha ?? 1;
+  return {
+    components: color.components.map((c, i) => c * alpha + backdrop.components[i] * (1 - alpha)),
+    alpha: 1
+  };
+}
+
+/**
+ * WCAG 2.x relative luminance
+ */
+export function relativeLuminance(color) {
+  const [r, g, b] = color.components.map(linearize);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG 2.x contrast ratio (1-21). Translucent backgrounds are composited over
+ * white, translucent foregrounds over the background.
+ */
+export function contrastRatio(foreground, background) {
+  const bg = compositeColor(background);
+  const fg = compositeColor(foreground, bg);
+  const [lighter, darker] = [relativeLuminance(fg), relativeLuminance(bg)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * APCA (0.0.98G-4g) lightness contrast Lc of text on a background.
+ * Positive for dark text on light backgrounds, negative for light on dark.
+ */
+export function apcaContrast(text, background) {
+  const bg = compositeColor(background);
+  const fg = compositeColor(text, bg);
+  const screenLuminance = ({ components: [r, g, b] }) => {
+    const y = 0.2126729 * r ** 2.4 + 0.7151522 * g ** 2.4 + 0.072175 * b ** 2.4;
+    return y > 0.022 ? y : y + (0.022 - y) ** 1.414;
+  };
+
+  const yText = screenLuminance(fg);
+  const yBackground = screenLuminance(bg);
+  if (Math.abs(yBackground - yText) < 0.0005) return 0;
+
+  if (yBackground > yText) {
+    const contrast = (yBackground ** 0.56 - yText ** 0.57) * 1.14;
+    return contrast < 0.1 ? 0 : (contrast - 0.027) * 100;
+  }
+  const contrast = (yBackground ** 0.65 - yText ** 0.62) * 1.14;
+  return contrast > -0.1 ? 0 : (contrast + 0.027) * 100;
+}
+
+/**
+ * "#rrggbb" (or "#rrggbbaa") for sRGB components
+ */
+export function toHex(color) {
+  const alpha = color.alpha ?? 1;
+  const channels = alpha < 1 ? [...color.components, alpha] : color.components;
+  return '#' + channels.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+/* ------------------------------------------------------------------ */
+/* Color difference                                                    */
+/* ------------------------------------------------------------------ */
+
+const LINEAR_SRGB_TO_XYZ_D65 = [
+  [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+  [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+  [0.01933081871559182, 0.11919477979462598, 0.9505321522496606]
+];
+
+const XYZ_D65_TO_D50 = [
+  [1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+  [0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+  [-0.009243058152591178, 0.015055144896577895, 0.7518742899580008]
+];
+
+/**
+ * CIE Lab (D50, as CSS lab()) of sRGB components
+ */
+function srgbToLab(color) {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+  const xyz = multiply(XYZ_D65_TO_D50, multiply(LINEAR_SRGB_TO_XYZ_D65, color.components.map(linearize)));
+  const [fx, fy, fz] = xyz
+    .map((v, i) => v / D50_WHITE[i])
+    .map(v => (v > epsilon ? Math.cbrt(v) : (kappa * v + 16) / 116));
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+/**
+ * CIEDE2000 color difference of two sRGB colors (from parseColor).
+ * About 1 is a just-noticeable difference; alpha is ignored.
+ */
+export function deltaE2000(first, second) {
+  const [l1, a1, b1] = srgbToLab(first);
+  const [l2, a2, b2] = srgbToLab(second);
+
+  const chromaMean = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+  const g = 0.5 * (1 - Math.sqrt(chromaMean ** 7 / (chromaMean ** 7 + 25 ** 7)));
+  const [ap1, ap2] = [a1 * (1 + g), a2 * (1 + g)];
+  const [c1, c2] = [Math.hypot(ap1, b1), Math.hypot(ap2, b2)];
+  const hue = (a, b) => (a === 0 && b === 0 ? 0 : ((Math.atan2(b, a) * 180) / Math.PI + 360) % 360);
+  const [h1, h2] = [hue(ap1, b1), hue(ap2, b2)];
+  const achromatic = c1 * c2 === 0;
+
+  let deltaHue = achromatic ? 0 : h2 - h1;
+  if (deltaHue > 180) deltaHue -= 360;
+  else if (deltaHue < -180) deltaHue += 360;
+
+  let hueMean = h1 + h2;
+  if (!achromatic) {
+    if (Math.abs(h1 - h2) > 180) hueMean += hueMean < 360 ? 360 : -360;
+    hueMean /= 2;
+  }
+
+  const deltaL = l2 - l1;
+  const deltaC = c2 - c1;
+  const deltaH = 2 * Math.sqrt(c1 * c2) * Math.sin(toRadians(deltaHue / 2));
+  const lMean = (l1 + l2) / 2;
+  const cMean = (c1 + c2) / 2;
+
+  const t = 1
+    - 0.17 * Math.cos(toRadians(hueMean - 30))
+    + 0.24 * Math.cos(toRadians(2 * hueMean))
+    + 0.32 * Math.cos(toRadians(3 * hueMean + 6))
+    - 0.2 * Math.cos(toRadians(4 * hueMean - 63));
+  const sL = 1 + (0.015 * (lMean - 50) ** 2) / Math.sqrt(20 + (lMean - 50) ** 2);
+  const sC = 1 + 0.045 * cMean;
+  const sH = 1 + 0.015 * cMean * t;
+  const rC = 2 * Math.sqrt(cMean ** 7 / (cMean ** 7 + 25 ** 7));
+  const rT = -Math.sin(toRadians(60 * Math.exp(-(((hueMean - 275) / 25) ** 2)))) * rC;
+
+  return Math.sqrt(
+    (deltaL / sL) ** 2 + (deltaC / sC) ** 2 + (deltaH / sH) ** 2 + rT * (deltaC / sC) * (deltaH / sH)
+  );
+}
@@ -0,0 +1,59 @@
+/**
+ * .brandjsonrc loader (Node only)
+ * Kept out of index.js so the browser bundle never pulls in fs.
+ */
+
+import { readFile, access } from 'fs/promises';
+import path from 'path';
+import { DTCGValidator } from './dtcgValidator.js';
+
+export const CONFIG_FILENAMES = ['.brandjsonrc', '.brandjsonrc.json'];
+
+/**
+ * Look for a config file in startDir and its ancestors
+ */
+export async function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const name of CONFIG_FILENAMES) {
+      const candidate = path.join(dir, name);
+      try {
+        await access(candidate);
+        return candidate;
+      } catch {
+        // keep looking
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read and check a JSON config file: { "rules": { "legacy-value-key": "off" }, "contrast": { "level": "AA" } }
+ */
+export async function loadConfig(filePath) {
+  const raw = await readFile(filePath, 'utf8');
+
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${filePath}: invalid JSON (${error.message})`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${filePath}: config must be a JSON object`);
+  }
+
+  try {
+    new DTCGValidator(config);
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+
+  return config;
+}
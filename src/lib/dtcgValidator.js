@@ -3,9 +3,19 @@
  * Validates brand.json files against DTCG standard
  */
 
-const DTCG_GROUPS = ['$schema', '$id', '$description', '$extensions', '$type'];
-const DTCG_SCHEMA_URL = 'https://www.designtokens.org/tr/2025.10/format/';
-const VALID_TOKEN_TYPES = [
+import { DTCG_GROUPS, buildTokenIndex, getDeprecation, getTokenValue, isAliasValue, isGroupNode, isTokenNode, parseAlias, resolveAlias, walkTokens } from './tokenTree.js';
+import { getRuleForCode, resolveRuleSeverities } from './rules.js';
+import { WCAG_MINIMUMS, checkContrast } from './accessibility.js';
+import { addIssueLocations, parseJsonWithPositions } from './jsonPositions.js';
+import { cssToColorObject, isValidHex, legacyToColorObject, validateColorObject } from './color.js';
+import { collectBrandAssets, validateBrandMetadata } from './brandMetadata.js';
+import { ASSET_TYPES, findAssetFile, getRelativeAssetPath, validateAssetValue } from './assets.js';
+import { levenshtein } from './editDistance.js';
+
+export const DTCG_SCHEMA_URL = 'https://www.designtokens.org/tr/2025.10/format/';
+// Version of the result object shape, see public/schema/validation-result.v1.json
+export const RESULT_SCHEMA_VERSION = '1.4.0';
+export const VALID_TOKEN_TYPES = [
   'color',
   'dimension',
   'number',
@@ -30,55 +40,170 @@ const VALID_TOKEN_TYPES = [
   'asset'
 ];
 
+// Fields of composite types and the type each one is validated as
+export const TYPOGRAPHY_FIELDS = {
+  fontFamily: 'fontFamily',
+  fontSize: 'dimension',
+  fontWeight: 'fontWeight',
+  lineHeight: 'lineHeight',
+  letterSpacing: 'dimension',
+  paragraphSpacing: 'dimension',
+  textCase: 'textCase',
+  textDecoration: 'textDecoration'
+};
+
+export const FONT_WEIGHT_KEYWORDS = [
+  'thin', 'hairline', 'extra-light', 'ultra-light', 'light', 'normal', 'regular', 'book', 'medium',
+  'semi-bold', 'demi-bold', 'bold', 'extra-bold', 'ultra-bold', 'black', 'heavy', 'extra-black', 'ultra-black'
+];
+
+export const STROKE_STYLE_KEYWORDS = ['solid', 'dashed', 'dotted', 'double', 'groove', 'ridge', 'outset', 'inset'];
+export const LINE_CAPS = ['round', 'butt', 'square'];
+export const TEXT_CASES = ['none', 'uppercase', 'lowercase', 'capitalize'];
+export const TEXT_DECORATIONS = ['none', 'underline', 'line-through', 'overline'];
+
+// Properties the format defines; any other "$" key misuses the reserved prefix
+const TOKEN_PROPERTIES = ['$value', '$type', '$description', '$extensions', '$deprecated'];
+const GROUP_PROPERTIES = ['$type', '$description', '$extensions', '$deprecated', '$extends', '$root'];
+const ROOT_PROPERTIES = [...DTCG_GROUPS, '$deprecated'];
+const EXTENSION_KEY_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+// Token types an alias inside a composite may reference, per expected field type
+const ALIAS_COMPATIBLE_TYPES = {
+  dimension: ['dimension', 'fontSize', 'letterSpacing', 'paragraphSpacing', 'borderRadius'],
+  fontWeight: ['fontWeight', 'number'],
+  lineHeight: ['lineHeight', 'number', 'dimension']
+};
+
 export class DTCGValidator {
-  constructor() {
+  /**
+   * @param {object} [config] - { rules: { [ruleId]: 'off' | 'warn' | 'error' }, contrast: { level: 'AA' | 'AAA' },
+   *   assets: { types, files, base } }, see rules.js. assets.types lists the allowed asset file extensions;
+   *   assets.files the paths of the files loaded with the document and assets.base the document's own
+   *   path among them, for reporting asset paths that point at none of them
+   */
+  constructor(config = {}) {
+    this.ruleSeverities = resolveRuleSeverities(config);
+    this.contrastOptions = config.contrast || {};
+    if (this.contrastOptions.level && !WCAG_MINIMUMS[this.contrastOptions.level]) {
+      throw new Error(`Invalid contrast level "${this.contrastOptions.level}". Use one of: ${Object.keys(WCAG_MINIMUMS).join(', ')}`);
+    }
+    this.assetOptions = config.assets || {};
+    const unknownType = this.assetOptions.types?.find(type => !ASSET_TYPES[type]);
+    if (unknownType) {
+      throw new Error(`Unknown asset type "${unknownType}". Use any of: ${Object.keys(ASSET_TYPES).join(', ')}`);
+    }
+    this.assetFiles = this.assetOptions.files ? new Set(this.assetOptions.files) : null;
     this.errors = [];
     this.warnings = [];
     this.structureIssues = [];
+    this.tokenIndex = { tokens: new Map(), groups: new Set() };
+    this.onlyGroups = null;
+  }
+
+  /**
+   * Parse and validate JSON source text. Every issue gets a `location`
+   * ({ line, column, endLine, endColumn }) in the text; syntax errors are
+   * reported as DTCG_INVALID_JSON at the offending position.
+   */
+  validateText(text) {
+    let parsed;
+    try {
+      parsed = parseJsonWithPositions(text);
+    } catch (error) {
+      this.errors = [];
+      this.warnings = [];
+      this.structureIssues = [];
+      this.report({
+        code: 'DTCG_INVALID_JSON',
+        path: '$',
+        message: `Invalid JSON: ${error.message}`,
+        hint: 'Fix the JSON syntax before validating tokens',
+        ...(error.location && { location: error.location })
+      });
+      return this.buildResult();
+    }
+
+    return addIssueLocations(this.validate(parsed.value), parsed.positions);
   }
 
-  validate(json) {
+  /**
+   * Validate a parsed document.
+   * @param {object} [options] - { groups }: only analyze and validate these top-level
+   *   groups (document-level checks and contrast always run), see IncrementalValidator
+   */
+  validate(json, options = {}) {
+    this.onlyGroups = options.groups ? new Set(options.groups) : null;
     this.errors = [];
     this.warnings = [];
     this.structureIssues = [];
 
     if (!json || typeof json !== 'object') {
-      this.errors.push({
+      this.report({
+        code: 'DTCG_INVALID_DOCUMENT',
         path: '$',
         message: 'Invalid JSON structure',
-        severity: 'error',
         hint: 'The file must be valid JSON and be an object'
       });
-      return { valid: false, errors: this.errors, warnings: this.warnings };
+      return this.buildResult();
     }
 
     // Schema check
     if (!json.$schema) {
-      this.warnings.push({
+      this.report({
+        code: 'DTCG_MISSING_SCHEMA',
         path: '$.$schema',
         message: 'Missing $schema declaration',
-        severity: 'warning',
         hint: `Add "$schema": "${DTCG_SCHEMA_URL}" to declare spec version`
       });
     } else if (json.$schema !== DTCG_SCHEMA_URL) {
-      this.warnings.push({
+      this.report({
+        code: 'DTCG_UNEXPECTED_SCHEMA',
         path: '$.$schema',
         message: `Unexpected $schema version (found ${json.$schema})`,
-        severity: 'warning',
         hint: `Use ${DTCG_SCHEMA_URL} for the 2025.10 format`
       });
     }
 
+    this.validateNodeProperties(json, '$', ROOT_PROPERTIES);
+
     // Analyze structure issues FIRST (before validation)
     this.analyzeStructure(json);
 
-    if (json.brand) {
+    // Index tokens so aliases can be resolved across groups
+    this.tokenIndex = buildTokenIndex(json);
+
+    if ('brand' in json) {
       this.validateBrandMetadata(json.brand);
     }
 
     this.validateTokenGroups(json);
 
+    if (this.ruleSeverities['color-contrast'] !== 'off' || this.ruleSeverities['apca-contrast'] !== 'off') {
+      this.validateContrast(json);
+    }
+
+    return this.buildResult();
+  }
+
+  /**
+   * Record an issue under the severity configured for the rule owning its code
+   */
+  report(issue) {
+    const rule = getRuleForCode(issue.code);
+    const severity = rule ? this.ruleSeverities[rule] : 'error';
+    if (severity === 'off') return;
+
+    if (severity === 'error') {
+      this.errors.push({ ...issue, rule, severity: 'error' });
+    } else {
+      this.warnings.push({ ...issue, rule, severity: 'warning' });
+    }
+  }
+
+  buildResult() {
     return {
+      schemaVersion: RESULT_SCHEMA_VERSION,
       valid: this.errors.length === 0,
       errors: this.errors,
       warnings: this.warnings,
@@ -91,7 +216,8 @@ export class DTCGValidator {
    */
   analyzeStructure(json) {
     for (const [key, value] of Object.entries(json)) {
-      if (DTCG_GROUPS.includes(key) || key === 'brand') continue;
+      if (key.startsWith('$') || key === 'brand') continue;
+      if (this.onlyGroups && !this.onlyGroups.has(key)) continue;
 
       if (typeof value === 'object' && value !== null) {
         this.analyzeTokenGroup(key, value);
@@ -125,9 +251,11 @@ export class DTCGValidator {
               const flattenedExample = this.generateFlattenedExample(groupName, currentPath, token);
               
               this.structureIssues.push({
+                code: 'DTCG_NESTED_TOKENS',
                 path: `$.${groupName}.${currentPath}`,
                 issue: 'NESTED_TOKENS',
                 message: `Nested token structure: "${currentPath}"`,
+                severity: 'info',
                 description: `This contains ${nestedKeys.length} sub-token(s). DTCG recommends flat structure with naming conventions.`,
                 suggestion: `Flatten to use hyphenated names like "${tokenName}-${nestedKeys[0]}"`,
                 originalStructure: { [tokenName]: token },
@@ -146,39 +274,122 @@ export class DTCGValidator {
     }
   }
 
-  validateBrandMetadata(brand) {
-    if (typeof brand !== 'object') {
-      this.errors.push({
-        path: '$.brand',
-        message: 'Brand metadata must be an object',
-        severity: 'error',
-        hint: 'brand should contain brand.name, brand.siteTitle, etc.'
+  /**
+   * Check foreground/background color pairs, see accessibility.js
+   */
+  validateContrast(json) {
+    const { pairs, invalid } = checkContrast(json, { ...this.contrastOptions, index: this.tokenIndex });
+
+    for (const { foreground, reference, reason } of invalid) {
+      this.report({
+        code: 'A11Y_CONTRAST_PAIR',
+        path: `$.${foreground}.$extensions`,
+        message: `Contrast background ${JSON.stringify(reference)} is invalid: ${reason}`,
+        hint: 'Reference a color token, e.g. "{ui.background}"'
       });
-      return;
     }
 
-    const requiredFields = ['name'];
-    for (const field of requiredFields) {
-      if (!brand[field]) {
-        this.warnings.push({
-          path: `$.brand.${field}`,
-          message: `Missing brand.${field}`,
-          severity: 'warning',
-          hint: `Add brand.${field} to describe your brand`
+    for (const pair of pairs) {
+      const contrast = {
+        foreground: pair.foreground,
+        background: pair.background,
+        level: pair.level,
+        size: pair.size,
+        source: pair.source,
+        ratio: pair.ratio,
+        required: pair.required,
+        apca: pair.apca,
+        apcaRequired: pair.apcaRequired
+      };
+      const sizeLabel = pair.size === 'large' ? ' for large text' : '';
+
+      if (!pair.passes) {
+        this.report({
+          code: 'A11Y_CONTRAST',
+          path: `$.${pair.foreground}`,
+          message: `"${pair.foreground}" on "${pair.background}" has a contrast ratio of ${pair.ratio}:1; WCAG ${pair.level} requires ${pair.required}:1${sizeLabel}`,
+          hint: 'Darken or lighten one of the colors, or declare the pair as large text if it is only used at 18pt+ / 14pt bold',
+          contrast
+        });
+      }
+      if (!pair.apcaPasses) {
+        this.report({
+          code: 'A11Y_APCA_CONTRAST',
+          path: `$.${pair.foreground}`,
+          message: `"${pair.foreground}" on "${pair.background}" has APCA Lc ${Math.abs(pair.apca)}; ${pair.level} text needs Lc ${pair.apcaRequired}${sizeLabel}`,
+          hint: 'APCA weighs dark-on-light and light-on-dark differently; adjust the lightness of either color',
+          contrast
+        });
+      }
+    }
+  }
+
+  /**
+   * Check the brand block against the brand metadata schema, see brandMetadata.js.
+   * Logo and favicon aliases must resolve to a path or URL.
+   */
+  validateBrandMetadata(brand) {
+    for (const problem of validateBrandMetadata(brand)) {
+      this.report({ ...problem, path: `$.brand${problem.path}` });
+    }
+
+    for (const asset of collectBrandAssets(brand).filter(item => item.alias)) {
+      const path = `$.brand${asset.path}`;
+      const resolution = resolveAlias(this.tokenIndex, asset.value);
+      if (resolution.status === 'broken' || resolution.status === 'group' || resolution.status === 'circular') {
+        this.report({
+          code: resolution.status === 'group' ? 'DTCG_ALIAS_TO_GROUP' : resolution.status === 'circular' ? 'DTCG_CIRCULAR_ALIAS' : 'DTCG_BROKEN_ALIAS',
+          path,
+          message: `brand${asset.path} references "{${resolution.ref}}", which ${resolution.status === 'group' ? 'is a group, not a token' : resolution.status === 'circular' ? 'is part of a circular alias chain' : 'does not exist'}`,
+          hint: 'Reference a token whose value is the file path or URL'
+        });
+      } else if (typeof resolution.value !== 'string') {
+        this.report({
+          code: 'BRAND_INVALID_FIELD',
+          path,
+          message: `brand${asset.path} references "{${resolution.path}}", whose value is not a file path or URL`,
+          hint: 'Reference a token whose value is the file path or URL'
         });
       }
     }
+
+    for (const asset of collectBrandAssets(brand).filter(item => !item.alias)) {
+      this.validateAssetFile(asset.value, `$.brand${asset.path}`);
+    }
+  }
+
+  /**
+   * Report a path reference that points at none of the files loaded with the
+   * document (config.assets.files). Without a file list nothing is checked.
+   */
+  validateAssetFile(value, path) {
+    if (!this.assetFiles) return;
+    const base = this.assetOptions.base || '';
+    if (findAssetFile(value, this.assetFiles, base) !== null) return;
+
+    // A loaded file with the same name is likely the intended one
+    const name = value.split(/[?#]/)[0].split('/').pop();
+    const sameName = [...this.assetFiles].find(file => file.split('/').pop() === name);
+    this.report({
+      code: 'DTCG_MISSING_ASSET',
+      path,
+      message: `Asset file "${value}" was not found next to the document`,
+      hint: sameName
+        ? `Did you mean "${getRelativeAssetPath(sameName, base)}"? Paths are relative to the document's folder`
+        : "Add the file next to the document, or fix the path (relative to the document's folder)"
+    });
   }
 
   validateTokenGroups(json) {
     for (const [key, value] of Object.entries(json)) {
-      if (DTCG_GROUPS.includes(key) || key === 'brand') continue;
+      if (key.startsWith('$') || key === 'brand') continue;
+      if (this.onlyGroups && !this.onlyGroups.has(key)) continue;
 
-      if (typeof value !== 'object') {
-        this.errors.push({
+      if (typeof value !== 'object' || value === null) {
+        this.report({
+          code: 'DTCG_INVALID_GROUP',
           path: `$.${key}`,
           message: `Token group "${key}" must be an object`,
-          severity: 'error',
           hint: `"${key}" should contain token definitions like { "primary": { "value": "#E00069" } }`
         });
         continue;
@@ -188,7 +399,31 @@ export class DTCGValidator {
     }
   }
 
-  validateTokenGroup(groupName, groupValue, parentPath = '') {
+  /**
+   * Validate a group's properties and members. Tokens without their own $type
+   * are validated against the group's effective type: its own $type, the type
+   * of the group it $extends, or the type inherited from its parent.
+   */
+  validateTokenGroup(groupName, groupValue, parentPath = '', parentType = null) {
+    const groupId = parentPath ? `${groupName}.${parentPath}` : groupName;
+    this.validateGroupProperties(groupId, groupValue);
+    const groupType = this.tokenIndex.types.get(groupId) || parentType;
+
+    // The group's own value, a token of the group
+    if ('$root' in groupValue) {
+      const root = groupValue.$root;
+      if (typeof root !== 'object' || root === null || Array.isArray(root)) {
+        this.report({
+          code: 'DTCG_INVALID_TOKEN',
+          path: `$.${groupId}.$root`,
+          message: '$root must be a token object',
+          hint: 'Format: "$root": { "$value": "..." }; reference it as {group.$root}'
+        });
+      } else {
+        this.validateToken(groupName, '$root', root, parentPath, groupType);
+      }
+    }
+
     for (const [tokenName, token] of Object.entries(groupValue)) {
       if (tokenName.startsWith('$')) {
         continue;
@@ -197,31 +432,195 @@ export class DTCGValidator {
       const currentPath = parentPath ? `${parentPath}.${tokenName}` : tokenName;
 
       if (typeof token !== 'object' || token === null) {
-        this.errors.push({
+        this.report({
+          code: 'DTCG_INVALID_TOKEN',
           path: `$.${groupName}.${currentPath}`,
           message: `Token must be an object`,
-          severity: 'error',
           hint: `Format: { "$value": "...", "$type": "color" }`
         });
         continue;
       }
 
       // If it doesn't have $value or value, it's a subgroup (recurse)
-      // UNLESS it's an empty object, which we'll treat as a token missing value
-      const hasTokenProps = '$value' in token || 'value' in token;
-      const childKeys = Object.keys(token).filter(k => !k.startsWith('$'));
-      
-      if (!hasTokenProps && childKeys.length > 0) {
+      // UNLESS it has no members, which we'll treat as a token missing value
+      if (isGroupNode(token)) {
         // Recurse into subgroup
-        this.validateTokenGroup(groupName, token, currentPath);
+        this.validateTokenGroup(groupName, token, currentPath, groupType);
       } else {
         // Validate as token
-        this.validateToken(groupName, tokenName, token, parentPath);
+        this.validateToken(groupName, tokenName, token, parentPath, groupType);
       }
     }
   }
 
-  validateToken(groupName, tokenName, token, parentPath = '') {
+  /**
+   * Group-level $type, $description, $extensions, $deprecated and $extends
+   */
+  validateGroupProperties(groupId, group) {
+    const path = `$.${groupId}`;
+
+    if ('$type' in group && !VALID_TOKEN_TYPES.includes(group.$type)) {
+      this.report({
+        code: 'DTCG_UNKNOWN_TYPE',
+        path: `${path}.$type`,
+        message: `Unknown group type: "${group.$type}"`,
+        hint: `Tokens in the group inherit this type. Valid types: ${VALID_TOKEN_TYPES.join(', ')}`
+      });
+    }
+
+    this.validateNodeProperties(group, path, GROUP_PROPERTIES);
+
+    const deprecation = getDeprecation(group);
+    if (deprecation) {
+      this.report({
+        code: 'DTCG_DEPRECATED_TOKEN',
+        path,
+        message: `Group "${groupId}" is deprecated${typeof deprecation === 'string' ? `: ${deprecation}` : ''}`,
+        hint: 'Its tokens are deprecated too; migrate references and remove the group once unused'
+      });
+    }
+
+    if ('$extends' in group) {
+      this.validateGroupExtends(groupId, group.$extends);
+    }
+  }
+
+  /**
+   * $description, $extensions and $deprecated of a token, group or the
+   * document root, and "$" keys the format does not define
+   */
+  validateNodeProperties(node, path, allowed) {
+    if ('$description' in node && typeof node.$description !== 'string') {
+      this.report({
+        code: 'DTCG_INVALID_DESCRIPTION',
+        path: `${path}.$description`,
+        message: '$description must be a string',
+        hint: 'Describe it in plain text, e.g. "$description": "Primary brand color"'
+      });
+    }
+
+    if ('$extensions' in node) {
+      const extensions = node.$extensions;
+      if (typeof extensions !== 'object' || extensions === null || Array.isArray(extensions)) {
+        this.report({
+          code: 'DTCG_INVALID_EXTENSIONS',
+          path: `${path}.$extensions`,
+          message: '$extensions must be an object',
+          hint: 'Key vendor data by reverse domain name, e.g. "$extensions": { "com.example.tool": { ... } }'
+        });
+      } else {
+        for (const key of Object.keys(extensions).filter(key => !EXTENSION_KEY_PATTERN.test(key))) {
+          this.report({
+            code: 'DTCG_EXTENSION_KEY',
+            path: `${path}.$extensions.${key}`,
+            message: `$extensions key "${key}" is not in reverse domain notation`,
+            hint: `Namespace vendor data by a domain you control, e.g. "com.example.${key}"`
+          });
+        }
+      }
+    }
+
+    if ('$deprecated' in node && typeof node.$deprecated !== 'boolean' && typeof node.$deprecated !== 'string') {
+      this.report({
+        code: 'DTCG_INVALID_DEPRECATED',
+        path: `${path}.$deprecated`,
+        message: '$deprecated must be a boolean or a string',
+        hint: 'Use true, or a string explaining what to use instead'
+      });
+    }
+
+    for (const key of Object.keys(node).filter(key => key.startsWith('$') && !allowed.includes(key))) {
+      this.report({
+        code: 'DTCG_UNKNOWN_PROPERTY',
+        path: `${path}.${key}`,
+        message: `Unknown property "${key}": the "$" prefix is reserved for properties defined by the format`,
+        hint: 'Drop the "$" from the name, or move the data into $extensions'
+      });
+    }
+  }
+
+  /**
+   * Report an alias to a deprecated token, unless the referencing token is
+   * deprecated itself
+   */
+  validateDeprecatedReference(ref, selfId, path) {
+    const deprecated = this.tokenIndex.deprecated.get(ref);
+    if (!deprecated || this.tokenIndex.deprecated.has(selfId)) return;
+
+    this.report({
+      code: 'DTCG_DEPRECATED_ALIAS',
+      path,
+      message: `Alias references deprecated token "{${ref}}"${typeof deprecated === 'string' ? `: ${deprecated}` : ''}`,
+      hint: 'Point the alias at the replacement token'
+    });
+  }
+
+  /**
+   * $extends references another group, which must exist, be a group and not
+   * lead back to the extending group (directly, through a chain, or by being
+   * its ancestor or descendant)
+   */
+  validateGroupExtends(groupId, value) {
+    const path = `$.${groupId}.$extends`;
+    const ref = parseAlias(value);
+
+    if (!ref) {
+      this.report({
+        code: 'DTCG_INVALID_EXTENDS',
+        path,
+        message: `$extends must be a group reference (found ${JSON.stringify(value)})`,
+        hint: 'Reference the group with its full dot path in braces, e.g. "$extends": "{button.base}"'
+      });
+      return;
+    }
+
+    if (this.tokenIndex.tokens.has(ref)) {
+      this.report({
+        code: 'DTCG_INVALID_EXTENDS',
+        path,
+        message: `$extends "{${ref}}" points to a token, not a group`,
+        hint: 'Groups can only extend other groups; reference tokens with aliases in $value'
+      });
+      return;
+    }
+
+    if (!this.tokenIndex.groups.has(ref)) {
+      this.report({
+        code: 'DTCG_INVALID_EXTENDS',
+        path,
+        message: `$extends "{${ref}}" does not exist`,
+        hint: 'References use the full dot path from the document root, e.g. "{button.base}"'
+      });
+      return;
+    }
+
+    if (ref === groupId || ref.startsWith(`${groupId}.`) || groupId.startsWith(`${ref}.`)) {
+      this.report({
+        code: 'DTCG_CIRCULAR_EXTENDS',
+        path,
+        message: `Group "${groupId}" cannot extend ${ref === groupId ? 'itself' : `its own ${ref.startsWith(groupId) ? 'descendant' : 'ancestor'} "${ref}"`}`,
+        hint: 'Move the shared tokens into a sibling group and extend that'
+      });
+      return;
+    }
+
+    const chain = [groupId, ref];
+    let next = this.tokenIndex.extends.get(ref);
+    while (next && !chain.includes(next)) {
+      chain.push(next);
+      next = this.tokenIndex.extends.get(next);
+    }
+    if (next === groupId) {
+      this.report({
+        code: 'DTCG_CIRCULAR_EXTENDS',
+        path,
+        message: `Circular $extends: ${[...chain, groupId].join(' → ')}`,
+        hint: 'Remove $extends from one of the groups in the chain'
+      });
+    }
+  }
+
+  validateToken(groupName, tokenName, token, parentPath = '', parentType = null) {
     const fullPath = parentPath ? `${parentPath}.${tokenName}` : tokenName;
     
     if (!('$value' in token) && !('value' in token)) {
@@ -232,189 +631,356 @@ export class DTCGValidator {
         // This looks like a nested structure - provide concrete example
         const exampleKey = keys[0];
         
-        this.errors.push({
+        this.report({
+          code: 'DTCG_MISSING_VALUE',
           path: `$.${groupName}.${fullPath}`,
           message: `Token missing "$value" property - has nested structure instead`,
-          severity: 'error',
           hint: `This token has ${keys.length} nested properties (${keys.join(', ')}). Each should be a separate token.`,
           actualStructure: token,
           correctExample: this.generateCorrectStructure(tokenName, token),
           suggestion: `Flatten nested tokens or add "$value" property`
         });
       } else {
-        this.errors.push({
+        this.report({
+          code: 'DTCG_MISSING_VALUE',
           path: `$.${groupName}.${fullPath}`,
           message: `Token missing "$value" property`,
-          severity: 'error',
           hint: `Add "$value": "..." to define the token value`
         });
       }
     }
 
     if ('value' in token && !('$value' in token)) {
-      this.warnings.push({
+      this.report({
+        code: 'DTCG_LEGACY_VALUE_KEY',
         path: `$.${groupName}.${fullPath}.value`,
         message: 'Legacy "value" key used; prefer "$value" per DTCG 2025.10',
-        severity: 'warning',
         hint: 'Rename "value" to "$value"'
       });
     }
     if ('type' in token && !('$type' in token)) {
-      this.warnings.push({
+      this.report({
+        code: 'DTCG_LEGACY_TYPE_KEY',
         path: `$.${groupName}.${fullPath}.type`,
         message: 'Legacy "type" key used; prefer "$type" per DTCG 2025.10',
-        severity: 'warning',
         hint: 'Rename "type" to "$type"'
       });
     }
 
+    this.validateNodeProperties(token, `$.${groupName}.${fullPath}`, TOKEN_PROPERTIES);
+
+    const deprecation = getDeprecation(token);
+    if (deprecation) {
+      this.report({
+        code: 'DTCG_DEPRECATED_TOKEN',
+        path: `$.${groupName}.${fullPath}`,
+        message: `Token "${groupName}.${fullPath}" is deprecated${typeof deprecation === 'string' ? `: ${deprecation}` : ''}`,
+        hint: 'Migrate references to the replacement token and remove it once unused'
+      });
+    }
+
     if (token.$type) {
       if (!VALID_TOKEN_TYPES.includes(token.$type)) {
-        this.warnings.push({
+        this.report({
+          code: 'DTCG_UNKNOWN_TYPE',
           path: `$.${groupName}.${fullPath}.$type`,
           message: `Unknown token type: "${token.$type}"`,
-          severity: 'warning',
           hint: `Valid types: ${VALID_TOKEN_TYPES.join(', ')}`
         });
       }
-    } else if ('$value' in token || 'value' in token) {
-      const val = token.$value || token.value;
+    }
+
+    const hasValue = '$value' in token || 'value' in token;
+    const val = hasValue ? getTokenValue(token) : undefined;
+    const type = token.$type || parentType;
+
+    // Aliases take their type and value from the referenced token
+    if (isAliasValue(val)) {
+      this.validateAliasValue(groupName, fullPath, token, type);
+      return;
+    }
+
+    if (!type && hasValue) {
       const inferredType = this.inferTokenType(val, tokenName);
       if (inferredType) {
-        this.warnings.push({
+        this.report({
+          code: 'DTCG_MISSING_TYPE',
           path: `$.${groupName}.${fullPath}`,
           message: `Missing $type - inferred as "${inferredType}"`,
-          severity: 'warning',
           hint: `Add "$type": "${inferredType}" for DTCG compliance`,
           suggestedFix: { $type: inferredType }
         });
       }
     }
 
-    if (token.$type) {
-      this.validateTokenValue(groupName, fullPath, token);
+    if (type) {
+      this.validateTokenValue(groupName, fullPath, { ...token, $type: type });
     }
   }
 
-  validateTokenValue(groupName, tokenPath, token) {
+  /**
+   * Resolve a "{group.token}" alias, report broken or circular chains and
+   * validate the resolved value against the referencing token's (effective) $type
+   */
+  validateAliasValue(groupName, tokenPath, token, type = token.$type) {
+    const valueKey = '$value' in token ? '$value' : 'value';
+    const path = `$.${groupName}.${tokenPath}.${valueKey}`;
+    const alias = getTokenValue(token);
+    const resolution = resolveAlias(this.tokenIndex, alias);
+    const selfPath = `${groupName}.${tokenPath}`;
+    const chainParts = [selfPath];
+    for (const ref of resolution.chain) {
+      chainParts.push(ref);
+      if (ref === selfPath) break;
+    }
+    const chain = chainParts.join(' → ');
+
+    if (resolution.status === 'broken') {
+      const candidates = this.findAliasCandidates(resolution.ref);
+      this.report({
+        code: 'DTCG_BROKEN_ALIAS',
+        path,
+        message: resolution.chain.length > 1
+          ? `Broken alias reference: "{${resolution.ref}}" does not exist (${chain})`
+          : `Broken alias reference: "{${resolution.ref}}" does not exist`,
+        hint: candidates.length > 0
+          ? `Did you mean ${candidates.map(c => `"{${c}}"`).join(', ')}?`
+          : 'References use the full dot path from the document root, e.g. "{colors.primary}"'
+      });
+      return;
+    }
+
+    if (resolution.status === 'group') {
+      this.report({
+        code: 'DTCG_ALIAS_TO_GROUP',
+        path,
+        message: `Alias "{${resolution.ref}}" points to a group, not a token`,
+        hint: 'Reference a token inside the group, e.g. "{' + resolution.ref + '.<token>}"'
+      });
+      return;
+    }
+
+    if (resolution.status === 'circular') {
+      this.report({
+        code: 'DTCG_CIRCULAR_ALIAS',
+        path,
+        message: `Circular alias reference: ${chain}`,
+        hint: 'Point one of the tokens in the chain at a literal value'
+      });
+      return;
+    }
+
+    this.validateDeprecatedReference(resolution.chain[0], selfPath, path);
+
+    if (type && resolution.type && type !== resolution.type) {
+      this.report({
+        code: 'DTCG_ALIAS_TYPE_MISMATCH',
+        path,
+        message: `Alias type mismatch: "${type}" token references "{${resolution.path}}" of type "${resolution.type}"`,
+        hint: `Reference a ${type} token or change $type to "${resolution.type}"`
+      });
+      return;
+    }
+
+    const effectiveType = type || resolution.type;
+    if (effectiveType && resolution.value !== undefined) {
+      this.validateTokenValue(groupName, tokenPath, { $type: effectiveType, $value: resolution.value }, path);
+    }
+  }
+
+  /**
+   * Suggest existing token paths close to a broken reference
+   */
+  findAliasCandidates(ref) {
+    const name = ref.split('.').pop();
+    return [...this.tokenIndex.tokens.keys()]
+      .filter(p => p.split('.').pop() === name || levenshtein(p, ref) <= 2)
+      .slice(0, 3);
+  }
+
+  validateTokenValue(groupName, tokenPath, token, path = `$.${groupName}.${tokenPath}.${'$value' in token ? '$value' : 'value'}`) {
     const { $type } = token;
-    const value = token.$value || token.value;
+    const value = getTokenValue(token);
 
     switch ($type) {
       case 'color':
-        this.validateColorValue(groupName, tokenPath, value);
+        this.validateColorValue(groupName, tokenPath, value, path);
         break;
       case 'dimension':
-        this.validateDimensionValue(groupName, tokenPath, value);
+      case 'fontSize':
+      case 'letterSpacing':
+      case 'paragraphSpacing':
+        this.validateDimensionValue(groupName, tokenPath, value, path);
         break;
       case 'number':
-        this.validateNumberValue(groupName, tokenPath, value);
+        this.validateNumberValue(groupName, tokenPath, value, path);
         break;
       case 'opacity':
-        this.validateOpacityValue(groupName, tokenPath, value);
+        this.validateOpacityValue(groupName, tokenPath, value, path);
         break;
       case 'fontFamily':
-        this.validateFontFamilyValue(groupName, tokenPath, value);
+        this.validateFontFamilyValue(groupName, tokenPath, value, path);
         break;
-      case 'fontSize':
       case 'fontWeight':
+        this.validateFontWeightValue(groupName, tokenPath, value, path);
+        break;
       case 'lineHeight':
-      case 'letterSpacing':
-      case 'paragraphSpacing':
-        // These are dimensions; allow string/number/object handled by dimension validator when present
-        this.validateDimensionValue(groupName, tokenPath, value);
+        this.validateLineHeightValue(groupName, tokenPath, value, path);
         break;
       case 'duration':
-        this.validateDurationValue(groupName, tokenPath, value);
+        this.validateDurationValue(groupName, tokenPath, value, path);
         break;
       case 'borderRadius':
-        this.validateBorderRadiusValue(groupName, tokenPath, value);
+        this.validateBorderRadiusValue(groupName, tokenPath, value, path);
         break;
       case 'textCase':
-        this.validateTextCaseValue(groupName, tokenPath, value);
+        this.validateTextCaseValue(groupName, tokenPath, value, path);
         break;
       case 'textDecoration':
-        this.validateTextDecorationValue(groupName, tokenPath, value);
+        this.validateTextDecorationValue(groupName, tokenPath, value, path);
         break;
       case 'typography':
-        this.validateTypographyValue(groupName, tokenPath, value);
+        this.validateTypographyValue(groupName, tokenPath, value, path);
         break;
       case 'shadow':
-        this.validateShadowValue(groupName, tokenPath, value);
+        this.validateShadowValue(groupName, tokenPath, value, path);
         break;
       case 'gradient':
-        this.validateGradientValue(groupName, tokenPath, value);
+        this.validateGradientValue(groupName, tokenPath, value, path);
         break;
       case 'border':
-        this.validateBorderValue(groupName, tokenPath, value);
+        this.validateBorderValue(groupName, tokenPath, value, path);
         break;
       case 'strokeStyle':
-        this.validateStrokeStyleValue(groupName, tokenPath, value);
+        this.validateStrokeStyleValue(groupName, tokenPath, value, path);
         break;
       case 'transition':
-        this.validateTransitionValue(groupName, tokenPath, value);
+        this.validateTransitionValue(groupName, tokenPath, value, path);
         break;
       case 'cubicBezier':
-        this.validateCubicBezierValue(groupName, tokenPath, value);
+        this.validateCubicBezierValue(groupName, tokenPath, value, path);
+        break;
+      case 'asset':
+        this.validateAssetValue(groupName, tokenPath, value, path);
         break;
     }
   }
 
-  validateColorValue(groupName, tokenName, value) {
-    // DTCG Color can be a string or a color object
-    if (typeof value === 'object' && value !== null) {
-      if (!value.colorSpace || !value.channels) {
-        this.errors.push({
-          path: `$.${groupName}.${tokenName}.$value`,
-          message: `Invalid DTCG color object`,
-          severity: 'error',
-          hint: `DTCG color objects must have "colorSpace" and "channels"`
+  /**
+   * Validate one field of a composite value against its own type.
+   * Aliases are resolved first; broken, circular and mistyped references are
+   * reported at the field's path.
+   */
+  validateSubValue(groupName, tokenPath, type, value, path) {
+    if (isAliasValue(value)) {
+      const resolution = resolveAlias(this.tokenIndex, value);
+
+      if (resolution.status === 'broken') {
+        const candidates = this.findAliasCandidates(resolution.ref);
+        this.report({
+          code: 'DTCG_BROKEN_ALIAS',
+          path,
+          message: `Broken alias reference: "{${resolution.ref}}" does not exist`,
+          hint: candidates.length > 0
+            ? `Did you mean ${candidates.map(c => `"{${c}}"`).join(', ')}?`
+            : 'References use the full dot path from the document root, e.g. "{colors.primary}"'
+        });
+        return;
+      }
+      if (resolution.status === 'group') {
+        this.report({
+          code: 'DTCG_ALIAS_TO_GROUP',
+          path,
+          message: `Alias "{${resolution.ref}}" points to a group, not a token`,
+          hint: 'Reference a token inside the group, e.g. "{' + resolution.ref + '.<token>}"'
+        });
+        return;
+      }
+      if (resolution.status === 'circular') {
+        this.report({
+          code: 'DTCG_CIRCULAR_ALIAS',
+          path,
+          message: `Circular alias reference: ${resolution.chain.join(' → ')}`,
+          hint: 'Point one of the tokens in the chain at a literal value'
+        });
+        return;
+      }
+
+      this.validateDeprecatedReference(resolution.chain[0], `${groupName}.${tokenPath}`, path);
+
+      const accepted = ALIAS_COMPATIBLE_TYPES[type] || [type];
+      if (resolution.type && !accepted.includes(resolution.type)) {
+        this.report({
+          code: 'DTCG_ALIAS_TYPE_MISMATCH',
+          path,
+          message: `Alias type mismatch: ${type} field references "{${resolution.path}}" of type "${resolution.type}"`,
+          hint: `Reference a ${type} token`
         });
+        return;
+      }
+      value = resolution.value;
+    }
+
+    this.validateTokenValue(groupName, tokenPath, { $type: type, $value: value }, path);
+  }
+
+  validateColorValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
+    // DTCG Color can be a string or a color object ({ colorSpace, components, alpha, hex })
+    if (typeof value === 'object' && value !== null) {
+      for (const problem of validateColorObject(value)) {
+        this.report({ ...problem, path: `${path}${problem.path}` });
       }
       return;
     }
 
     if (typeof value !== 'string') {
-      this.errors.push({
-        path: `$.${groupName}.${tokenName}.value`,
+      this.report({
+        code: 'DTCG_INVALID_COLOR',
+        path,
         message: `Color value must be a string`,
-        severity: 'error',
         hint: `Use hex (#E00069), rgb(), or color names`
       });
       return;
     }
 
     if (value.startsWith('#')) {
-      if (!/^#[0-9a-fA-F]{3}([0-9a-fA-F]{3})?([0-9a-fA-F]{3})?$/.test(value)) {
-        this.errors.push({
-          path: `$.${groupName}.${tokenName}.value`,
+      if (!isValidHex(value)) {
+        this.report({
+          code: 'DTCG_INVALID_HEX',
+          path,
           message: `Invalid hex color format`,
-          severity: 'error',
-          hint: `Use valid hex: #RGB, #RRGGBB, or #RRGGBBAA`
+          hint: `Use valid hex: #RGB, #RGBA, #RRGGBB, or #RRGGBBAA`
         });
       }
     }
   }
 
-  validateDimensionValue(groupName, tokenName, value) {
+  validateDimensionValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
     // DTCG Dimension can be a string or a dimension object
     if (typeof value === 'object' && value !== null) {
       if (value.value === undefined || value.unit === undefined) {
-        this.errors.push({
-          path: `$.${groupName}.${tokenName}.$value`,
+        this.report({
+          code: 'DTCG_INVALID_DIMENSION',
+          path,
           message: `Invalid DTCG dimension object`,
-          severity: 'error',
           hint: `DTCG dimension objects must have "value" and "unit"`
         });
+      } else if (typeof value.value !== 'number') {
+        this.report({
+          code: 'DTCG_INVALID_DIMENSION',
+          path: `${path}.value`,
+          message: `Dimension "value" must be a number`,
+          hint: `Example: { "value": 16, "unit": "px" }`
+        });
       }
       return;
     }
 
     if (typeof value !== 'string') {
-      this.errors.push({
-        path: `$.${groupName}.${tokenName}.value`,
+      this.report({
+        code: 'DTCG_INVALID_DIMENSION',
+        path,
         message: `Dimension value must be a string`,
-        severity: 'error',
         hint: `Use formats like "16px", "2rem", "100%"`
       });
       return;
@@ -424,182 +990,327 @@ export class DTCGValidator {
     const isUnitlessZero = /^-?0+(\.0+)?$/.test(value);
 
     if (!isDimensionWithUnit && !isUnitlessZero) {
-      this.warnings.push({
-        path: `$.${groupName}.${tokenName}.value`,
+      this.report({
+        code: 'DTCG_UNUSUAL_DIMENSION',
+        path,
         message: `Unusual dimension format`,
-        severity: 'warning',
         hint: `Standard units: px, rem, em, %, vh, vw, pt, cm, mm, in, pc, ch`
       });
     }
   }
 
-  validateFontFamilyValue(groupName, tokenName, value) {
-    if (typeof value !== 'string') {
-      this.errors.push({
-        path: `$.${groupName}.${tokenName}.value`,
+  validateFontFamilyValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
+    const isFamilyList = Array.isArray(value) && value.length > 0 && value.every(family => typeof family === 'string');
+    if (typeof value !== 'string' && !isFamilyList) {
+      this.report({
+        code: 'DTCG_INVALID_FONT_FAMILY',
+        path,
         message: `Font family must be a string or array of strings`,
-        severity: 'error',
         hint: `Use comma-separated font names or arrays: ["Inter", "sans-serif"]`
       });
     }
   }
 
-  validateNumberValue(groupName, tokenName, value) {
+  validateFontWeightValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
+    const isNumeric = typeof value === 'number' && value >= 1 && value <= 1000;
+    if (!isNumeric && !FONT_WEIGHT_KEYWORDS.includes(value)) {
+      this.report({
+        code: 'DTCG_INVALID_FONT_WEIGHT',
+        path,
+        message: 'Font weight must be a number between 1 and 1000 or a weight keyword',
+        hint: `Examples: 400, 700, "bold", "semi-bold"`
+      });
+    }
+  }
+
+  validateLineHeightValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
+    // DTCG specifies a unitless number; dimensions and "normal" are common in the wild
+    if (typeof value === 'number' || value === 'normal') return;
+    if (typeof value === 'string' && /^-?[\d.]+$/.test(value)) {
+      this.report({
+        code: 'DTCG_INVALID_LINE_HEIGHT',
+        path,
+        message: 'Line height is a numeric string',
+        hint: `Use a number: ${parseFloat(value)}`
+      });
+      return;
+    }
+    this.validateDimensionValue(groupName, tokenName, value, path);
+  }
+
+  validateNumberValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
     if (typeof value !== 'number') {
-      this.errors.push({
-        path: `$.${groupName}.${tokenName}.$value`,
+      this.report({
+        code: 'DTCG_INVALID_NUMBER',
+        path,
         message: 'Number token must have a numeric $value',
-        severity: 'error',
-        hint: 'Use a plain number (no unit)' 
+        hint: 'Use a plain number (no unit)'
       });
     }
   }
 
-  validateOpacityValue(groupName, tokenName, value) {
+  validateOpacityValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
     if (typeof value !== 'number' || value < 0 || value > 1) {
-      this.errors.push({
-        path: `$.${groupName}.${tokenName}.$value`,
+      this.report({
+        code: 'DTCG_INVALID_OPACITY',
+        path,
         message: 'Opacity must be a number between 0 and 1',
-        severity: 'error',
-        hint: 'Example: 0.75' 
+        hint: 'Example: 0.75'
       });
     }
   }
 
-  validateDurationValue(groupName, tokenName, value) {
+  validateDurationValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
     const isValid = (typeof value === 'number') || (typeof value === 'string' && /^-?[\d.]+(ms|s)$/.test(value));
     if (!isValid) {
-      this.errors.push({
-        path: `$.${groupName}.${tokenName}.$value`,
+      this.report({
+        code: 'DTCG_INVALID_DURATION',
+        path,
         message: 'Duration must be number (ms) or string ending with ms/s',
-        severity: 'error',
         hint: 'Examples: 250, "250ms", "0.2s"'
       });
     }
   }
 
-  validateBorderRadiusValue(groupName, tokenName, value) {
+  validateBorderRadiusValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
     const check = (v) => typeof v === 'number' || (typeof v === 'string' && /^[\d.]+(px|rem|em|%)$/.test(v));
     if (!(check(value) || (typeof value === 'object' && value !== null && check(value.value)))) {
-      this.errors.push({
-        path: `$.${groupName}.${tokenName}.$value`,
+      this.report({
+        code: 'DTCG_INVALID_BORDER_RADIUS',
+        path,
         message: 'Border radius must be a dimension (number or string with unit)',
-        severity: 'error',
         hint: 'Examples: 4, "4px", { "value": 4, "unit": "px" }'
       });
     }
   }
 
-  validateTextCaseValue(groupName, tokenName, value) {
-    const allowed = ['none', 'uppercase', 'lowercase', 'capitalize'];
-    if (typeof value !== 'string' || !allowed.includes(value)) {
-      this.errors.push({
-        path: `$.${groupName}.${tokenName}.$value`,
-        message: `textCase must be one of ${allowed.join(', ')}`,
-        severity: 'error'
+  validateTextCaseValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
+    if (typeof value !== 'string' || !TEXT_CASES.includes(value)) {
+      this.report({
+        code: 'DTCG_INVALID_TEXT_CASE',
+        path,
+        message: `textCase must be one of ${TEXT_CASES.join(', ')}`
       });
     }
   }
 
-  validateTextDecorationValue(groupName, tokenName, value) {
-    const allowed = ['none', 'underline', 'line-through', 'overline'];
-    if (typeof value !== 'string' || !allowed.includes(value)) {
-      this.errors.push({
-        path: `$.${groupName}.${tokenName}.$value`,
-        message: `textDecoration must be one of ${allowed.join(', ')}`,
-        severity: 'error'
+  validateTextDecorationValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
+    if (typeof value !== 'string' || !TEXT_DECORATIONS.includes(value)) {
+      this.report({
+        code: 'DTCG_INVALID_TEXT_DECORATION',
+        path,
+        message: `textDecoration must be one of ${TEXT_DECORATIONS.join(', ')}`
       });
     }
   }
 
-  validateTypographyValue(groupName, tokenName, value) {
-    if (typeof value !== 'object' || value === null) {
-      this.errors.push({
-        path: `$.${groupName}.${tokenName}.$value`,
-        message: 'Typography must be an object',
-        severity: 'error'
+  validateTypographyValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      this.report({
+        code: 'DTCG_INVALID_TYPOGRAPHY',
+        path,
+        message: 'Typography must be an object'
       });
       return;
     }
     const required = ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight'];
     for (const r of required) {
       if (!(r in value)) {
-        this.errors.push({
-          path: `$.${groupName}.${tokenName}.$value.${r}`,
-          message: `Typography missing ${r}`,
-          severity: 'error'
+        this.report({
+          code: 'DTCG_INVALID_TYPOGRAPHY',
+          path: `${path}.${r}`,
+          message: `Typography missing ${r}`
         });
       }
     }
-    if ('letterSpacing' in value) this.validateDimensionValue(groupName, `${tokenName}.letterSpacing`, value.letterSpacing);
-    if ('paragraphSpacing' in value) this.validateDimensionValue(groupName, `${tokenName}.paragraphSpacing`, value.paragraphSpacing);
-    if ('textCase' in value) this.validateTextCaseValue(groupName, `${tokenName}.textCase`, value.textCase);
-    if ('textDecoration' in value) this.validateTextDecorationValue(groupName, `${tokenName}.textDecoration`, value.textDecoration);
+    for (const [field, type] of Object.entries(TYPOGRAPHY_FIELDS)) {
+      if (field in value) this.validateSubValue(groupName, tokenName, type, value[field], `${path}.${field}`);
+    }
   }
 
-  validateShadowValue(groupName, tokenName, value) {
-    const shadows = Array.isArray(value) ? value : [value];
+  validateShadowValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
+    const isLayered = Array.isArray(value);
+    const shadows = isLayered ? value : [value];
+    if (isLayered && shadows.length === 0) {
+      this.report({ code: 'DTCG_INVALID_SHADOW', path, message: 'Shadow list is empty' });
+    }
     for (const [idx, shadow] of shadows.entries()) {
-      if (typeof shadow !== 'object' || shadow === null) {
-        this.errors.push({ path: `$.${groupName}.${tokenName}.$value[${idx}]`, message: 'Shadow must be an object', severity: 'error' });
+      const shadowPath = isLayered ? `${path}[${idx}]` : path;
+      if (isAliasValue(shadow)) {
+        this.validateSubValue(groupName, tokenName, 'shadow', shadow, shadowPath);
+        continue;
+      }
+      if (typeof shadow !== 'object' || shadow === null || Array.isArray(shadow)) {
+        this.report({ code: 'DTCG_INVALID_SHADOW', path: shadowPath, message: 'Shadow must be an object' });
         continue;
       }
       const required = ['color', 'offsetX', 'offsetY', 'blur'];
       for (const r of required) {
         if (!(r in shadow)) {
-          this.errors.push({ path: `$.${groupName}.${tokenName}.$value[${idx}].${r}`, message: 'Shadow missing field', severity: 'error' });
+          this.report({ code: 'DTCG_INVALID_SHADOW', path: `${shadowPath}.${r}`, message: `Shadow missing ${r}` });
         }
       }
+      if ('color' in shadow) this.validateSubValue(groupName, tokenName, 'color', shadow.color, `${shadowPath}.color`);
+      for (const field of ['offsetX', 'offsetY', 'blur', 'spread']) {
+        if (field in shadow) this.validateSubValue(groupName, tokenName, 'dimension', shadow[field], `${shadowPath}.${field}`);
+      }
+      // Dimension strings ("-2px"), objects ({ value: -2, unit: "px" }) and bare numbers
+      const { blur } = shadow;
+      const negativeBlur = typeof blur === 'string'
+        ? blur.trim().startsWith('-')
+        : (typeof blur === 'number' ? blur : blur?.value) < 0;
+      if (negativeBlur) {
+        this.report({ code: 'DTCG_INVALID_SHADOW', path: `${shadowPath}.blur`, message: 'Shadow blur cannot be negative' });
+      }
+      if ('inset' in shadow && typeof shadow.inset !== 'boolean') {
+        this.report({
+          code: 'DTCG_INVALID_SHADOW',
+          path: `${shadowPath}.inset`,
+          message: 'Shadow inset must be true or false',
+          hint: 'Omit "inset" for drop shadows'
+        });
+      }
     }
   }
 
-  validateGradientValue(groupName, tokenName, value) {
+  validateGradientValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
+    // DTCG gradients are a list of stops; { stops, angle } is accepted too
     if (typeof value !== 'object' || value === null) {
-      this.errors.push({ path: `$.${groupName}.${tokenName}.$value`, message: 'Gradient must be an object', severity: 'error' });
+      this.report({ code: 'DTCG_INVALID_GRADIENT', path, message: 'Gradient must be a list of stops' });
+      return;
+    }
+    const stops = Array.isArray(value) ? value : value.stops;
+    const stopsPath = Array.isArray(value) ? path : `${path}.stops`;
+    if (!Array.isArray(stops) || stops.length === 0) {
+      this.report({ code: 'DTCG_INVALID_GRADIENT', path: stopsPath, message: 'Gradient requires stops' });
       return;
     }
-    if (!value.stops || !Array.isArray(value.stops) || value.stops.length === 0) {
-      this.errors.push({ path: `$.${groupName}.${tokenName}.$value.stops`, message: 'Gradient requires stops', severity: 'error' });
+    for (const [idx, stop] of stops.entries()) {
+      const stopPath = `${stopsPath}[${idx}]`;
+      if (typeof stop !== 'object' || stop === null || Array.isArray(stop)) {
+        this.report({ code: 'DTCG_INVALID_GRADIENT', path: stopPath, message: 'Gradient stop must be an object with color and position' });
+        continue;
+      }
+      if (!('color' in stop)) {
+        this.report({ code: 'DTCG_INVALID_GRADIENT', path: `${stopPath}.color`, message: 'Gradient stop missing color' });
+      } else {
+        this.validateSubValue(groupName, tokenName, 'color', stop.color, `${stopPath}.color`);
+      }
+      if (!('position' in stop)) {
+        this.report({ code: 'DTCG_INVALID_GRADIENT', path: `${stopPath}.position`, message: 'Gradient stop missing position' });
+        continue;
+      }
+      const position = isAliasValue(stop.position) ? resolveAlias(this.tokenIndex, stop.position).value : stop.position;
+      if (isAliasValue(stop.position) && position === undefined) {
+        this.validateSubValue(groupName, tokenName, 'number', stop.position, `${stopPath}.position`);
+      } else if (typeof position !== 'number' || position < 0 || position > 1) {
+        this.report({
+          code: 'DTCG_INVALID_GRADIENT',
+          path: `${stopPath}.position`,
+          message: 'Gradient stop position must be a number between 0 and 1',
+          hint: 'Example: 0.5 for the middle of the gradient'
+        });
+      }
     }
   }
 
-  validateBorderValue(groupName, tokenName, value) {
-    if (typeof value !== 'object' || value === null) {
-      this.errors.push({ path: `$.${groupName}.${tokenName}.$value`, message: 'Border must be an object', severity: 'error' });
+  validateBorderValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      this.report({ code: 'DTCG_INVALID_BORDER', path, message: 'Border must be an object' });
       return;
     }
     const required = ['color', 'width', 'style'];
     for (const r of required) {
       if (!(r in value)) {
-        this.errors.push({ path: `$.${groupName}.${tokenName}.$value.${r}`, message: `Border missing ${r}`, severity: 'error' });
+        this.report({ code: 'DTCG_INVALID_BORDER', path: `${path}.${r}`, message: `Border missing ${r}` });
       }
     }
+    if ('color' in value) this.validateSubValue(groupName, tokenName, 'color', value.color, `${path}.color`);
+    if ('width' in value) this.validateSubValue(groupName, tokenName, 'dimension', value.width, `${path}.width`);
+    if ('style' in value) this.validateSubValue(groupName, tokenName, 'strokeStyle', value.style, `${path}.style`);
   }
 
-  validateStrokeStyleValue(groupName, tokenName, value) {
-    if (typeof value !== 'object' || value === null) {
-      this.errors.push({ path: `$.${groupName}.${tokenName}.$value`, message: 'Stroke style must be an object', severity: 'error' });
+  validateStrokeStyleValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
+    if (typeof value === 'string') {
+      if (!STROKE_STYLE_KEYWORDS.includes(value)) {
+        this.report({
+          code: 'DTCG_INVALID_STROKE_STYLE',
+          path,
+          message: `Stroke style must be one of ${STROKE_STYLE_KEYWORDS.join(', ')}`,
+          hint: 'Or an object: { "dashArray": ["4px", "2px"], "lineCap": "round" }'
+        });
+      }
+      return;
+    }
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      this.report({ code: 'DTCG_INVALID_STROKE_STYLE', path, message: 'Stroke style must be a keyword or an object' });
       return;
     }
+    if (!Array.isArray(value.dashArray) || value.dashArray.length === 0) {
+      this.report({
+        code: 'DTCG_INVALID_STROKE_STYLE',
+        path: `${path}.dashArray`,
+        message: 'Stroke style dashArray must be a non-empty list of dimensions'
+      });
+    } else {
+      value.dashArray.forEach((dash, idx) => {
+        this.validateSubValue(groupName, tokenName, 'dimension', dash, `${path}.dashArray[${idx}]`);
+      });
+    }
+    if (!LINE_CAPS.includes(value.lineCap)) {
+      this.report({
+        code: 'DTCG_INVALID_STROKE_STYLE',
+        path: `${path}.lineCap`,
+        message: `Stroke style lineCap must be one of ${LINE_CAPS.join(', ')}`
+      });
+    }
   }
 
-  validateTransitionValue(groupName, tokenName, value) {
-    if (typeof value !== 'object' || value === null) {
-      this.errors.push({ path: `$.${groupName}.${tokenName}.$value`, message: 'Transition must be an object', severity: 'error' });
+  validateTransitionValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      this.report({ code: 'DTCG_INVALID_TRANSITION', path, message: 'Transition must be an object' });
       return;
     }
-    if (!value.duration) {
-      this.errors.push({ path: `$.${groupName}.${tokenName}.$value.duration`, message: 'Transition missing duration', severity: 'error' });
+    if (!('duration' in value)) {
+      this.report({ code: 'DTCG_INVALID_TRANSITION', path: `${path}.duration`, message: 'Transition missing duration' });
+    } else {
+      this.validateSubValue(groupName, tokenName, 'duration', value.duration, `${path}.duration`);
     }
-    if (value.timingFunction && value.timingFunction.$type !== 'cubicBezier') {
-      this.warnings.push({ path: `$.${groupName}.${tokenName}.$value.timingFunction`, message: 'timingFunction should be a cubicBezier token', severity: 'warning' });
+    if ('delay' in value) this.validateSubValue(groupName, tokenName, 'duration', value.delay, `${path}.delay`);
+
+    const { timingFunction } = value;
+    if (timingFunction === undefined) return;
+    if (Array.isArray(timingFunction) || isAliasValue(timingFunction)) {
+      this.validateSubValue(groupName, tokenName, 'cubicBezier', timingFunction, `${path}.timingFunction`);
+    } else if (timingFunction?.$type === 'cubicBezier') {
+      // Inline token form, kept for older files
+      this.validateCubicBezierValue(groupName, tokenName, timingFunction.$value, `${path}.timingFunction`);
+    } else {
+      this.report({ code: 'DTCG_INVALID_TIMING_FUNCTION', path: `${path}.timingFunction`, message: 'timingFunction should be a cubicBezier value' });
     }
   }
 
-  validateCubicBezierValue(groupName, tokenName, value) {
+  validateCubicBezierValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
     const arr = Array.isArray(value) ? value : value?.$value;
     if (!Array.isArray(arr) || arr.length !== 4 || arr.some(n => typeof n !== 'number')) {
-      this.errors.push({ path: `$.${groupName}.${tokenName}.$value`, message: 'cubicBezier must be an array of four numbers', severity: 'error' });
+      this.report({ code: 'DTCG_INVALID_CUBIC_BEZIER', path, message: 'cubicBezier must be an array of four numbers' });
+    } else if (arr[0] < 0 || arr[0] > 1 || arr[2] < 0 || arr[2] > 1) {
+      this.report({
+        code: 'DTCG_INVALID_CUBIC_BEZIER',
+        path,
+        message: 'cubicBezier x coordinates (P1x, P2x) must be between 0 and 1',
+        hint: 'Example: [0.4, 0, 0.2, 1]'
+      });
+    }
+  }
+
+  validateAssetValue(groupName, tokenName, value, path = `$.${groupName}.${tokenName}.$value`) {
+    const problems = validateAssetValue(value, this.assetOptions);
+    for (const problem of problems) {
+      this.report({ ...problem, path: `${path}${problem.path}` });
+    }
+    if (problems.length === 0) {
+      this.validateAssetFile(value, path);
     }
   }
 
@@ -661,14 +1372,14 @@ export class DTCGValidator {
         }
         
         if (typeof value === 'object' && value !== null) {
-          if ('value' in value || '$type' in value) {
+          if (isTokenNode(value) || '$type' in value) {
             // This is a token - flatten it
             const newKey = prefix ? `${prefix}-${key}` : key;
             flattened[newKey] = { ...value };
             
             // Infer $type if missing
-            if (!flattened[newKey].$type && 'value' in value) {
-              const inferredType = this.inferTokenType(value.value, newKey);
+            if (!flattened[newKey].$type && !flattened[newKey].type && isTokenNode(value)) {
+              const inferredType = this.inferTokenType(getTokenValue(value), newKey);
               if (inferredType) {
                 flattened[newKey].$type = inferredType;
               }
@@ -697,12 +1408,29 @@ export class DTCGValidator {
       if (DTCG_GROUPS.includes(groupName) || groupName === 'brand') continue;
       
       const group = json[groupName];
-      if (typeof group !== 'object') continue;
+      if (typeof group !== 'object' || group === null || '$type' in group) continue;
 
       this.collectMissingTypes(group, groupName, '', fixes);
     }
 
-    // Issue 2: Nested structures
+    // Issue 2: Legacy value/type keys
+    walkTokens(json, (token, path) => {
+      const renames = { value: '$value', type: '$type' };
+      const legacyKeys = Object.keys(renames).filter(key => key in token && !(renames[key] in token));
+      if (legacyKeys.length === 0) return;
+
+      fixes.push({
+        id: `fix-${fixes.length}`,
+        type: 'rename-keys',
+        path: `$.${path.join('.')}`,
+        description: `Rename ${legacyKeys.map(key => `"${key}"`).join(' and ')} to ${legacyKeys.map(key => `"${renames[key]}"`).join(' and ')}`,
+        before: { ...token },
+        after: Object.fromEntries(Object.entries(token).map(([key, value]) => [legacyKeys.includes(key) ? renames[key] : key, value])),
+        approved: false
+      });
+    });
+
+    // Issue 3: Nested structures
     for (const issue of this.structureIssues) {
       if (issue.autoFixable) {
         fixes.push({
@@ -730,8 +1458,8 @@ export class DTCGValidator {
       const currentPath = path ? `${path}.${key}` : key;
       
       if (typeof value === 'object' && value !== null) {
-        if ('value' in value && !('$type' in value)) {
-          const inferredType = this.inferTokenType(value.value, key);
+        if (isTokenNode(value) && !('$type' in value) && !('type' in value)) {
+          const inferredType = this.inferTokenType(getTokenValue(value), key);
           if (inferredType) {
             fixes.push({
               id: `fix-${fixes.length}`,
@@ -743,7 +1471,7 @@ export class DTCGValidator {
               approved: false
             });
           }
-        } else if (!('value' in value) && !('$type' in value)) {
+        } else if (!isTokenNode(value) && !('$type' in value)) {
           // Recurse for nested groups
           this.collectMissingTypes(value, groupName, currentPath, fixes);
         }
@@ -756,8 +1484,10 @@ export class DTCGValidator {
    */
   applyApprovedFixes(json, fixes) {
     const result = JSON.parse(JSON.stringify(json));
+    // Token-level fixes first, so flattening moves already-fixed tokens
+    const ordered = [...fixes].sort((a, b) => (a.type === 'flatten') - (b.type === 'flatten'));
     
-    for (const fix of fixes) {
+    for (const fix of ordered) {
       if (!fix.approved) continue;
 
       if (fix.type === 'add-type') {
@@ -773,6 +1503,19 @@ export class DTCGValidator {
         if (current && current[lastKey]) {
           current[lastKey].$type = fix.after.$type;
         }
+      } else if (fix.type === 'rename-keys') {
+        const parts = fix.path.split('.').filter(p => p !== '$');
+        const parent = parts.slice(0, -1).reduce((node, key) => node?.[key], result);
+        const lastKey = parts[parts.length - 1];
+        if (parent && parent[lastKey]) {
+          parent[lastKey] = Object.fromEntries(
+            Object.entries(parent[lastKey]).map(([key, value]) => [
+              (key === 'value' && !('$value' in parent[lastKey])) ? '$value'
+                : (key === 'type' && !('$type' in parent[lastKey])) ? '$type' : key,
+              value
+            ])
+          );
+        }
       } else if (fix.type === 'flatten') {
         const parts = fix.path.split('.').filter(p => p !== '$');
         const groupName = parts[0];
@@ -787,13 +1530,13 @@ export class DTCGValidator {
             current = current[tokenPath[i]];
           }
           
-          // Remove nested structure and add flattened tokens
+          // Replace the nested structure with its flattened tokens. Flatten the
+          // current node rather than fix.after so fixes approved inside it are kept.
           const lastKey = tokenPath[tokenPath.length - 1];
           if (current[lastKey]) {
+            const flattened = this.generateFlattenedExample(groupName, tokenPath.join('.'), current[lastKey]);
             delete current[lastKey];
-            
-            // Add flattened tokens to group root
-            Object.assign(result[groupName], fix.after);
+            Object.assign(current, flattened);
           }
         }
       }
@@ -857,16 +1600,20 @@ export class DTCGValidator {
   }
 
   getSuggestion(error) {
-    if (error.message.includes('missing "value"')) {
-      return 'Add a value property to complete the token definition';
+    switch (error.code) {
+      case 'DTCG_MISSING_VALUE':
+        return 'Add a $value property to complete the token definition';
+      case 'DTCG_INVALID_GROUP':
+      case 'DTCG_INVALID_TOKEN':
+      case 'BRAND_INVALID_METADATA':
+        return 'Wrap the content in curly braces: { }';
+      case 'DTCG_INVALID_HEX':
+        return 'Check hex color format: #RGB, #RGBA, #RRGGBB or #RRGGBBAA';
+      case 'DTCG_LEGACY_COLOR_CHANNELS':
+        return 'Move channels into "components" and "a" into "alpha"';
+      default:
+        return null;
     }
-    if (error.message.includes('must be an object')) {
-      return 'Wrap the content in curly braces: { }';
-    }
-    if (error.message.includes('Invalid hex color')) {
-      return 'Check hex color format: #RGB or #RRGGBB';
-    }
-    return null;
   }
 
   // Auto-fix JSON: Convert to DTCG standard based on spec from designtokens.org
@@ -903,6 +1650,9 @@ export class DTCGValidator {
       if (resolvedType === 'color' && typeof val === 'string') {
         // Keep hex/color strings as-is for better readability
         newNode.$value = val;
+      } else if (resolvedType === 'color' && val?.channels && !val.components) {
+        // Legacy { channels: { r, g, b, a } } -> { components, alpha }
+        newNode.$value = legacyToColorObject(val);
       } else if (resolvedType === 'dimension' && typeof val === 'string') {
         newNode.$value = this.parseDimension(val);
       } else if ((resolvedType === 'number' || resolvedType === 'opacity') && typeof val === 'string' && /^-?[\d.]+$/.test(val)) {
@@ -957,59 +1707,13 @@ export class DTCGValidator {
   
   // Helper: Convert hex color to DTCG color object
   convertToColorObject(hex) {
-    if (typeof hex !== 'string') return hex;
-    
-    // Remove # and parse
-    const cleanHex = hex.replace('#', '');
-    let r, g, b;
-    
-    if (cleanHex.length === 3) {
-      r = parseInt(cleanHex[0] + cleanHex[0], 16) / 255;
-      g = parseInt(cleanHex[1] + cleanHex[1], 16) / 255;
-      b = parseInt(cleanHex[2] + cleanHex[2], 16) / 255;
-    } else if (cleanHex.length === 4) { // #RGBA
-      r = parseInt(cleanHex[0] + cleanHex[0], 16) / 255;
-      g = parseInt(cleanHex[1] + cleanHex[1], 16) / 255;
-      b = parseInt(cleanHex[2] + cleanHex[2], 16) / 255;
-      // We could handle alpha too
-    } else if (cleanHex.length === 6) {
-      r = parseInt(cleanHex.substr(0, 2), 16) / 255;
-      g = parseInt(cleanHex.substr(2, 2), 16) / 255;
-      b = parseInt(cleanHex.substr(4, 2), 16) / 255;
-    } else if (cleanHex.length === 8) { // #RRGGBBAA
-      r = parseInt(cleanHex.substr(0, 2), 16) / 255;
-      g = parseInt(cleanHex.substr(2, 2), 16) / 255;
-      b = parseInt(cleanHex.substr(4, 2), 16) / 255;
-    } else {
-      return hex; // Invalid, return as-is
-    }
-    
-    return {
-      colorSpace: 'srgb',
-      channels: {
-        r: Math.round(r * 1000) / 1000,
-        g: Math.round(g * 1000) / 1000,
-        b: Math.round(b * 1000) / 1000,
-        a: 1
-      }
-    };
+    if (typeof hex !== 'string' || !isValidHex(hex)) return hex;
+    return cssToColorObject(hex);
   }
   
-  // Helper: Parse color strings like "rgb(255, 0, 0)"
+  // Helper: Parse color strings like "rgb(255, 0, 0)" or "oklch(0.7 0.1 200)"
   parseColorString(colorStr) {
-    const rgbMatch = colorStr.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
-    if (rgbMatch) {
-      return {
-        colorSpace: 'srgb',
-        channels: {
-          r: parseInt(rgbMatch[1]) / 255,
-          g: parseInt(rgbMatch[2]) / 255,
-          b: parseInt(rgbMatch[3]) / 255,
-          a: rgbMatch[4] ? parseFloat(rgbMatch[4]) : 1
-        }
-      };
-    }
-    return colorStr; // Can't parse, return as-is
+    return cssToColorObject(colorStr) ?? colorStr; // Can't parse, return as-is
   }
   
   // Helper: Parse dimension strings like "16px"
@@ -1024,3 +1728,4 @@ export class DTCGValidator {
     return dimStr; // Can't parse, return as-is
   }
 }
+
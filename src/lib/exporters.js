@@ -0,0 +1,440 @@
+/**
+ * Token exporters
+ * Convert a validated DTCG document into CSS custom properties, SCSS
+ * variables, an ES module or TypeScript declarations.
+ */
+
+import { colorObjectToCss } from './color.js';
+import { buildTokenIndex, getTokenValue, isAliasValue, parseAlias, resolveAlias, walkTokens } from './tokenTree.js';
+
+export const EXPORT_FORMATS = {
+  css: { label: 'CSS Custom Properties', extension: 'css', mimeType: 'text/css', naming: 'kebab' },
+  scss: { label: 'SCSS Variables', extension: 'scss', mimeType: 'text/x-scss', naming: 'kebab' },
+  js: { label: 'ES Module', extension: 'js', mimeType: 'text/javascript', naming: 'camel' },
+  dts: { label: 'TypeScript Declarations', extension: 'd.ts', mimeType: 'application/typescript', naming: 'camel' }
+};
+
+const HEADER = 'Generated by brand-json-validator. Do not edit directly.';
+
+const FONT_WEIGHT_KEYWORDS = {
+  thin: 100,
+  hairline: 100,
+  'extra-light': 200,
+  'ultra-light': 200,
+  light: 300,
+  normal: 400,
+  regular: 400,
+  book: 400,
+  medium: 500,
+  'semi-bold': 600,
+  'demi-bold': 600,
+  bold: 700,
+  'extra-bold': 800,
+  'ultra-bold': 800,
+  black: 900,
+  heavy: 900
+};
+
+// Words that cannot name an ES module export
+const RESERVED_WORDS = new Set([
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements', 'import',
+  'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public',
+  'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while',
+  'with', 'yield'
+]);
+
+// Short stable hash standing in for path segments without letters or digits ("🎨")
+function hashSegment(part) {
+  let hash = 5381;
+  for (const char of String(part)) hash = (hash * 33 + char.codePointAt(0)) >>> 0;
+  return `u${hash.toString(36)}`;
+}
+
+function splitWords(part) {
+  // Letters and digits of any script ("ñandú", "主色"); combining marks stay with their letter
+  const words = String(part)
+    .replace(/([\p{Ll}\p{Nd}])(\p{Lu})/gu, '$1 $2')
+    .split(/[^\p{L}\p{M}\p{Nd}]+/u)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+  return words.length > 0 ? words : [hashSegment(part)];
+}
+
+/**
+ * Turn a token path into a variable name
+ */
+export function formatTokenName(path, naming = 'kebab', prefix = '') {
+  const words = [...(prefix ? splitWords(prefix) : []), ...path.flatMap(splitWords)];
+
+  let name;
+  switch (naming) {
+    case 'camel':
+      name = words.map((w, i) => (i === 0 ? w : w[0].toUpperCase() + w.slice(1))).join('');
+      break;
+    case 'snake':
+      name = words.join('_');
+      break;
+    case 'constant':
+      name = words.join('_').toUpperCase();
+      break;
+    default:
+      name = words.join('-');
+  }
+  // Identifiers and SCSS variables cannot start with a digit or be a reserved word
+  return /^\p{Nd}/u.test(name) || RESERVED_WORDS.has(name) ? `_${name}` : name;
+}
+
+function formatColor(value) {
+  if (typeof value === 'string') return value;
+  if (!value || typeof value !== 'object') return String(value);
+  if (!value.components && !value.channels) return value.hex ?? String(value);
+  return colorObjectToCss(value);
+}
+
+function formatDimension(value, defaultUnit = 'px') {
+  if (typeof value === 'number') return value === 0 ? '0' : `${value}${defaultUnit}`;
+  if (value && typeof value === 'object' && 'value' in value) return `${value.value}${value.unit ?? ''}`;
+  return String(value);
+}
+
+function formatFontFamily(value) {
+  const families = Array.isArray(value) ? value : [value];
+  return families
+    .map(family => (/\s/.test(family) && !/^['"]/.test(family) ? `"${family}"` : family))
+    .join(', ');
+}
+
+function formatFontWeight(value) {
+  if (typeof value === 'string' && FONT_WEIGHT_KEYWORDS[value.toLowerCase()]) {
+    return String(FONT_WEIGHT_KEYWORDS[value.toLowerCase()]);
+  }
+  return String(value);
+}
+
+function formatCubicBezier(value) {
+  return Array.isArray(value) ? `cubic-bezier(${value.join(', ')})` : String(value);
+}
+
+function formatStrokeStyle(value) {
+  // Object stroke styles (dashArray/lineCap) have no CSS border-style equivalent
+  return typeof value === 'string' ? value : 'dashed';
+}
+
+/**
+ * Serialize a token value of a given type as a CSS value.
+ * `sub(value, type)` serializes nested values and handles aliases inside composites.
+ */
+function toCss(value, type, sub) {
+  switch (type) {
+    case 'color':
+      return formatColor(value);
+    case 'dimension':
+    case 'fontSize':
+    case 'letterSpacing':
+    case 'paragraphSpacing':
+    case 'borderRadius':
+      return formatDimension(value);
+    case 'lineHeight':
+      return typeof value === 'number' ? String(value) : formatDimension(value);
+    case 'duration':
+      return formatDimension(value, 'ms');
+    case 'fontFamily':
+      return formatFontFamily(value);
+    case 'fontWeight':
+      return formatFontWeight(value);
+    case 'cubicBezier':
+      return formatCubicBezier(value);
+    case 'strokeStyle':
+      return formatStrokeStyle(value);
+    case 'asset':
+      return `url("${value}")`;
+    case 'typography': {
+      const style = value.fontStyle ? `${value.fontStyle} ` : '';
+      const size = sub(value.fontSize, 'fontSize');
+      const lineHeight = value.lineHeight !== undefined ? `/${sub(value.lineHeight, 'lineHeight')}` : '';
+      return `${style}${sub(value.fontWeight, 'fontWeight')} ${size}${lineHeight} ${sub(value.fontFamily, 'fontFamily')}`;
+    }
+    case 'shadow': {
+      const shadows = Array.isArray(value) ? value : [value];
+      return shadows.map(shadow => [
+        shadow.inset ? 'inset' : null,
+        sub(shadow.offsetX, 'dimension'),
+        sub(shadow.offsetY, 'dimension'),
+        sub(shadow.blur, 'dimension'),
+        shadow.spread !== undefined ? sub(shadow.spread, 'dimension') : null,
+        sub(shadow.color, 'color')
+      ].filter(Boolean).join(' ')).join(', ');
+    }
+    case 'border':
+      return `${sub(value.width, 'dimension')} ${sub(value.style, 'strokeStyle')} ${sub(value.color, 'color')}`;
+    case 'transition':
+      return [
+        sub(value.duration, 'duration'),
+        value.timingFunction !== undefined ? sub(value.timingFunction, 'cubicBezier') : null,
+        value.delay !== undefined ? sub(value.delay, 'duration') : null
+      ].filter(Boolean).join(' ');
+    case 'gradient': {
+      const stops = Array.isArray(value) ? value : value.stops || [];
+      const angle = !Array.isArray(value) && value.angle !== undefined ? `${sub(value.angle, 'number')}deg, ` : '';
+      const parts = stops.map(stop => {
+        const position = stop.position !== undefined ? ` ${Math.round(Number(stop.position) * 1000) / 10}%` : '';
+        return `${sub(stop.color, 'color')}${position}`;
+      });
+      return `linear-gradient(${angle}${parts.join(', ')})`;
+    }
+    default:
+      return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+  }
+}
+
+const COMPOSITE_FIELDS = {
+  typography: {
+    fontFamily: 'fontFamily',
+    fontSize: 'fontSize',
+    fontWeight: 'fontWeight',
+    fontStyle: 'fontStyle',
+    lineHeight: 'lineHeight',
+    letterSpacing: 'letterSpacing',
+    paragraphSpacing: 'paragraphSpacing',
+    textCase: 'textCase',
+    textDecoration: 'textDecoration'
+  }
+};
+
+/**
+ * Flatten a document into exportable entries with resolved types and values
+ */
+export function collectExportTokens(json, options = {}) {
+  const { naming = 'kebab', prefix = '', aliases = 'resolve', reference, forwardReferences = true } = options;
+  const index = buildTokenIndex(json);
+  const entries = [];
+  const skipped = [];
+  const names = new Map();
+  const owners = new Map();
+  const collisions = new Map();
+  const emitted = new Set();
+
+  // Paths that differ only in separators or case ("primary-light", "primaryLight")
+  // share a name; the first token keeps it and the others are skipped
+  walkTokens(json, (token, path) => {
+    const name = formatTokenName(path, naming, prefix);
+    if (owners.has(name)) {
+      collisions.set(path.join('.'), owners.get(name));
+    } else {
+      owners.set(name, path.join('.'));
+      names.set(path.join('.'), name);
+    }
+  });
+
+  // Own or inherited from a group, else that of the alias target
+  const typeOf = (path, value) => {
+    const type = index.types.get(path.join('.'));
+    if (type) return type;
+    if (isAliasValue(value)) return resolveAlias(index, value).type;
+    return null;
+  };
+
+  walkTokens(json, (token, path) => {
+    const raw = getTokenValue(token);
+    if (raw === undefined) return;
+    const owner = collisions.get(path.join('.'));
+    if (owner) {
+      const name = formatTokenName(path, naming, prefix);
+      skipped.push({ path: path.join('.'), reason: `Name "${name}" is already used by ${owner}` });
+      return;
+    }
+
+    const type = typeOf(path, raw);
+    let broken = null;
+
+    const resolve = (value) => {
+      const resolution = resolveAlias(index, value);
+      if (resolution.status !== 'resolved') {
+        broken = parseAlias(value);
+        return undefined;
+      }
+      return resolution.value;
+    };
+
+    const sub = (value, subType) => {
+      // A required field of a composite is missing ("undefined undefined ...")
+      if (value === undefined || value === null) throw new Error(`Missing ${subType} value`);
+      if (isAliasValue(value)) {
+        if (aliases === 'reference' && reference) {
+          const targetPath = parseAlias(value);
+          if (names.has(targetPath) && (forwardReferences || emitted.has(targetPath))) {
+            return reference(names.get(targetPath));
+          }
+        }
+        const resolved = resolve(value);
+        return resolved === undefined ? '' : toCss(resolved, subType, sub);
+      }
+      return toCss(value, subType, sub);
+    };
+
+    let css;
+    let fields = null;
+    try {
+      css = sub(raw, type);
+      const resolvedValue = isAliasValue(raw) ? resolve(raw) : raw;
+      if (COMPOSITE_FIELDS[type] && resolvedValue && typeof resolvedValue === 'object') {
+        fields = Object.fromEntries(
+          Object.entries(COMPOSITE_FIELDS[type])
+            .filter(([field]) => resolvedValue[field] !== undefined)
+            .map(([field, fieldType]) => [field, sub(resolvedValue[field], fieldType)])
+        );
+      }
+    } catch {
+      // Values missing their object shape or required fields; the validator reports them
+      skipped.push({ path: path.join('.'), reason: `Malformed ${type} value` });
+      return;
+    }
+    if (broken) {
+      skipped.push({ path: path.join('.'), reason: `Unresolved alias {${broken}}` });
+      return;
+    }
+
+    emitted.add(path.join('.'));
+    entries.push({
+      path,
+      name: names.get(path.join('.')),
+      type,
+      css,
+      fields,
+      description: token.$description || token.description || null
+    });
+  });
+
+  return { entries, skipped };
+}
+
+/**
+ * A one-line comment; descriptions cannot close it early or spill onto code lines
+ */
+function comment(text, style) {
+  const safe = String(text).replace(/\*\//g, '* /').replace(/\s*[\r\n]+\s*/g, ' ');
+  switch (style) {
+    case 'block':
+      return `/* ${safe} */`;
+    case 'doc':
+      return `/** ${safe} */`;
+    default:
+      return `// ${safe}`;
+  }
+}
+
+function toCssCustomProperties(json, options) {
+  const selector = options.selector || ':root';
+  const { entries, skipped } = collectExportTokens(json, { ...options, reference: name => `var(--${name})` });
+  const lines = [comment(HEADER, 'block'), `${selector} {`];
+  for (const entry of entries) {
+    if (entry.description) lines.push(`  ${comment(entry.description, 'block')}`);
+    lines.push(`  --${entry.name}: ${entry.css};`);
+  }
+  lines.push('}');
+  return { content: lines.join('\n') + '\n', skipped };
+}
+
+function toScss(json, options) {
+  // SCSS variables must be declared before use, so later tokens are inlined instead
+  const { entries, skipped } = collectExportTokens(json, {
+    ...options,
+    reference: name => `$${name}`,
+    forwardReferences: false
+  });
+  const lines = [comment(HEADER, 'line')];
+  for (const entry of entries) {
+    if (entry.description) lines.push(comment(entry.description, 'line'));
+    lines.push(`$${entry.name}: ${entry.css};`);
+  }
+  return { content: lines.join('\n') + '\n', skipped };
+}
+
+// Own properties only, so a "__proto__" path segment stays a key of the tree
+function setNested(target, path, value) {
+  const setOwn = (node, key, child) => {
+    Object.defineProperty(node, key, { value: child, enumerable: true, writable: true, configurable: true });
+  };
+  let current = target;
+  for (const key of path.slice(0, -1)) {
+    if (!Object.hasOwn(current, key) || typeof current[key] !== 'object') setOwn(current, key, {});
+    current = current[key];
+  }
+  setOwn(current, path[path.length - 1], value);
+}
+
+function toEsModule(json, options) {
+  // Aliases are always resolved: an ES module has no forward references
+  const { entries, skipped } = collectExportTokens(json, { ...options, aliases: 'resolve' });
+  const tree = {};
+  const lines = [comment(HEADER, 'line'), ''];
+
+  for (const entry of entries) {
+    const value = entry.fields || entry.css;
+    setNested(tree, entry.path, value);
+    if (entry.description) lines.push(comment(entry.description, 'doc'));
+    lines.push(`export const ${entry.name} = ${JSON.stringify(value, null, 2)};`);
+  }
+
+  // A literal "__proto__" key would set the object's prototype; a computed one is a plain key
+  const literal = JSON.stringify(tree, null, 2).replace(/^(\s*)"__proto__":/gm, '$1["__proto__"]:');
+  lines.push('', `export default ${literal};`);
+  return { content: lines.join('\n') + '\n', skipped };
+}
+
+function toTypeDeclarations(json, options) {
+  const { entries, skipped } = collectExportTokens(json, { ...options, aliases: 'resolve' });
+  const tree = {};
+  const lines = [comment(HEADER, 'line'), ''];
+
+  const typeOf = entry => (entry.fields
+    ? `{ ${Object.keys(entry.fields).map(field => `${field}: string;`).join(' ')} }`
+    : 'string');
+
+  for (const entry of entries) {
+    setNested(tree, entry.path, typeOf(entry));
+    if (entry.description) lines.push(comment(entry.description, 'doc'));
+    lines.push(`export declare const ${entry.name}: ${typeOf(entry)};`);
+  }
+
+  const printTree = (node, indent) => Object.entries(node).map(([key, value]) => {
+    const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+    return typeof value === 'string'
+      ? `${indent}${name}: ${value};`
+      : `${indent}${name}: {\n${printTree(value, indent + '  ')}\n${indent}};`;
+  }).join('\n');
+
+  lines.push('', 'declare const tokens: {', printTree(tree, '  '), '};', 'export default tokens;');
+  return { content: lines.join('\n') + '\n', skipped };
+}
+
+const EXPORTERS = {
+  css: toCssCustomProperties,
+  scss: toScss,
+  js: toEsModule,
+  dts: toTypeDeclarations
+};
+
+/**
+ * Export a token document.
+ * options: { naming: 'kebab' | 'camel' | 'snake' | 'constant', prefix, aliases: 'resolve' | 'reference',
+ *            selector (css only), fileName (without extension) }
+ * Returns { content, fileName, mimeType, skipped }
+ */
+export function exportTokens(json, format, options = {}) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format "${format}". Use one of: ${Object.keys(EXPORTERS).join(', ')}`);
+  }
+
+  const { naming = EXPORT_FORMATS[format].naming, fileName = 'tokens' } = options;
+  const { content, skipped } = exporter(json, { ...options, naming });
+
+  return {
+    content,
+    fileName: `${fileName}.${EXPORT_FORMATS[format].extension}`,
+    mimeType: EXPORT_FORMATS[format].mimeType,
+    skipped
+  };
+}
@@ -0,0 +1,767 @@
+/**
+ * Token importers
+ * Convert Tokens Studio, Style Dictionary and Tailwind theme objects into
+ * DTCG documents. Every import returns a conversion report listing what was
+ * translated as-is, approximated, or dropped because DTCG has no equivalent.
+ */
+
+import { DTCG_SCHEMA_URL, DTCGValidator, VALID_TOKEN_TYPES } from './dtcgValidator.js';
+import { isAliasValue } from './tokenTree.js';
+import { mergeTokenSets } from './tokenSets.js';
+
+export const IMPORT_FORMATS = {
+  tokensStudio: { label: 'Tokens Studio' },
+  styleDictionary: { label: 'Style Dictionary' },
+  tailwind: { label: 'Tailwind theme' }
+};
+
+const DIMENSION_PATTERN = /^(-?\d*\.?\d+)(px|rem|em|%|vh|vw|vmin|vmax|pt|cm|mm|in|pc|ch)$/;
+const NUMBER_PATTERN = /^-?\d*\.?\d+$/;
+
+const TIMING_KEYWORDS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+function createReport() {
+  return { translated: [], approximated: [], dropped: [] };
+}
+
+/**
+ * Per-path helpers that record report entries; `drop` returns undefined so
+ * converters can `return ctx.drop(...)`
+ */
+function createContext(report, path) {
+  const at = path.join('.');
+  return {
+    path: at,
+    translate: message => report.translated.push({ path: at, message }),
+    approximate: message => report.approximated.push({ path: at, message }),
+    drop: message => {
+      report.dropped.push({ path: at, message });
+      return undefined;
+    }
+  };
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function toDimension(value, ctx, unitlessUnit = 'px') {
+  if (isAliasValue(value)) return value;
+  if (typeof value === 'number' || (typeof value === 'string' && NUMBER_PATTERN.test(value))) {
+    const number = Number(value);
+    if (number !== 0) ctx.approximate(`Unitless ${number} assumed to be ${unitlessUnit}`);
+    return { value: number, unit: unitlessUnit };
+  }
+  const match = typeof value === 'string' ? value.trim().match(DIMENSION_PATTERN) : null;
+  if (!match) return ctx.drop(`"${value}" is not a dimension`);
+  return { value: Number(match[1]), unit: match[2] };
+}
+
+function toDuration(value, ctx) {
+  if (isAliasValue(value)) return value;
+  if (typeof value === 'number') return `${value}ms`;
+  if (typeof value === 'string' && /^-?[\d.]+(ms|s)$/.test(value.trim())) return value.trim();
+  if (typeof value === 'string' && NUMBER_PATTERN.test(value)) return `${value}ms`;
+  return ctx.drop(`"${value}" is not a duration`);
+}
+
+function toNumber(value, ctx) {
+  if (isAliasValue(value)) return value;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && NUMBER_PATTERN.test(value.trim())) return Number(value);
+  if (typeof value === 'string' && /^-?[\d.]+%$/.test(value.trim())) {
+    ctx.approximate(`Percentage "${value}" converted to a ratio`);
+    return Number(value.trim().slice(0, -1)) / 100;
+  }
+  return ctx.drop(`"${value}" is not a number`);
+}
+
+function toFontWeight(value, ctx) {
+  if (isAliasValue(value) || typeof value === 'number') return value;
+  if (typeof value === 'string' && NUMBER_PATTERN.test(value)) return Number(value);
+  if (typeof value !== 'string') return ctx.drop(`"${value}" is not a font weight`);
+
+  const keyword = value.trim().toLowerCase().replace(/\s+/g, '-');
+  const withoutStyle = keyword.replace(/-?italic$/, '') || 'regular';
+  if (withoutStyle !== keyword) ctx.approximate(`Italic style dropped from font weight "${value}"`);
+  return withoutStyle;
+}
+
+function toFontFamily(value) {
+  if (Array.isArray(value) || isAliasValue(value)) return value;
+  const families = String(value).split(',').map(family => family.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean);
+  return families.length === 1 ? families[0] : families;
+}
+
+function toCubicBezier(value, ctx) {
+  if (isAliasValue(value)) return value;
+  if (Array.isArray(value) && value.length === 4) return value.map(Number);
+  if (typeof value === 'string' && TIMING_KEYWORDS[value.trim()]) return TIMING_KEYWORDS[value.trim()];
+  const match = typeof value === 'string' ? value.match(/^cubic-bezier\(([^)]+)\)$/) : null;
+  if (match) {
+    const points = match[1].split(',').map(Number);
+    if (points.length === 4 && points.every(Number.isFinite)) return points;
+  }
+  return ctx.drop(`"${value}" is not a cubic-bezier() or easing keyword`);
+}
+
+function toColor(value, ctx) {
+  if (typeof value !== 'string') return ctx.drop('Color is not a string');
+  const color = value.trim();
+  if (isAliasValue(color)) return color;
+  if (/^(currentColor|current|inherit|initial|unset)$/i.test(color)) {
+    return ctx.drop(`"${color}" is a CSS keyword, not a color`);
+  }
+  if (/var\(|<alpha-value>|\{/.test(color)) return ctx.drop(`"${color}" depends on runtime CSS variables or references`);
+  return color;
+}
+
+/**
+ * Split a CSS list on top-level commas (ignoring commas inside parentheses)
+ */
+function splitTopLevel(text, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth === 0 && (separator === ' ' ? /\s/.test(char) : char === separator)) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse a CSS box-shadow list into DTCG shadow objects
+ */
+function parseCssShadow(value, ctx) {
+  if (typeof value !== 'string' || value.trim() === 'none') return ctx.drop(`"${value}" has no shadow`);
+
+  const shadows = splitTopLevel(value).map(shadow => {
+    const parts = splitTopLevel(shadow, ' ');
+    const inset = parts.includes('inset');
+    const lengths = parts.filter(part => part === '0' || DIMENSION_PATTERN.test(part));
+    const color = parts.filter(part => part !== 'inset' && !lengths.includes(part)).join(' ') || '#000000';
+    if (lengths.length < 2) return null;
+
+    const [offsetX, offsetY, blur = '0', spread = '0'] = lengths;
+    return {
+      color,
+      offsetX: toDimension(offsetX, ctx),
+      offsetY: toDimension(offsetY, ctx),
+      blur: toDimension(blur, ctx),
+      spread: toDimension(spread, ctx),
+      ...(inset && { inset: true })
+    };
+  });
+
+  if (shadows.some(shadow => !shadow)) return ctx.drop(`Could not parse shadow "${value}"`);
+  return shadows.length === 1 ? shadows[0] : shadows;
+}
+
+function createDocument() {
+  return { $schema: DTCG_SCHEMA_URL };
+}
+
+function setToken(target, path, token) {
+  let current = target;
+  for (const key of path.slice(0, -1)) {
+    if (!isPlainObject(current[key])) current[key] = {};
+    current = current[key];
+  }
+  current[path[path.length - 1]] = token;
+}
+
+/* ------------------------------------------------------------------ */
+/* Tokens Studio                                                       */
+/* ------------------------------------------------------------------ */
+
+const STUDIO_TYPES = {
+  color: 'color',
+  dimension: 'dimension',
+  sizing: 'dimension',
+  spacing: 'dimension',
+  borderRadius: 'dimension',
+  borderWidth: 'dimension',
+  fontSizes: 'dimension',
+  letterSpacing: 'dimension',
+  paragraphSpacing: 'dimension',
+  paragraphIndent: 'dimension',
+  fontFamilies: 'fontFamily',
+  fontWeights: 'fontWeight',
+  lineHeights: 'number',
+  opacity: 'opacity',
+  number: 'number',
+  duration: 'duration',
+  textCase: 'textCase',
+  textDecoration: 'textDecoration',
+  boxShadow: 'shadow',
+  typography: 'typography',
+  border: 'border'
+};
+
+/**
+ * Tokens Studio references: "{a.b}", legacy "$a.b", or math expressions
+ */
+function convertStudioReference(value, ctx) {
+  if (typeof value !== 'string') return value;
+  if (isAliasValue(value)) return value;
+  if (/^\$[\w.-]+$/.test(value)) {
+    ctx.translate(`Legacy reference ${value} rewritten as {${value.slice(1)}}`);
+    return `{${value.slice(1)}}`;
+  }
+  if (/\{[^}]+\}/.test(value)) return ctx.drop(`Math or interpolated expression "${value}" cannot be represented in DTCG`);
+  return value;
+}
+
+function convertStudioLineHeight(value, ctx) {
+  if (typeof value === 'string' && /^auto$/i.test(value)) return ctx.drop('lineHeight "AUTO" has no DTCG equivalent');
+  if (typeof value === 'string' && DIMENSION_PATTERN.test(value) && !value.endsWith('%')) {
+    ctx.approximate(`lineHeight "${value}" kept as a dimension; DTCG expects a unitless number`);
+    return toDimension(value, ctx);
+  }
+  return toNumber(value, ctx);
+}
+
+// Fields of a converted composite that are missing or failed to convert
+function unconvertedFields(composite) {
+  return Object.keys(composite).filter(field => composite[field] === undefined);
+}
+
+function convertStudioValue(value, type, ctx, sourceType) {
+  const ref = convertStudioReference(value, ctx);
+  if (ref === undefined || isAliasValue(ref)) return ref;
+  if (sourceType === 'lineHeights') return convertStudioLineHeight(value, ctx);
+
+  const sub = (subValue, convert) => {
+    const subRef = convertStudioReference(subValue, ctx);
+    if (subRef === undefined || isAliasValue(subRef)) return subRef;
+    return convert(subRef);
+  };
+
+  switch (type) {
+    case 'color':
+      return toColor(value, ctx);
+    case 'dimension':
+      return toDimension(value, ctx);
+    case 'fontFamily':
+      return toFontFamily(value);
+    case 'fontWeight':
+      return toFontWeight(value, ctx);
+    case 'number':
+    case 'opacity':
+      return toNumber(value, ctx);
+    case 'duration':
+      return toDuration(value, ctx);
+    case 'textCase':
+    case 'textDecoration':
+      return String(value).toLowerCase();
+    case 'shadow': {
+      const layers = Array.isArray(value) ? value : [value];
+      if (!layers.every(isPlainObject)) return ctx.drop('Shadow value is not an object or a list of objects');
+      const shadows = layers.map(shadow => {
+        if (shadow.type && !['dropShadow', 'innerShadow'].includes(shadow.type)) {
+          ctx.approximate(`Shadow type "${shadow.type}" treated as a drop shadow`);
+        }
+        if (shadow.blendMode && shadow.blendMode !== 'normal') {
+          ctx.approximate(`Shadow blendMode "${shadow.blendMode}" dropped`);
+        }
+        return {
+          color: sub(shadow.color, color => toColor(color, ctx)),
+          offsetX: sub(shadow.x ?? 0, x => toDimension(x, ctx)),
+          offsetY: sub(shadow.y ?? 0, y => toDimension(y, ctx)),
+          blur: sub(shadow.blur ?? 0, blur => toDimension(blur, ctx)),
+          spread: sub(shadow.spread ?? 0, spread => toDimension(spread, ctx)),
+          ...(shadow.type === 'innerShadow' && { inset: true })
+        };
+      });
+      const failed = shadows.flatMap(shadow => unconvertedFields(shadow));
+      if (failed.length > 0) return ctx.drop(`Shadow ${[...new Set(failed)].join(', ')} missing or could not be converted`);
+      return Array.isArray(value) ? shadows : shadows[0];
+    }
+    case 'typography': {
+      if (!isPlainObject(value)) return ctx.drop('Typography value is not an object');
+      const fields = {
+        fontFamily: family => toFontFamily(family),
+        fontWeight: weight => toFontWeight(weight, ctx),
+        fontSize: size => toDimension(size, ctx),
+        lineHeight: lineHeight => convertStudioLineHeight(lineHeight, ctx),
+        letterSpacing: spacing => toDimension(spacing, ctx),
+        paragraphSpacing: spacing => toDimension(spacing, ctx),
+        textCase: textCase => String(textCase).toLowerCase(),
+        textDecoration: decoration => String(decoration).toLowerCase()
+      };
+      const typography = {};
+      for (const [field, fieldValue] of Object.entries(value)) {
+        if (!fields[field]) {
+          ctx.approximate(`Typography field "${field}" dropped`);
+          continue;
+        }
+        const converted = sub(fieldValue, fields[field]);
+        if (converted !== undefined) typography[field] = converted;
+      }
+      return typography;
+    }
+    case 'border': {
+      if (!isPlainObject(value)) return ctx.drop('Border value is not an object');
+      const border = {
+        color: sub(value.color, color => toColor(color, ctx)),
+        width: sub(value.width, width => toDimension(width, ctx)),
+        style: sub(value.style ?? 'solid', style => style)
+      };
+      const failed = unconvertedFields(border);
+      return failed.length > 0 ? ctx.drop(`Border ${failed.join(', ')} missing or could not be converted`) : border;
+    }
+    default:
+      return value;
+  }
+}
+
+function convertStudioSet(set, setName, report) {
+  const document = {};
+  if (!isPlainObject(set)) {
+    createContext(report, setName ? [setName] : []).drop('Token set is not an object');
+    return document;
+  }
+
+  const walk = (node, path) => {
+    for (const [key, child] of Object.entries(node)) {
+      const childPath = [...path, key];
+      if (key.startsWith('$')) continue;
+      if (!isPlainObject(child)) continue;
+
+      if (!('value' in child) && !('$value' in child)) {
+        walk(child, childPath);
+        continue;
+      }
+
+      const ctx = createContext(report, setName ? [setName, ...childPath] : childPath);
+      const sourceType = child.type ?? child.$type;
+      const type = STUDIO_TYPES[sourceType];
+      if (!type) {
+        ctx.drop(`Tokens Studio type "${sourceType}" has no DTCG equivalent`);
+        continue;
+      }
+
+      const value = convertStudioValue(child.value ?? child.$value, type, ctx, sourceType);
+      if (value === undefined) continue;
+
+      const token = { $value: value, $type: isPlainObject(value) && type === 'number' ? 'dimension' : type };
+      if (child.description) token.$description = child.description;
+      if (child.$extensions) {
+        token.$extensions = child.$extensions;
+        if (child.$extensions['studio.tokens']?.modify) {
+          ctx.approximate('Color modifier kept in $extensions but not applied to $value');
+        }
+      }
+
+      setToken(document, childPath, token);
+      ctx.translate(sourceType === token.$type ? `Converted ${token.$type} token` : `Converted ${sourceType} to ${token.$type}`);
+    }
+  };
+
+  walk(set, []);
+  return document;
+}
+
+/**
+ * Import a Tokens Studio export (single or multi-set, with $themes and $metadata).
+ * Multi-set files also return `tokenSets` ({ manifest, files }) ready for validateTokenSets.
+ */
+export function importTokensStudio(json) {
+  const report = createReport();
+  const isMultiSet = '$themes' in json || '$metadata' in json;
+
+  if (!isMultiSet) {
+    return {
+      format: 'tokensStudio',
+      document: { ...createDocument(), ...convertStudioSet(json, null, report) },
+      tokenSets: null,
+      report
+    };
+  }
+
+  const setNames = Object.keys(json).filter(key => !key.startsWith('$'));
+  const order = (json.$metadata?.tokenSetOrder || setNames).filter(name => setNames.includes(name));
+  for (const name of setNames) {
+    if (!order.includes(name)) order.push(name);
+  }
+
+  const files = {};
+  const documents = [];
+  for (const name of order) {
+    const document = { ...createDocument(), ...convertStudioSet(json[name], name, report) };
+    files[`${name}.json`] = JSON.stringify(document, null, 2);
+    documents.push({ name: `${name}.json`, json: document });
+  }
+
+  const themes = Array.isArray(json.$themes) ? json.$themes : [];
+  const enabledSets = theme => order.filter(name => ['enabled', 'source'].includes(theme.selectedTokenSets?.[name]));
+  let manifest;
+
+  if (themes.length === 0) {
+    manifest = { sets: order.map(name => `${name}.json`) };
+  } else {
+    const base = order.filter(name => themes.every(theme => enabledSets(theme).includes(name)));
+    manifest = { sets: base.map(name => `${name}.json`), themes: {} };
+    for (const theme of themes) {
+      const themeName = theme.group ? `${theme.group}/${theme.name}` : theme.name;
+      manifest.themes[themeName] = enabledSets(theme).filter(name => !base.includes(name)).map(name => `${name}.json`);
+      createContext(report, ['$themes', themeName]).translate(`Theme "${themeName}" mapped to token set manifest`);
+      if (theme.$figmaStyleReferences || theme.$figmaVariableReferences) {
+        createContext(report, ['$themes', themeName]).drop('Figma style and variable references dropped');
+      }
+    }
+  }
+
+  for (const key of Object.keys(json.$metadata || {})) {
+    if (key !== 'tokenSetOrder') createContext(report, ['$metadata', key]).drop('Tokens Studio metadata dropped');
+  }
+
+  const firstTheme = themes.length > 0 ? Object.values(manifest.themes)[0] : [];
+  const mergeOrder = [...manifest.sets, ...firstTheme];
+  const { document } = mergeTokenSets(documents.filter(doc => mergeOrder.includes(doc.name)));
+
+  return {
+    format: 'tokensStudio',
+    document: { ...createDocument(), ...document },
+    tokenSets: { manifest, files },
+    report
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* Style Dictionary                                                    */
+/* ------------------------------------------------------------------ */
+
+// Category (first path segment) of the Category/Type/Item convention
+const STYLE_DICTIONARY_CATEGORIES = {
+  color: 'color',
+  size: 'dimension',
+  time: 'duration'
+};
+
+const STYLE_DICTIONARY_TYPES = {
+  size: 'dimension',
+  time: 'duration',
+  font: 'fontFamily'
+};
+
+/**
+ * Style Dictionary references point at the value property: {color.base.red.value}
+ */
+function convertStyleDictionaryReference(value, ctx) {
+  if (typeof value !== 'string') return value;
+  if (isAliasValue(value)) return value.replace(/\.value\}$/, '}');
+  if (/\{[^}]+\}/.test(value)) return ctx.drop(`Interpolated reference "${value}" cannot be represented in DTCG`);
+  return value;
+}
+
+function convertStyleDictionaryValue(value, type, path, ctx) {
+  const ref = convertStyleDictionaryReference(value, ctx);
+  if (ref === undefined || isAliasValue(ref)) return ref;
+
+  switch (type) {
+    case 'color':
+      return toColor(value, ctx);
+    case 'dimension':
+      // The size/rem transform treats unitless sizes as rem
+      return toDimension(value, ctx, path[0] === 'size' ? 'rem' : 'px');
+    case 'duration':
+      return toDuration(value, ctx);
+    case 'fontFamily':
+      return toFontFamily(value);
+    case 'fontWeight':
+      return toFontWeight(value, ctx);
+    case 'number':
+    case 'opacity':
+      return toNumber(value, ctx);
+    case 'cubicBezier':
+      return toCubicBezier(value, ctx);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Import a Style Dictionary source tree ({ value, type, comment, attributes } tokens)
+ */
+export function importStyleDictionary(json) {
+  const report = createReport();
+  const document = createDocument();
+  const inference = new DTCGValidator();
+
+  const walk = (node, path) => {
+    for (const [key, child] of Object.entries(node)) {
+      const childPath = [...path, key];
+      if (key.startsWith('$')) continue;
+      if (!isPlainObject(child)) continue;
+
+      if (!('value' in child) && !('$value' in child)) {
+        walk(child, childPath);
+        continue;
+      }
+
+      const ctx = createContext(report, childPath);
+      const value = child.$value ?? child.value;
+      let type = child.$type ?? child.type;
+
+      if (type && !VALID_TOKEN_TYPES.includes(type)) {
+        const mapped = STYLE_DICTIONARY_TYPES[type];
+        if (mapped) {
+          ctx.translate(`Type "${type}" mapped to ${mapped}`);
+        } else {
+          ctx.approximate(`Unknown type "${type}" replaced by inference`);
+        }
+        type = mapped;
+      }
+      if (!type) {
+        type = STYLE_DICTIONARY_CATEGORIES[childPath[0]] || inference.inferTokenType(value, key);
+        if (type) {
+          ctx.approximate(`$type "${type}" inferred from ${STYLE_DICTIONARY_CATEGORIES[childPath[0]] ? 'category' : 'value'}`);
+        }
+      }
+
+      const converted = type
+        ? convertStyleDictionaryValue(value, type, childPath, ctx)
+        : convertStyleDictionaryReference(value, ctx);
+      if (converted === undefined) continue;
+
+      const token = { $value: converted };
+      if (type) token.$type = type;
+      if (child.comment || child.$description) token.$description = child.$description ?? child.comment;
+      if (child.attributes || child.$extensions) {
+        token.$extensions = {
+          ...child.$extensions,
+          ...(child.attributes && { 'com.amazon.style-dictionary': { attributes: child.attributes } })
+        };
+      }
+
+      for (const extra of Object.keys(child)) {
+        if (!['value', '$value', 'type', '$type', 'comment', '$description', 'attributes', '$extensions'].includes(extra)) {
+          ctx.drop(`Property "${extra}" dropped`);
+        }
+      }
+
+      setToken(document, childPath, token);
+      ctx.translate(type ? `Converted ${type} token` : 'Converted untyped token');
+    }
+  };
+
+  walk(json, []);
+  return { format: 'styleDictionary', document, tokenSets: null, report };
+}
+
+/* ------------------------------------------------------------------ */
+/* Tailwind                                                            */
+/* ------------------------------------------------------------------ */
+
+const TAILWIND_TYPES = {
+  colors: 'color',
+  backgroundColor: 'color',
+  textColor: 'color',
+  borderColor: 'color',
+  ringColor: 'color',
+  outlineColor: 'color',
+  fill: 'color',
+  stroke: 'color',
+  spacing: 'dimension',
+  width: 'dimension',
+  height: 'dimension',
+  maxWidth: 'dimension',
+  minWidth: 'dimension',
+  maxHeight: 'dimension',
+  minHeight: 'dimension',
+  screens: 'dimension',
+  borderRadius: 'dimension',
+  borderWidth: 'dimension',
+  outlineWidth: 'dimension',
+  ringWidth: 'dimension',
+  letterSpacing: 'dimension',
+  fontSize: 'dimension',
+  fontFamily: 'fontFamily',
+  fontWeight: 'fontWeight',
+  lineHeight: 'lineHeight',
+  opacity: 'opacity',
+  zIndex: 'number',
+  boxShadow: 'shadow',
+  transitionDuration: 'duration',
+  transitionDelay: 'duration',
+  transitionTimingFunction: 'cubicBezier'
+};
+
+function convertTailwindValue(value, themeKey, ctx) {
+  switch (TAILWIND_TYPES[themeKey]) {
+    case 'color':
+      return toColor(value, ctx);
+    case 'dimension':
+      if (themeKey === 'fontSize' && Array.isArray(value)) {
+        ctx.approximate(`Companion ${typeof value[1] === 'string' ? 'lineHeight' : Object.keys(value[1] || {}).join(', ')} dropped from fontSize`);
+        return toDimension(value[0], ctx);
+      }
+      return toDimension(value, ctx);
+    case 'fontFamily': {
+      const [families, settings] = Array.isArray(value) && isPlainObject(value[1]) ? value : [value];
+      if (settings) ctx.approximate('Font feature/variation settings dropped');
+      return toFontFamily(families);
+    }
+    case 'fontWeight':
+      return toFontWeight(value, ctx);
+    case 'lineHeight':
+      if (value === 'none') return 1;
+      return typeof value === 'string' && DIMENSION_PATTERN.test(value) ? toDimension(value, ctx) : toNumber(value, ctx);
+    case 'opacity':
+    case 'number':
+      return toNumber(value, ctx);
+    case 'shadow':
+      return parseCssShadow(value, ctx);
+    case 'duration':
+      return toDuration(value, ctx);
+    case 'cubicBezier':
+      return toCubicBezier(value, ctx);
+    default:
+      return value;
+  }
+}
+
+function tailwindTokenType(themeKey, value) {
+  const type = TAILWIND_TYPES[themeKey];
+  if (type === 'lineHeight') return isPlainObject(value) ? 'dimension' : 'number';
+  return type;
+}
+
+/**
+ * Import a Tailwind `theme` object (or a whole config with `theme`).
+ * `theme.extend` is merged over the base theme; DEFAULT keys are flattened
+ * the same way autoFix does: colors.gray.DEFAULT becomes colors.gray and
+ * its siblings become colors.gray-100, ...
+ */
+export function importTailwindTheme(input) {
+  const report = createReport();
+  const document = createDocument();
+  const source = isPlainObject(input.theme) ? input.theme : input;
+  const { extend = {}, ...base } = source;
+
+  const theme = { ...base };
+  for (const [key, value] of Object.entries(extend)) {
+    theme[key] = isPlainObject(theme[key]) && isPlainObject(value) ? { ...theme[key], ...value } : value;
+    createContext(report, ['extend', key]).translate(`theme.extend.${key} merged into ${key}`);
+  }
+
+  const convert = (target, key, value, themeKey, path) => {
+    const ctx = createContext(report, path);
+
+    if (typeof value === 'function') {
+      ctx.drop('Function values must be resolved first (use resolveConfig)');
+      return;
+    }
+
+    if (isPlainObject(value) && 'DEFAULT' in value && path.length === 1) {
+      // Top-level theme keys stay groups, so their DEFAULT becomes a "default" token
+      const { DEFAULT, ...rest } = value;
+      ctx.approximate(`${key}.DEFAULT renamed to ${key}.default`);
+      convert(target, key, { default: DEFAULT, ...rest }, themeKey, path);
+      return;
+    }
+
+    if (isPlainObject(value) && 'DEFAULT' in value) {
+      ctx.approximate(`DEFAULT flattened: ${key}.DEFAULT became ${key}, nested keys became ${key}-*`);
+      for (const [childKey, childValue] of Object.entries(value)) {
+        const name = childKey === 'DEFAULT' ? key : `${key}-${childKey}`;
+        convert(target, name, childValue, themeKey, [...path.slice(0, -1), name]);
+      }
+      return;
+    }
+
+    if (isPlainObject(value)) {
+      const group = {};
+      for (const [childKey, childValue] of Object.entries(value)) {
+        convert(group, childKey, childValue, themeKey, [...path, childKey]);
+      }
+      if (Object.keys(group).length > 0) target[key] = group;
+      return;
+    }
+
+    const converted = convertTailwindValue(value, themeKey, ctx);
+    if (converted === undefined) return;
+
+    const type = tailwindTokenType(themeKey, converted);
+    target[key] = { $value: converted, $type: type };
+    ctx.translate(`Converted ${themeKey} to ${type}`);
+  };
+
+  for (const [themeKey, value] of Object.entries(theme)) {
+    if (!TAILWIND_TYPES[themeKey]) {
+      createContext(report, [themeKey]).drop(`Tailwind "${themeKey}" has no DTCG token type`);
+      continue;
+    }
+    convert(document, themeKey, value, themeKey, [themeKey]);
+  }
+
+  return { format: 'tailwind', document, tokenSets: null, report };
+}
+
+/* ------------------------------------------------------------------ */
+
+const IMPORTERS = {
+  tokensStudio: importTokensStudio,
+  styleDictionary: importStyleDictionary,
+  tailwind: importTailwindTheme
+};
+
+/**
+ * Guess the source format of a parsed JSON object, or null when it looks like DTCG already
+ */
+export function detectImportFormat(json) {
+  if (!isPlainObject(json)) return null;
+  if ('$themes' in json || '$metadata' in json) return 'tokensStudio';
+  if (isPlainObject(json.theme) || Object.keys(json).some(key => key === 'extend' || TAILWIND_TYPES[key])) {
+    const looksLikeTokens = /"\$?value"\s*:/.test(JSON.stringify(json));
+    if (!looksLikeTokens) return 'tailwind';
+  }
+
+  let format = null;
+  const walk = node => {
+    for (const child of Object.values(node)) {
+      if (format === 'tokensStudio' || !isPlainObject(child)) continue;
+      if ('value' in child && !('$value' in child)) {
+        if (STUDIO_TYPES[child.type] && !VALID_TOKEN_TYPES.includes(child.type)) format = 'tokensStudio';
+        else if (typeof child.value === 'string' && /\.value\}$/.test(child.value)) format = 'styleDictionary';
+        else format = format || 'styleDictionary';
+      } else {
+        walk(child);
+      }
+    }
+  };
+  walk(json);
+  return format;
+}
+
+/**
+ * Import a parsed source object.
+ * Returns { format, document, tokenSets, report: { translated, approximated, dropped } }
+ */
+export function importTokens(json, format = detectImportFormat(json)) {
+  const importer = IMPORTERS[format];
+  if (!importer) {
+    throw new Error(format
+      ? `Unknown import format "${format}". Use one of: ${Object.keys(IMPORTERS).join(', ')}`
+      : 'Could not detect the import format; pass one of: ' + Object.keys(IMPORTERS).join(', '));
+  }
+  if (!isPlainObject(json)) {
+    throw new Error('Import source must be a JSON object');
+  }
+  return importer(json);
+}
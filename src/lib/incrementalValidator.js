@@ -0,0 +1,108 @@
+/**
+ * Incremental validation
+ *
+ * Keeps the issues of every top-level token group between runs and only
+ * re-validates the groups that changed, plus the groups whose aliases point
+ * into them. Document-level checks ($schema, brand) and contrast pairs, which
+ * span groups, run every time.
+ */
+
+import { DTCGValidator, RESULT_SCHEMA_VERSION } from './dtcgValidator.js';
+import { DTCG_GROUPS } from './tokenTree.js';
+
+const ALIAS_REFERENCE = /"\{([^{}"]+)\}"/g;
+
+function getIssueGroup(issue) {
+  return issue.path?.replace(/^\$\.?/, '').split(/[.[]/)[0] || '$';
+}
+
+// Contrast issues are keyed by token path but depend on tokens of other groups
+function isDocumentIssue(issue, groupNames) {
+  return issue.code?.startsWith('A11Y_') || !groupNames.has(getIssueGroup(issue));
+}
+
+export class IncrementalValidator {
+  /**
+   * @param {object} [config] - same as DTCGValidator
+   */
+  constructor(config = {}) {
+    this.config = config;
+    // group name -> { snapshot, references, issues: { errors, warnings, structureIssues } }
+    this.groups = new Map();
+    this.lastRun = { validated: [], reused: [] };
+  }
+
+  /**
+   * Validate a parsed document, reusing the issues of unchanged groups.
+   * Returns the same result shape as DTCGValidator.validate().
+   */
+  validate(json) {
+    const validator = new DTCGValidator(this.config);
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      this.groups.clear();
+      return validator.validate(json);
+    }
+
+    // Every group inherits the document's $type, so it is part of each snapshot
+    const rootType = JSON.stringify(json.$type ?? null);
+    const current = new Map();
+    for (const [name, value] of Object.entries(json)) {
+      if (DTCG_GROUPS.includes(name) || name === 'brand') continue;
+      const serialized = JSON.stringify(value);
+      const references = new Set([...serialized.matchAll(ALIAS_REFERENCE)].map(match => match[1].split('.')[0].trim()));
+      current.set(name, { snapshot: `${rootType}|${serialized}`, references });
+    }
+
+    // Changed, added and removed groups, then everything that references them
+    const dirty = new Set([...this.groups.keys()].filter(name => !current.has(name)));
+    for (const [name, { snapshot }] of current) {
+      if (this.groups.get(name)?.snapshot !== snapshot) dirty.add(name);
+    }
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const [name, { references }] of current) {
+        if (dirty.has(name)) continue;
+        if ([...references].some(ref => dirty.has(ref))) {
+          dirty.add(name);
+          grew = true;
+        }
+      }
+    }
+
+    const toValidate = [...current.keys()].filter(name => dirty.has(name));
+    const result = validator.validate(json, { groups: toValidate });
+    const groupNames = new Set(current.keys());
+
+    const fresh = new Map(toValidate.map(name => [name, { errors: [], warnings: [], structureIssues: [] }]));
+    const documentIssues = { errors: [], warnings: [], structureIssues: [] };
+    for (const kind of ['errors', 'warnings', 'structureIssues']) {
+      for (const issue of result[kind]) {
+        const target = isDocumentIssue(issue, groupNames) ? documentIssues : fresh.get(getIssueGroup(issue));
+        (target || documentIssues)[kind].push(issue);
+      }
+    }
+
+    const next = new Map();
+    for (const [name, entry] of current) {
+      next.set(name, { ...entry, issues: fresh.get(name) || this.groups.get(name).issues });
+    }
+    this.groups = next;
+    this.lastRun = { validated: toValidate, reused: [...current.keys()].filter(name => !dirty.has(name)) };
+
+    const collect = kind => [
+      ...documentIssues[kind].filter(issue => !issue.code?.startsWith('A11Y_')),
+      ...[...next.values()].flatMap(entry => entry.issues[kind]),
+      ...documentIssues[kind].filter(issue => issue.code?.startsWith('A11Y_'))
+    ];
+    const errors = collect('errors');
+
+    return {
+      schemaVersion: RESULT_SCHEMA_VERSION,
+      valid: errors.length === 0,
+      errors,
+      warnings: collect('warnings'),
+      structureIssues: collect('structureIssues')
+    };
+  }
+}
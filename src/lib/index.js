@@ -0,0 +1,115 @@
+/**
+ * brand-json-validator public API
+ * Everything exported here is covered by semver; other modules in src/lib are internal.
+ */
+
+export {
+  DTCGValidator,
+  DTCG_SCHEMA_URL,
+  RESULT_SCHEMA_VERSION,
+  VALID_TOKEN_TYPES
+} from './dtcgValidator.js';
+
+export { ISSUE_CODES } from './issueCodes.js';
+
+export { IncrementalValidator } from './incrementalValidator.js';
+
+export { CHANGE_KINDS, diffTokens, formatChangelog } from './tokenDiff.js';
+
+export { NEAR_DUPLICATE_DELTA_E, NAMING_STYLES, analyzeTokens } from './tokenInsights.js';
+
+export { parseJsonWithPositions, getIssueLocation, getPathAtPosition, addIssueLocations } from './jsonPositions.js';
+
+export { TOKEN_SCHEMA, TOKEN_SCHEMA_URI } from './tokenSchema.js';
+
+export {
+  ASSET_TYPES,
+  parseAssetReference,
+  validateAssetValue,
+  getAssetCandidates,
+  findAssetFile,
+  resolveAssetSource,
+  collectAssetReferences
+} from './assets.js';
+
+export {
+  BRAND_FIELDS,
+  SOCIAL_NETWORKS,
+  BRAND_METADATA_SCHEMA,
+  validateBrandMetadata,
+  collectBrandAssets
+} from './brandMetadata.js';
+
+export { QUICK_FIX_CODES, getQuickFix } from './quickFixes.js';
+
+export {
+  AI_PROVIDERS,
+  DEFAULT_GEMINI_MODEL,
+  createGeminiProvider,
+  createMockProvider,
+  buildAssistRequest,
+  checkProposal,
+  requestAssist,
+  applyJsonPatch,
+  issuePathToPointer
+} from './aiAssist.js';
+
+export { RULES, SEVERITIES, getRuleForCode, resolveRuleSeverities } from './rules.js';
+
+export {
+  DTCG_GROUPS,
+  isTokenNode,
+  isGroupNode,
+  getDeprecation,
+  getTokenValue,
+  isAliasValue,
+  parseAlias,
+  walkTokens,
+  listTokens,
+  buildTokenIndex,
+  resolveAlias
+} from './tokenTree.js';
+
+export {
+  isTokenSetManifest,
+  resolveThemes,
+  mergeTokenSets,
+  validateTokenSets,
+  getThemeResult,
+  inferTokenSetManifest
+} from './tokenSets.js';
+
+export { REPORTERS, formatHuman, formatJson, formatJunit } from './reporters.js';
+
+export { validateBatch, fixBatch } from './batch.js';
+
+export { EXPORT_FORMATS, exportTokens, formatTokenName, collectExportTokens } from './exporters.js';
+
+export {
+  IMPORT_FORMATS,
+  importTokens,
+  detectImportFormat,
+  importTokensStudio,
+  importStyleDictionary,
+  importTailwindTheme
+} from './importers.js';
+
+export {
+  CONTRAST_EXTENSION,
+  WCAG_MINIMUMS,
+  APCA_MINIMUMS,
+  findContrastPairs,
+  checkContrast
+} from './accessibility.js';
+
+export {
+  COLOR_SPACES,
+  parseColor,
+  validateColorObject,
+  cssToColorObject,
+  colorObjectToCss,
+  contrastRatio,
+  apcaContrast,
+  relativeLuminance,
+  deltaE2000
+} from './color.js';
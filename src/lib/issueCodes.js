@@ -0,0 +1,88 @@
+/**
+ * Catalog of machine-readable issue codes
+ * Every issue in a validation result carries one of these as `code`.
+ * Codes are stable: messages may be reworded, codes are not.
+ */
+
+export const ISSUE_CODES = {
+  // Document
+  DTCG_INVALID_JSON: 'The input is not parseable JSON',
+  DTCG_INVALID_DOCUMENT: 'The document root is not a JSON object',
+  DTCG_MISSING_SCHEMA: 'The document has no $schema declaration',
+  DTCG_UNEXPECTED_SCHEMA: '$schema points to a different spec version than 2025.10',
+  DTCG_NESTED_TOKENS: 'Tokens are nested in a way that should be flattened',
+
+  // Groups and tokens
+  DTCG_INVALID_GROUP: 'A top-level token group is not an object',
+  DTCG_INVALID_TOKEN: 'A token is not an object',
+  DTCG_MISSING_VALUE: 'A token has no $value',
+  DTCG_LEGACY_VALUE_KEY: 'A token uses the legacy "value" key instead of "$value"',
+  DTCG_LEGACY_TYPE_KEY: 'A token uses the legacy "type" key instead of "$type"',
+  DTCG_UNKNOWN_TYPE: '$type is not one of the DTCG token types',
+  DTCG_MISSING_TYPE: 'A token has no $type; the type was inferred from its value',
+  DTCG_INVALID_DESCRIPTION: 'A $description is not a string',
+  DTCG_INVALID_EXTENSIONS: 'An $extensions value is not an object',
+  DTCG_INVALID_DEPRECATED: 'A $deprecated value is not a boolean or a string',
+  DTCG_EXTENSION_KEY: 'An $extensions key is not in reverse domain notation',
+  DTCG_UNKNOWN_PROPERTY: 'A "$" property is not one the format defines',
+  DTCG_DEPRECATED_TOKEN: 'A token or group is marked $deprecated',
+  DTCG_INVALID_EXTENDS: 'A group $extends is not a reference to an existing group',
+  DTCG_CIRCULAR_EXTENDS: 'A group $extends chain leads back to the group, or it extends its own ancestor or descendant',
+
+  // Aliases
+  DTCG_BROKEN_ALIAS: 'An alias references a token that does not exist',
+  DTCG_ALIAS_TO_GROUP: 'An alias references a group instead of a token',
+  DTCG_CIRCULAR_ALIAS: 'An alias chain references itself',
+  DTCG_ALIAS_TYPE_MISMATCH: 'An alias references a token of a different $type',
+  DTCG_DEPRECATED_ALIAS: 'An alias references a deprecated token',
+
+  // Values
+  DTCG_INVALID_COLOR: 'A color value is neither a color string nor a color object',
+  DTCG_INVALID_HEX: 'A hex color (or a color object hex fallback) is malformed',
+  DTCG_UNKNOWN_COLOR_SPACE: 'A color object uses a colorSpace outside the DTCG color module',
+  DTCG_COLOR_OUT_OF_RANGE: 'A color component is outside the range of its color space',
+  DTCG_INVALID_ALPHA: 'A color alpha is not a number between 0 and 1',
+  DTCG_LEGACY_COLOR_CHANNELS: 'A color object uses the legacy "channels" shape instead of "components"',
+  DTCG_INVALID_DIMENSION: 'A dimension value is malformed',
+  DTCG_UNUSUAL_DIMENSION: 'A dimension string uses an unusual unit or format',
+  DTCG_INVALID_FONT_FAMILY: 'A fontFamily value is not a string or array of strings',
+  DTCG_INVALID_FONT_WEIGHT: 'A fontWeight is not a number between 1 and 1000 or a weight keyword',
+  DTCG_INVALID_LINE_HEIGHT: 'A lineHeight is a numeric string instead of a number',
+  DTCG_INVALID_NUMBER: 'A number token has a non-numeric value',
+  DTCG_INVALID_OPACITY: 'An opacity is not a number between 0 and 1',
+  DTCG_INVALID_DURATION: 'A duration is malformed',
+  DTCG_INVALID_BORDER_RADIUS: 'A borderRadius is not a dimension',
+  DTCG_INVALID_TEXT_CASE: 'A textCase value is not an allowed keyword',
+  DTCG_INVALID_TEXT_DECORATION: 'A textDecoration value is not an allowed keyword',
+  DTCG_INVALID_TYPOGRAPHY: 'A typography value is not an object or misses required fields',
+  DTCG_INVALID_SHADOW: 'A shadow (or shadow layer) is not an object, misses required fields or has a malformed field',
+  DTCG_INVALID_GRADIENT: 'A gradient has no stops, or a stop has a malformed color or a position outside [0, 1]',
+  DTCG_INVALID_BORDER: 'A border value is not an object or misses required fields',
+  DTCG_INVALID_STROKE_STYLE: 'A strokeStyle value is malformed',
+  DTCG_INVALID_TRANSITION: 'A transition value is not an object or has no duration',
+  DTCG_INVALID_TIMING_FUNCTION: 'A transition timingFunction is not a cubicBezier',
+  DTCG_INVALID_CUBIC_BEZIER: 'A cubicBezier is not an array of four numbers with x coordinates in [0, 1]',
+  DTCG_INVALID_ASSET: 'An asset is not a relative path, data URI or http(s) URL',
+  DTCG_UNSUPPORTED_ASSET_TYPE: 'An asset references a file type outside the allowed list (images and fonts by default)',
+  DTCG_MISSING_ASSET: 'An asset path points at none of the files loaded with the document',
+
+  // Brand metadata
+  BRAND_INVALID_METADATA: 'The brand block is not an object',
+  BRAND_MISSING_FIELD: 'A recommended brand field is missing',
+  BRAND_INVALID_FIELD: 'A brand field has the wrong type or format (URL, locale, asset reference, social handle)',
+  BRAND_UNKNOWN_FIELD: 'A brand field or social network is not in the brand metadata schema, e.g. a typo of a known field',
+
+  // Accessibility
+  A11Y_CONTRAST: 'A foreground/background color pair is below the WCAG 2.x contrast minimum',
+  A11Y_APCA_CONTRAST: 'A foreground/background color pair is below the APCA lightness contrast minimum',
+  A11Y_CONTRAST_PAIR: 'A declared contrast pair references a missing or non-color background',
+
+  // Token sets and themes
+  TOKENSET_MISSING_SET: 'A set listed in the token set manifest was not loaded',
+  THEME_UNDEFINED_TOKEN: 'A token exists in some themes but not in this one',
+  THEME_TYPE_MISMATCH: 'A token has a different $type in different themes',
+
+  // I/O (CLI)
+  IO_READ_ERROR: 'The file could not be read',
+  IO_VALIDATION_ERROR: 'The validator failed on the file'
+};
@@ -0,0 +1,299 @@
+/**
+ * Position-tracking JSON parser
+ *
+ * Parses JSON text like JSON.parse, and also records the source range of every
+ * member key and value, addressed by the same paths issues use
+ * ("$", "$.colors.primary.$value", "$.shadow.$value[0].color").
+ * Lines and columns are 1-based, as in Monaco; range ends are exclusive.
+ */
+
+/**
+ * Parse JSON text. Returns { value, positions }, where positions maps each path
+ * to { key, value, kind } ranges ({ start, end } of { line, column, offset }).
+ * Throws an Error with `location` ({ line, column, endLine, endColumn }) on invalid JSON.
+ */
+export function parseJsonWithPositions(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const positions = new Map();
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const toPosition = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1, offset };
+  };
+
+  const fail = (message, offset = index) => {
+    const start = toPosition(Math.min(offset, text.length));
+    const error = new Error(`${message} at line ${start.line}, column ${start.column}`);
+    error.location = { line: start.line, column: start.column, endLine: start.line, endColumn: start.column + 1 };
+    throw error;
+  };
+
+  const describe = (offset) => (offset >= text.length ? 'end of input' : `"${text[offset]}"`);
+
+  const skipWhitespace = () => {
+    while (index < text.length && ' \t\n\r'.includes(text[index])) index++;
+  };
+
+  const parseString = () => {
+    const start = index;
+    index++; // opening quote
+    let result = '';
+    while (index < text.length) {
+      const char = text[index];
+      if (char === '"') {
+        index++;
+        return result;
+      }
+      if (char === '\\') {
+        const escape = text[index + 1];
+        const simple = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+        if (escape in simple) {
+          result += simple[escape];
+          index += 2;
+        } else if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(index + 2, index + 6))) {
+          result += String.fromCharCode(parseInt(text.slice(index + 2, index + 6), 16));
+          index += 6;
+        } else {
+          fail('Invalid escape sequence in string', index);
+        }
+        continue;
+      }
+      if (char < ' ') fail('Unescaped control character in string', index);
+      result += char;
+      index++;
+    }
+    return fail('Unterminated string', start);
+  };
+
+  const parseNumber = () => {
+    const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(index));
+    if (!match) fail(`Unexpected ${describe(index)}`);
+    index += match[0].length;
+    return Number(match[0]);
+  };
+
+  const parseLiteral = () => {
+    for (const [word, literal] of [['true', true], ['false', false], ['null', null]]) {
+      if (text.startsWith(word, index)) {
+        index += word.length;
+        return literal;
+      }
+    }
+    return fail(`Unexpected ${describe(index)}`);
+  };
+
+  const parseValue = (path, key) => {
+    skipWhitespace();
+    const start = index;
+    let value;
+    let kind = 'scalar';
+
+    if (text[index] === '{') {
+      kind = 'object';
+      value = parseObject(path);
+    } else if (text[index] === '[') {
+      kind = 'array';
+      value = parseArray(path);
+    } else if (text[index] === '"') {
+      value = parseString();
+    } else if (text[index] === '-' || (text[index] >= '0' && text[index] <= '9')) {
+      value = parseNumber();
+    } else {
+      value = parseLiteral();
+    }
+
+    positions.set(path, { key, value: { start: toPosition(start), end: toPosition(index) }, kind });
+    return value;
+  };
+
+  const parseObject = (path) => {
+    const result = {};
+    index++; // {
+    skipWhitespace();
+    if (text[index] === '}') {
+      index++;
+      return result;
+    }
+
+    while (true) {
+      skipWhitespace();
+      if (text[index] !== '"') fail(`Expected a property name but found ${describe(index)}`);
+      const keyStart = index;
+      const name = parseString();
+      const key = { start: toPosition(keyStart), end: toPosition(index) };
+
+      skipWhitespace();
+      if (text[index] !== ':') fail(`Expected ":" after property name but found ${describe(index)}`);
+      index++;
+
+      const member = parseValue(`${path}.${name}`, key);
+      // Keep "__proto__" an own property, as JSON.parse does
+      Object.defineProperty(result, name, { value: member, enumerable: true, writable: true, configurable: true });
+
+      skipWhitespace();
+      if (text[index] === ',') {
+        index++;
+        continue;
+      }
+      if (text[index] === '}') {
+        index++;
+        return result;
+      }
+      fail(`Expected "," or "}" but found ${describe(index)}`);
+    }
+  };
+
+  const parseArray = (path) => {
+    const result = [];
+    index++; // [
+    skipWhitespace();
+    if (text[index] === ']') {
+      index++;
+      return result;
+    }
+
+    while (true) {
+      result.push(parseValue(`${path}[${result.length}]`, null));
+      skipWhitespace();
+      if (text[index] === ',') {
+        index++;
+        continue;
+      }
+      if (text[index] === ']') {
+        index++;
+        return result;
+      }
+      fail(`Expected "," or "]" but found ${describe(index)}`);
+    }
+  };
+
+  skipWhitespace();
+  if (index >= text.length) fail('Unexpected end of input');
+  const value = parseValue('$', null);
+  skipWhitespace();
+  if (index < text.length) fail(`Unexpected ${describe(index)} after the document`);
+
+  return { value, positions };
+}
+
+/**
+ * Split an issue path into segments: "$.a.b[0].c" -> ["a", "b", 0, "c"]
+ */
+function splitIssuePath(path) {
+  const segments = [];
+  for (const part of String(path).replace(/^\$\.?/, '').split('.')) {
+    if (!part) continue;
+    const [name, ...indexes] = part.split('[');
+    if (name) segments.push(name);
+    for (const idx of indexes) segments.push(Number(idx.replace(']', '')));
+  }
+  return segments;
+}
+
+/**
+ * Line/column range for an issue path. Falls back to the closest existing
+ * ancestor (e.g. the token of a missing "$value"); "value" and "$value" are
+ * interchangeable. Objects and arrays are located by their key, so markers
+ * underline one line instead of the whole block.
+ * Returns { line, column, endLine, endColumn, exact } or null.
+ */
+export function getIssueLocation(positions, path) {
+  let current = '$';
+  let exact = true;
+
+  for (const segment of splitIssuePath(path)) {
+    const candidates = typeof segment === 'number'
+      ? [`${current}[${segment}]`]
+      : [`${current}.${segment}`, `${current}.${segment === 'value' ? '$value' : segment === '$value' ? 'value' : segment}`];
+    const next = candidates.find(candidate => positions.has(candidate));
+    if (!next) {
+      exact = false;
+      break;
+    }
+    current = next;
+  }
+
+  const entry = positions.get(current);
+  if (!entry) return null;
+
+  let range = entry.value;
+  if (entry.kind !== 'scalar') {
+    range = entry.key || { start: entry.value.start, end: { ...entry.value.start, column: entry.value.start.column + 1 } };
+  }
+  return {
+    line: range.start.line,
+    column: range.start.column,
+    endLine: range.end.line,
+    endColumn: range.end.column,
+    exact
+  };
+}
+
+/**
+ * Path of the innermost member whose key or value contains a 1-based
+ * line/column, e.g. "$.colors.primary.$value", or null outside the document.
+ */
+export function getPathAtPosition(positions, line, column) {
+  const contains = range => range
+    && (range.start.line < line || (range.start.line === line && range.start.column <= column))
+    && (range.end.line > line || (range.end.line === line && range.end.column >= column));
+
+  let best = null;
+  for (const [path, entry] of positions) {
+    if (!contains(entry.key) && !contains(entry.value)) continue;
+    if (!best || path.length > best.length) best = path;
+  }
+  return best;
+}
+
+/**
+ * Copy of a validation result with a `location` on every issue.
+ * `positions` is a map from parseJsonWithPositions, or a function returning
+ * the map for an issue (for token sets, where issues come from several files).
+ */
+export function addIssueLocations(result, positions) {
+  const locate = issue => {
+    if (issue.location) return issue;
+    const map = typeof positions === 'function' ? positions(issue) : positions;
+    const location = map && getIssueLocation(map, issue.path);
+    return location ? { ...issue, location } : issue;
+  };
+
+  return {
+    ...result,
+    errors: result.errors.map(locate),
+    warnings: result.warnings.map(locate),
+    structureIssues: (result.structureIssues || []).map(locate)
+  };
+}
+
+/**
+ * Editor markers for the located issues of a result, in Monaco's range shape.
+ * `severity` is 'error', 'warning' or 'info'; `filter` picks the issues to mark.
+ */
+export function getIssueMarkers(result, filter = () => true) {
+  const marker = severity => issue => issue.location && filter(issue) && {
+    startLineNumber: issue.location.line,
+    startColumn: issue.location.column,
+    endLineNumber: issue.location.endLine,
+    endColumn: issue.location.endColumn,
+    message: `${issue.message}${issue.hint ? `\n\nHint: ${issue.hint}` : ''}`,
+    severity
+  };
+
+  return [
+    ...result.errors.map(marker('error')),
+    ...result.warnings.map(marker('warning')),
+    ...(result.structureIssues || []).map(marker('info'))
+  ].filter(Boolean);
+}
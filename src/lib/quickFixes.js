@@ -0,0 +1,112 @@
+/**
+ * Quick fixes
+ *
+ * Targeted text edits for fixable issues, so an editor can apply one fix at a
+ * time without reformatting the rest of the document: add a missing $type,
+ * rename legacy "value"/"type" keys and misspelled brand fields, and convert
+ * legacy color channels.
+ */
+
+export const QUICK_FIX_CODES = [
+  'DTCG_MISSING_TYPE',
+  'DTCG_LEGACY_VALUE_KEY',
+  'DTCG_LEGACY_TYPE_KEY',
+  'DTCG_LEGACY_COLOR_CHANNELS',
+  'BRAND_UNKNOWN_FIELD'
+];
+
+function toRange(start, end = start) {
+  return { line: start.line, column: start.column, endLine: end.line, endColumn: end.column };
+}
+
+function getIndent(text, offset) {
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Direct members of the object at path, in source order
+ */
+function getMembers(positions, path) {
+  const members = [];
+  for (const [memberPath, entry] of positions) {
+    if (!memberPath.startsWith(`${path}.`) || !entry.key) continue;
+    if (/[.[]/.test(memberPath.slice(path.length + 1))) continue;
+    members.push(entry);
+  }
+  return members.sort((a, b) => a.key.start.offset - b.key.start.offset);
+}
+
+function addTypeFix(issue, text, positions) {
+  const token = positions.get(issue.path);
+  const type = issue.suggestedFix?.$type;
+  // A legacy "type" key is renamed rather than duplicated
+  if (!token || token.kind !== 'object' || !type || positions.has(`${issue.path}.type`)) return null;
+
+  const member = `"$type": ${JSON.stringify(type)}`;
+  const [first] = getMembers(positions, issue.path);
+  let edit;
+  if (!first) {
+    const afterBrace = { ...token.value.start, column: token.value.start.column + 1 };
+    edit = { range: toRange(afterBrace), text: ` ${member} ` };
+  } else {
+    // Same layout as the first member: its own line with its indent, or inline
+    const separator = first.key.start.line > token.value.start.line
+      ? `\n${getIndent(text, first.key.start.offset)}`
+      : ' ';
+    edit = { range: toRange(first.key.start), text: `${member},${separator}` };
+  }
+
+  return { title: `Add "$type": "${type}"`, edits: [edit] };
+}
+
+function renameKeyFix(issue, positions, from, to) {
+  const entry = positions.get(issue.path);
+  // Renaming onto a key that is already there would duplicate it
+  const target = `${issue.path.slice(0, issue.path.length - from.length)}${to}`;
+  if (!entry?.key || positions.has(target)) return null;
+  return {
+    title: `Rename "${from}" to "${to}"`,
+    edits: [{ range: toRange(entry.key.start, entry.key.end), text: JSON.stringify(to) }]
+  };
+}
+
+function colorComponentsFix(issue, text, positions) {
+  const entry = positions.get(issue.path.replace(/\.channels$/, ''));
+  if (!entry || !issue.suggestedFix) return null;
+
+  const { start, end } = entry.value;
+  const indent = getIndent(text, start.offset);
+  const replacement = start.line === end.line
+    ? JSON.stringify(issue.suggestedFix)
+    : JSON.stringify(issue.suggestedFix, null, 2).split('\n').join(`\n${indent}`);
+
+  return {
+    title: 'Convert to a "components" color object',
+    edits: [{ range: toRange(start, end), text: replacement }]
+  };
+}
+
+/**
+ * Quick fix for an issue against the current text and its positions (from
+ * parseJsonWithPositions). Returns { title, edits: [{ range, text }] }, where
+ * range is { line, column, endLine, endColumn }, or null when the issue has
+ * no quick fix or no longer matches the text.
+ */
+export function getQuickFix(issue, text, positions) {
+  switch (issue.code) {
+    case 'DTCG_MISSING_TYPE':
+      return addTypeFix(issue, text, positions);
+    case 'DTCG_LEGACY_VALUE_KEY':
+      return renameKeyFix(issue, positions, 'value', '$value');
+    case 'DTCG_LEGACY_TYPE_KEY':
+      return renameKeyFix(issue, positions, 'type', '$type');
+    case 'DTCG_LEGACY_COLOR_CHANNELS':
+      return colorComponentsFix(issue, text, positions);
+    case 'BRAND_UNKNOWN_FIELD':
+      // Only likely typos carry the intended name
+      return issue.suggestion ? renameKeyFix(issue, positions, issue.path.split('.').pop(), issue.suggestion) : null;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Reporters for validation results
+ * Each reporter takes [{ file, result }] and returns a string
+ */
+
+function countIssues(entries) {
+  return entries.reduce((acc, { result }) => {
+    acc.errors += result.errors.length;
+    acc.warnings += result.warnings.length;
+    acc.structureIssues += (result.structureIssues || []).length;
+    return acc;
+  }, { files: entries.length, errors: 0, warnings: 0, structureIssues: 0 });
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Human-readable report, one block per file
+ */
+export function formatHuman(entries) {
+  const lines = [];
+
+  for (const { file, result } of entries) {
+    const structureIssues = result.structureIssues || [];
+    const issues = [
+      ...result.errors.map(issue => ['error', issue]),
+      ...result.warnings.map(issue => ['warning', issue]),
+      ...structureIssues.map(issue => ['structure', issue])
+    ];
+
+    if (issues.length === 0) {
+      lines.push(`✔ ${file}`);
+      continue;
+    }
+
+    lines.push(`${result.valid ? '⚠' : '✖'} ${file}`);
+    for (const [label, issue] of issues) {
+      const where = issue.location ? `${issue.location.line}:${issue.location.column}  ` : '';
+      lines.push(`  ${label.padEnd(9)}  ${where}${issue.path}  ${issue.message}${issue.code ? `  [${issue.code}]` : ''}`);
+      if (issue.hint) lines.push(`  ${''.padEnd(9)}  ↳ ${issue.hint}`);
+      if (issue.suggestion) lines.push(`  ${''.padEnd(9)}  ↳ ${issue.suggestion}`);
+    }
+    lines.push('');
+  }
+
+  const totals = countIssues(entries);
+  lines.push(
+    `${plural(totals.errors, 'error')}, ${plural(totals.warnings, 'warning')}, ` +
+    `${plural(totals.structureIssues, 'structure issue')} in ${plural(totals.files, 'file')}`
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Machine-readable JSON report
+ */
+export function formatJson(entries) {
+  return JSON.stringify({
+    summary: countIssues(entries),
+    files: entries.map(({ file, result }) => ({ file, ...result }))
+  }, null, 2);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Source line of an issue, read by CI annotations
+function lineAttribute(issue) {
+  return issue.location ? ` line="${issue.location.line}"` : '';
+}
+
+/**
+ * JUnit XML report: one testsuite per file, one testcase per issue.
+ * Errors are failures; warnings and structure issues pass but carry their
+ * message in system-out.
+ */
+export function formatJunit(entries) {
+  const totals = countIssues(entries);
+  const tests = totals.errors + totals.warnings + totals.structureIssues;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="brand-json-validate" tests="${Math.max(tests, totals.files)}" failures="${totals.errors}">`
+  ];
+
+  for (const { file, result } of entries) {
+    const passing = [
+      ...result.warnings.map(issue => ['warning', issue]),
+      ...(result.structureIssues || []).map(issue => ['structure', issue])
+    ];
+    const issues = [...result.errors, ...passing];
+    lines.push(`  <testsuite name="${escapeXml(file)}" tests="${Math.max(issues.length, 1)}" failures="${result.errors.length}">`);
+
+    if (issues.length === 0) {
+      lines.push(`    <testcase name="DTCG validation" classname="${escapeXml(file)}" />`);
+    }
+
+    for (const issue of result.errors) {
+      lines.push(`    <testcase name="${escapeXml(issue.path)}" classname="${escapeXml(file)}"${lineAttribute(issue)}>`);
+      lines.push(`      <failure type="${escapeXml(issue.code || 'error')}" message="${escapeXml(issue.message)}">${escapeXml(issue.hint || issue.message)}</failure>`);
+      lines.push('    </testcase>');
+    }
+    for (const [label, issue] of passing) {
+      const hint = issue.hint || issue.suggestion;
+      lines.push(`    <testcase name="${escapeXml(issue.path)}" classname="${escapeXml(file)}"${lineAttribute(issue)}>`);
+      lines.push(`      <system-out>${label}${issue.code ? ` ${escapeXml(issue.code)}` : ''}: ${escapeXml(issue.message)}${hint ? ` (${escapeXml(hint)})` : ''}</system-out>`);
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+export const REPORTERS = {
+  human: formatHuman,
+  json: formatJson,
+  junit: formatJunit
+};
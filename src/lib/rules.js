@@ -0,0 +1,219 @@
+/**
+ * Named validation rules
+ * Each rule owns one or more issue codes and has a default severity that a
+ * config object (or .brandjsonrc file) can override with off / warn / error.
+ */
+
+export const SEVERITIES = ['off', 'warn', 'error'];
+
+export const RULES = {
+  'valid-document': {
+    severity: 'error',
+    description: 'The document is parseable JSON with an object at the root',
+    codes: ['DTCG_INVALID_JSON', 'DTCG_INVALID_DOCUMENT']
+  },
+  'schema-version': {
+    severity: 'warn',
+    description: 'Declare "$schema" pointing at the DTCG 2025.10 format',
+    codes: ['DTCG_MISSING_SCHEMA', 'DTCG_UNEXPECTED_SCHEMA']
+  },
+  'group-structure': {
+    severity: 'error',
+    description: 'Groups and tokens are JSON objects',
+    codes: ['DTCG_INVALID_GROUP', 'DTCG_INVALID_TOKEN']
+  },
+  'token-value': {
+    severity: 'error',
+    description: 'Every token defines a $value',
+    codes: ['DTCG_MISSING_VALUE']
+  },
+  'legacy-value-key': {
+    severity: 'warn',
+    description: 'Use "$value" instead of the legacy "value" key',
+    codes: ['DTCG_LEGACY_VALUE_KEY']
+  },
+  'legacy-type-key': {
+    severity: 'warn',
+    description: 'Use "$type" instead of the legacy "type" key',
+    codes: ['DTCG_LEGACY_TYPE_KEY']
+  },
+  'known-type': {
+    severity: 'warn',
+    description: '$type is one of the DTCG token types',
+    codes: ['DTCG_UNKNOWN_TYPE']
+  },
+  'explicit-type': {
+    severity: 'warn',
+    description: 'Tokens declare $type instead of relying on inference',
+    codes: ['DTCG_MISSING_TYPE']
+  },
+  'dtcg-properties': {
+    severity: 'error',
+    description: '$description is a string, $extensions an object and $deprecated a boolean or string',
+    codes: ['DTCG_INVALID_DESCRIPTION', 'DTCG_INVALID_EXTENSIONS', 'DTCG_INVALID_DEPRECATED']
+  },
+  'extension-namespace': {
+    severity: 'warn',
+    description: '$extensions keys use reverse domain notation, e.g. "com.example.tool"',
+    codes: ['DTCG_EXTENSION_KEY']
+  },
+  'reserved-properties': {
+    severity: 'warn',
+    description: 'Only properties defined by the format start with "$"',
+    codes: ['DTCG_UNKNOWN_PROPERTY']
+  },
+  'deprecated-token': {
+    severity: 'warn',
+    description: 'Lists tokens and groups marked $deprecated',
+    codes: ['DTCG_DEPRECATED_TOKEN']
+  },
+  'group-extends': {
+    severity: 'error',
+    description: 'Group $extends references an existing group without cycles',
+    codes: ['DTCG_INVALID_EXTENDS', 'DTCG_CIRCULAR_EXTENDS']
+  },
+  'alias-resolution': {
+    severity: 'error',
+    description: 'Aliases point at existing tokens without cycles',
+    codes: ['DTCG_BROKEN_ALIAS', 'DTCG_ALIAS_TO_GROUP', 'DTCG_CIRCULAR_ALIAS']
+  },
+  'alias-type-match': {
+    severity: 'error',
+    description: 'Aliases reference tokens of the same $type',
+    codes: ['DTCG_ALIAS_TYPE_MISMATCH']
+  },
+  'deprecated-alias': {
+    severity: 'warn',
+    description: 'Aliases do not reference deprecated tokens',
+    codes: ['DTCG_DEPRECATED_ALIAS']
+  },
+  'value-format': {
+    severity: 'error',
+    description: 'Token values match the shape required by their $type',
+    codes: [
+      'DTCG_INVALID_COLOR',
+      'DTCG_INVALID_HEX',
+      'DTCG_UNKNOWN_COLOR_SPACE',
+      'DTCG_COLOR_OUT_OF_RANGE',
+      'DTCG_INVALID_ALPHA',
+      'DTCG_INVALID_DIMENSION',
+      'DTCG_INVALID_FONT_FAMILY',
+      'DTCG_INVALID_FONT_WEIGHT',
+      'DTCG_INVALID_LINE_HEIGHT',
+      'DTCG_INVALID_NUMBER',
+      'DTCG_INVALID_OPACITY',
+      'DTCG_INVALID_DURATION',
+      'DTCG_INVALID_BORDER_RADIUS',
+      'DTCG_INVALID_TEXT_CASE',
+      'DTCG_INVALID_TEXT_DECORATION',
+      'DTCG_INVALID_TYPOGRAPHY',
+      'DTCG_INVALID_SHADOW',
+      'DTCG_INVALID_GRADIENT',
+      'DTCG_INVALID_BORDER',
+      'DTCG_INVALID_STROKE_STYLE',
+      'DTCG_INVALID_TRANSITION',
+      'DTCG_INVALID_CUBIC_BEZIER',
+      'DTCG_INVALID_ASSET'
+    ]
+  },
+  'asset-type': {
+    severity: 'error',
+    description: 'Assets reference an allowed file type (images and fonts unless "assets.types" says otherwise)',
+    codes: ['DTCG_UNSUPPORTED_ASSET_TYPE']
+  },
+  'asset-files': {
+    severity: 'error',
+    description: 'Asset paths point at files loaded with the document',
+    codes: ['DTCG_MISSING_ASSET']
+  },
+  'color-components': {
+    severity: 'warn',
+    description: 'Color objects use "components" and "alpha" rather than legacy "channels"',
+    codes: ['DTCG_LEGACY_COLOR_CHANNELS']
+  },
+  'dimension-units': {
+    severity: 'warn',
+    description: 'Dimension strings use standard CSS units',
+    codes: ['DTCG_UNUSUAL_DIMENSION']
+  },
+  'transition-timing-function': {
+    severity: 'warn',
+    description: 'Transition timingFunction is a cubicBezier',
+    codes: ['DTCG_INVALID_TIMING_FUNCTION']
+  },
+  'brand-metadata': {
+    severity: 'error',
+    description: 'The brand block is an object and its fields match the brand metadata schema',
+    codes: ['BRAND_INVALID_METADATA', 'BRAND_INVALID_FIELD']
+  },
+  'brand-known-fields': {
+    severity: 'warn',
+    description: 'The brand block only uses documented fields',
+    codes: ['BRAND_UNKNOWN_FIELD']
+  },
+  'brand-required-fields': {
+    severity: 'warn',
+    description: 'The brand block names the brand',
+    codes: ['BRAND_MISSING_FIELD']
+  },
+  'color-contrast': {
+    severity: 'off',
+    description: 'Text colors meet the WCAG 2.x contrast minimum on their backgrounds',
+    codes: ['A11Y_CONTRAST', 'A11Y_CONTRAST_PAIR']
+  },
+  'apca-contrast': {
+    severity: 'off',
+    description: 'Text colors meet the APCA lightness contrast minimum on their backgrounds',
+    codes: ['A11Y_APCA_CONTRAST']
+  },
+  'token-set-manifest': {
+    severity: 'error',
+    description: 'Every set listed in a token set manifest is loaded',
+    codes: ['TOKENSET_MISSING_SET']
+  },
+  'theme-coverage': {
+    severity: 'warn',
+    description: 'Every theme defines the same tokens',
+    codes: ['THEME_UNDEFINED_TOKEN']
+  },
+  'theme-type-consistency': {
+    severity: 'error',
+    description: 'A token keeps the same $type in every theme',
+    codes: ['THEME_TYPE_MISMATCH']
+  },
+  'io': {
+    severity: 'error',
+    description: 'Input files are readable and can be validated',
+    codes: ['IO_READ_ERROR', 'IO_VALIDATION_ERROR']
+  }
+};
+
+const RULE_BY_CODE = Object.fromEntries(
+  Object.entries(RULES).flatMap(([ruleId, rule]) => rule.codes.map(code => [code, ruleId]))
+);
+
+export function getRuleForCode(code) {
+  return RULE_BY_CODE[code] || null;
+}
+
+/**
+ * Merge a user config ({ rules: { id: severity } }) with rule defaults.
+ * Throws on unknown rules or severities so typos don't silently do nothing.
+ */
+export function resolveRuleSeverities(config = {}) {
+  const severities = Object.fromEntries(
+    Object.entries(RULES).map(([ruleId, rule]) => [ruleId, rule.severity])
+  );
+
+  for (const [ruleId, severity] of Object.entries(config.rules || {})) {
+    if (!RULES[ruleId]) {
+      throw new Error(`Unknown rule "${ruleId}". Known rules: ${Object.keys(RULES).join(', ')}`);
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for rule "${ruleId}". Use one of: ${SEVERITIES.join(', ')}`);
+    }
+    severities[ruleId] = severity;
+  }
+
+  return severities;
+}
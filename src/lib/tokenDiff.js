@@ -0,0 +1,191 @@
+/**
+ * Token diff
+ *
+ * Compares two versions of a token document and classifies every change:
+ * added, removed, renamed (same type and value under a new path), retyped and
+ * changed. Removals, renames and type changes break consumers; additions and
+ * value changes do not.
+ */
+
+import { isAliasValue, listTokens, parseAlias } from './tokenTree.js';
+
+export const CHANGE_KINDS = {
+  removed: { label: 'Removed', breaking: true },
+  renamed: { label: 'Renamed', breaking: true },
+  retyped: { label: 'Type changed', breaking: true },
+  added: { label: 'Added', breaking: false },
+  changed: { label: 'Value changed', breaking: false }
+};
+
+/**
+ * Tokens of a document by dot path, with their effective $type (see listTokens)
+ */
+function collectTokens(json) {
+  return new Map(listTokens(json).map(({ id, type, value }) => [id, { type, value }]));
+}
+
+/**
+ * JSON with sorted object keys, so equal values compare equal regardless of key order
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Rewrite alias references to renamed tokens, so "{old}" -> "{new}" is not a value change
+ */
+function renameAliases(value, renames) {
+  if (isAliasValue(value)) {
+    const target = renames.get(parseAlias(value));
+    return target ? `{${target}}` : value;
+  }
+  if (Array.isArray(value)) return value.map(item => renameAliases(item, renames));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renameAliases(item, renames)]));
+  }
+  return value;
+}
+
+/**
+ * How alike two paths look, to pick the likeliest rename among equal values
+ */
+function pathSimilarity(from, to) {
+  const a = from.split('.');
+  const b = to.split('.');
+  let score = a[a.length - 1] === b[b.length - 1] ? 2 : 0;
+  for (let i = 0; i < Math.min(a.length, b.length) && a[i] === b[i]; i++) score++;
+  return score;
+}
+
+/**
+ * Pair removed tokens with added tokens of the same type and value
+ */
+function matchRenames(removed, added, before, after) {
+  const renames = new Map();
+  const candidates = [];
+
+  for (const from of removed) {
+    const old = before.get(from);
+    const oldValue = stableStringify(old.value);
+    for (const to of added) {
+      const next = after.get(to);
+      if (next.type === old.type && stableStringify(next.value) === oldValue) {
+        candidates.push({ from, to, score: pathSimilarity(from, to) });
+      }
+    }
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+  const taken = new Set();
+  for (const { from, to } of candidates) {
+    if (renames.has(from) || taken.has(to)) continue;
+    renames.set(from, to);
+    taken.add(to);
+  }
+  return renames;
+}
+
+/**
+ * Compare two token documents.
+ * Returns { changes: [{ kind, path, from?, type, before?, after?, breaking }], summary }
+ * where summary counts each kind, the breaking changes and the semver bump they call for.
+ */
+export function diffTokens(beforeJson, afterJson) {
+  const before = collectTokens(beforeJson);
+  const after = collectTokens(afterJson);
+
+  const removedPaths = [...before.keys()].filter(path => !after.has(path));
+  const addedPaths = [...after.keys()].filter(path => !before.has(path));
+  const renames = matchRenames(removedPaths, addedPaths, before, after);
+  const renamedTargets = new Set(renames.values());
+  const changes = [];
+
+  for (const path of removedPaths) {
+    const old = before.get(path);
+    if (renames.has(path)) {
+      changes.push({ kind: 'renamed', path: renames.get(path), from: path, type: old.type, after: old.value });
+    } else {
+      changes.push({ kind: 'removed', path, type: old.type, before: old.value });
+    }
+  }
+
+  for (const path of addedPaths) {
+    if (renamedTargets.has(path)) continue;
+    const next = after.get(path);
+    changes.push({ kind: 'added', path, type: next.type, after: next.value });
+  }
+
+  for (const [path, old] of before) {
+    const next = after.get(path);
+    if (!next) continue;
+
+    if (old.type !== next.type) {
+      changes.push({ kind: 'retyped', path, from: old.type, type: next.type, before: old.value, after: next.value });
+    } else if (stableStringify(renameAliases(old.value, renames)) !== stableStringify(next.value)) {
+      changes.push({ kind: 'changed', path, type: next.type, before: old.value, after: next.value });
+    }
+  }
+
+  const kindOrder = Object.keys(CHANGE_KINDS);
+  changes.sort((a, b) => kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind) || a.path.localeCompare(b.path));
+  for (const change of changes) change.breaking = CHANGE_KINDS[change.kind].breaking;
+
+  const summary = Object.fromEntries(kindOrder.map(kind => [kind, changes.filter(c => c.kind === kind).length]));
+  summary.breaking = changes.filter(change => change.breaking).length;
+  summary.bump = summary.breaking > 0 ? 'major' : summary.added > 0 ? 'minor' : changes.length > 0 ? 'patch' : 'none';
+
+  return { changes, summary };
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function describeChange(change) {
+  switch (change.kind) {
+    case 'renamed':
+      return `\`${change.from}\` → \`${change.path}\``;
+    case 'retyped':
+      return `\`${change.path}\`: ${change.from ?? 'untyped'} → ${change.type ?? 'untyped'}`;
+    case 'changed':
+      return `\`${change.path}\`: \`${formatValue(change.before)}\` → \`${formatValue(change.after)}\``;
+    case 'added':
+      return `\`${change.path}\`${change.type ? ` (${change.type})` : ''}: \`${formatValue(change.after)}\``;
+    default:
+      return `\`${change.path}\`${change.type ? ` (${change.type})` : ''}`;
+  }
+}
+
+/**
+ * Markdown changelog of a diffTokens() result
+ */
+export function formatChangelog(diff, { title = 'Token changes' } = {}) {
+  const lines = [`## ${title}`, ''];
+
+  if (diff.changes.length === 0) {
+    lines.push('No token changes.');
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push(`Suggested version bump: **${diff.summary.bump}**`, '');
+
+  for (const [heading, breaking] of [['Breaking changes', true], ['Non-breaking changes', false]]) {
+    const changes = diff.changes.filter(change => change.breaking === breaking);
+    if (changes.length === 0) continue;
+
+    lines.push(`### ${heading}`, '');
+    for (const [kind, { label }] of Object.entries(CHANGE_KINDS)) {
+      const ofKind = changes.filter(change => change.kind === kind);
+      if (ofKind.length === 0) continue;
+      lines.push(`#### ${label} (${ofKind.length})`, '');
+      for (const change of ofKind) lines.push(`- ${describeChange(change)}`);
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n').trimEnd() + '\n';
+}
@@ -0,0 +1,182 @@
+/**
+ * Token insights
+ *
+ * Statistics for trimming a token document rather than validating it: counts
+ * by $type and group, nesting depth, alias usage, exact and near-duplicate
+ * values, primitives nothing references and naming-convention consistency.
+ */
+
+import { deltaE2000, parseColor, toHex } from './color.js';
+import { isAliasValue, listTokens, parseAlias } from './tokenTree.js';
+import { stableStringify } from './tokenDiff.js';
+
+// CIEDE2000 difference below which two colors are hard to tell apart side by side
+export const NEAR_DUPLICATE_DELTA_E = 3;
+
+export const NAMING_STYLES = {
+  'kebab-case': /^[a-z0-9]+(-[a-z0-9]+)+$/,
+  'snake_case': /^[a-z0-9]+(_[a-z0-9]+)+$/,
+  camelCase: /^[a-z][a-z0-9]*([A-Z][a-z0-9]*)+$/,
+  PascalCase: /^[A-Z][a-z0-9]*([A-Z][a-z0-9]*)*$/
+};
+
+/**
+ * Naming style of one path segment, or null for single lowercase words,
+ * which fit every style
+ */
+function getNamingStyle(name) {
+  if (/^[a-z0-9]+$/.test(name)) return null;
+  return Object.keys(NAMING_STYLES).find(style => NAMING_STYLES[style].test(name)) || 'mixed';
+}
+
+/**
+ * Every alias reference inside a value, including those nested in composite values
+ */
+function collectReferences(value, refs = []) {
+  if (isAliasValue(value)) refs.push(parseAlias(value));
+  else if (Array.isArray(value)) value.forEach(item => collectReferences(item, refs));
+  else if (value && typeof value === 'object') Object.values(value).forEach(item => collectReferences(item, refs));
+  return refs;
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function findDuplicates(literals) {
+  const byValue = new Map();
+  for (const token of literals) {
+    const color = token.type === 'color' ? parseColor(token.value) : null;
+    // Colors compare by rendered value, so "#FFF" and "#ffffff" are duplicates
+    const value = color ? toHex(color) : stableStringify(token.value);
+    const key = `${token.type}|${value}`;
+    if (!byValue.has(key)) byValue.set(key, { type: token.type, value: color ? value : token.value, paths: [] });
+    byValue.get(key).paths.push(token.id);
+  }
+  return [...byValue.values()]
+    .filter(entry => entry.paths.length > 1)
+    .sort((a, b) => b.paths.length - a.paths.length);
+}
+
+function findNearDuplicateColors(literals, threshold) {
+  const colors = new Map();
+  for (const token of literals) {
+    const color = token.type === 'color' ? parseColor(token.value) : null;
+    if (!color) continue;
+    const hex = toHex(color);
+    if (!colors.has(hex)) colors.set(hex, { value: hex, color, paths: [] });
+    colors.get(hex).paths.push(token.id);
+  }
+
+  const unique = [...colors.values()];
+  const pairs = [];
+  for (let i = 0; i < unique.length; i++) {
+    for (let j = i + 1; j < unique.length; j++) {
+      const [a, b] = [unique[i], unique[j]];
+      // A translucent variant of a color is a different token on purpose
+      if (Math.abs(a.color.alpha - b.color.alpha) > 0.01) continue;
+      const deltaE = deltaE2000(a.color, b.color);
+      if (deltaE < threshold) {
+        pairs.push({
+          deltaE: Math.round(deltaE * 100) / 100,
+          a: { value: a.value, paths: a.paths },
+          b: { value: b.value, paths: b.paths }
+        });
+      }
+    }
+  }
+  return pairs.sort((a, b) => a.deltaE - b.deltaE);
+}
+
+/**
+ * Primitives are literal tokens in a group that aliases point into (e.g. a
+ * palette); those never referenced are orphans. Groups nothing points into
+ * are consumed directly and are not reported.
+ */
+function findOrphans(literals, referenced) {
+  const parent = token => token.path.slice(0, -1).join('.');
+  const primitiveGroups = new Set(literals.filter(token => referenced.has(token.id)).map(parent));
+  return literals
+    .filter(token => primitiveGroups.has(parent(token)) && !referenced.has(token.id))
+    .map(token => token.id);
+}
+
+function analyzeNaming(tokens) {
+  const segments = new Map();
+  for (const { path } of tokens) {
+    path.forEach((name, i) => {
+      // "$root" is fixed by the format, not named by the author
+      if (name !== '$root' && !segments.has(name)) segments.set(name, path.slice(0, i + 1).join('.'));
+    });
+  }
+
+  const counts = {};
+  const styled = [];
+  for (const [name, path] of segments) {
+    const style = getNamingStyle(name);
+    if (!style) continue;
+    increment(counts, style);
+    styled.push({ name, path, style });
+  }
+
+  const dominant = Object.keys(counts)
+    .filter(style => style !== 'mixed')
+    .sort((a, b) => counts[b] - counts[a])[0] || null;
+  const outliers = styled.filter(segment => segment.style !== dominant);
+
+  return {
+    dominant,
+    counts,
+    consistency: styled.length ? (styled.length - outliers.length) / styled.length : 1,
+    outliers
+  };
+}
+
+/**
+ * Statistics for a token document:
+ * {
+ *   total, byType: { type: count }, byGroup: { group: count },
+ *   depth: { max, average, histogram: { depth: count } },
+ *   aliases: { count, ratio },
+ *   duplicates: [{ type, value, paths }],
+ *   nearDuplicateColors: [{ deltaE, a: { value, paths }, b: { value, paths } }],
+ *   orphans: [path],
+ *   naming: { dominant, counts: { style: count }, consistency, outliers: [{ name, path, style }] }
+ * }
+ * Tokens without a $type (own or inherited) count as "untyped".
+ */
+export function analyzeTokens(json, { nearDuplicateThreshold = NEAR_DUPLICATE_DELTA_E } = {}) {
+  const tokens = listTokens(json);
+  const byType = {};
+  const byGroup = {};
+  const histogram = {};
+  const referenced = new Set();
+  let aliasCount = 0;
+
+  for (const token of tokens) {
+    increment(byType, token.type || 'untyped');
+    increment(byGroup, token.path[0]);
+    increment(histogram, token.path.length);
+    if (isAliasValue(token.value)) aliasCount++;
+    collectReferences(token.value).forEach(ref => referenced.add(ref));
+  }
+
+  const literals = tokens.filter(token => collectReferences(token.value).length === 0);
+  const total = tokens.length;
+
+  return {
+    total,
+    byType,
+    byGroup,
+    depth: {
+      max: tokens.reduce((max, token) => Math.max(max, token.path.length), 0),
+      average: total ? tokens.reduce((sum, token) => sum + token.path.length, 0) / total : 0,
+      histogram
+    },
+    aliases: { count: aliasCount, ratio: total ? aliasCount / total : 0 },
+    duplicates: findDuplicates(literals),
+    nearDuplicateColors: findNearDuplicateColors(literals, nearDuplicateThreshold),
+    orphans: findOrphans(literals, referenced),
+    naming: analyzeNaming(tokens)
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * JSON Schema for DTCG token documents
+ *
+ * Describes groups, tokens and the $value shape of every token type, for
+ * editor completion, snippets and hover documentation. It is deliberately
+ * permissive: DTCGValidator remains the source of truth for diagnostics.
+ */
+
+import { BRAND_METADATA_SCHEMA } from './brandMetadata.js';
+import { COLOR_SPACES } from './color.js';
+import {
+  DTCG_SCHEMA_URL,
+  FONT_WEIGHT_KEYWORDS,
+  LINE_CAPS,
+  STROKE_STYLE_KEYWORDS,
+  TEXT_CASES,
+  TEXT_DECORATIONS,
+  TYPOGRAPHY_FIELDS,
+  VALID_TOKEN_TYPES
+} from './dtcgValidator.js';
+
+export const TOKEN_SCHEMA_URI = 'brand-json-validator://schema/tokens.json';
+
+const TYPE_DESCRIPTIONS = {
+  color: 'A color: hex string or `{ colorSpace, components, alpha }` object',
+  dimension: 'A distance: `"16px"` or `{ value, unit }`',
+  number: 'A unitless number',
+  opacity: 'A number between 0 and 1',
+  fontFamily: 'A font name or a fallback list of names',
+  fontSize: 'A font size dimension',
+  fontWeight: 'A number between 1 and 1000 or a weight keyword',
+  lineHeight: 'A unitless multiplier of the font size',
+  letterSpacing: 'A letter spacing dimension',
+  paragraphSpacing: 'A paragraph spacing dimension',
+  textCase: `One of ${TEXT_CASES.join(', ')}`,
+  textDecoration: `One of ${TEXT_DECORATIONS.join(', ')}`,
+  duration: 'A length of time: `"200ms"` or `{ value, unit }`',
+  cubicBezier: 'Easing curve control points `[x1, y1, x2, y2]`',
+  transition: 'Composite: `duration`, `delay` and `timingFunction`',
+  shadow: 'Composite: `color`, `offsetX`, `offsetY`, `blur`, `spread` and `inset`, or a list of layers',
+  gradient: 'Composite: a list of `{ color, position }` stops',
+  border: 'Composite: `color`, `width` and `style`',
+  borderRadius: 'A corner radius dimension',
+  strokeStyle: `A line style keyword or \`{ dashArray, lineCap }\``,
+  typography: `Composite: ${Object.keys(TYPOGRAPHY_FIELDS).map(field => `\`${field}\``).join(', ')}`,
+  asset: 'An image or font file: relative path, data URI or http(s) URL'
+};
+
+const alias = {
+  type: 'string',
+  pattern: '^\\{[^{}]+\\}$',
+  description: 'Alias to another token: "{group.token}"'
+};
+
+// Each value schema also accepts an alias
+const valueOf = (schema, defaultSnippets) => ({ anyOf: [schema, alias], ...(defaultSnippets && { defaultSnippets }) });
+
+const colorSchema = {
+  anyOf: [
+    { type: 'string', format: 'color-hex' },
+    {
+      type: 'object',
+      required: ['colorSpace', 'components'],
+      properties: {
+        colorSpace: { enum: Object.keys(COLOR_SPACES) },
+        components: { type: 'array', minItems: 3, maxItems: 3, items: { anyOf: [{ type: 'number' }, { const: 'none' }] } },
+        alpha: { type: 'number', minimum: 0, maximum: 1 },
+        hex: { type: 'string', format: 'color-hex' }
+      }
+    }
+  ]
+};
+
+const dimensionSchema = {
+  anyOf: [
+    { type: 'string' },
+    { type: 'number' },
+    { type: 'object', required: ['value', 'unit'], properties: { value: { type: 'number' }, unit: { enum: ['px', 'rem'] } } }
+  ]
+};
+
+const durationSchema = {
+  anyOf: [
+    { type: 'string' },
+    { type: 'number' },
+    { type: 'object', required: ['value', 'unit'], properties: { value: { type: 'number' }, unit: { enum: ['ms', 's'] } } }
+  ]
+};
+
+const fontWeightSchema = { anyOf: [{ type: 'number', minimum: 1, maximum: 1000 }, { enum: FONT_WEIGHT_KEYWORDS }] };
+const cubicBezierSchema = { type: 'array', minItems: 4, maxItems: 4, items: { type: 'number' } };
+const strokeStyleSchema = {
+  anyOf: [
+    { enum: STROKE_STYLE_KEYWORDS },
+    {
+      type: 'object',
+      required: ['dashArray', 'lineCap'],
+      properties: { dashArray: { type: 'array', items: valueOf(dimensionSchema) }, lineCap: { enum: LINE_CAPS } }
+    }
+  ]
+};
+
+const shadowLayer = {
+  type: 'object',
+  properties: {
+    color: valueOf(colorSchema),
+    offsetX: valueOf(dimensionSchema),
+    offsetY: valueOf(dimensionSchema),
+    blur: valueOf(dimensionSchema),
+    spread: valueOf(dimensionSchema),
+    inset: { type: 'boolean' }
+  }
+};
+
+const gradientStop = {
+  type: 'object',
+  properties: { color: valueOf(colorSchema), position: { anyOf: [{ type: 'number', minimum: 0, maximum: 1 }, alias] } }
+};
+
+const FIELD_SCHEMAS = {
+  fontFamily: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+  dimension: dimensionSchema,
+  fontWeight: fontWeightSchema,
+  lineHeight: { anyOf: [{ type: 'number' }, { type: 'string' }] },
+  textCase: { enum: TEXT_CASES },
+  textDecoration: { enum: TEXT_DECORATIONS }
+};
+
+// $value schema and snippets per $type; "^" inserts a snippet value unquoted
+const VALUE_SCHEMAS = {
+  color: valueOf(colorSchema, [
+    { label: 'sRGB color object', body: { colorSpace: 'srgb', components: ['^${1:0}', '^${2:0}', '^${3:0}'], alpha: '^${4:1}' } },
+    { label: 'OKLCH color object', body: { colorSpace: 'oklch', components: ['^${1:0.5}', '^${2:0.1}', '^${3:250}'], alpha: '^${4:1}' } }
+  ]),
+  dimension: valueOf(dimensionSchema, [{ label: 'Dimension object', body: { value: '^${1:16}', unit: '${2:px}' } }]),
+  number: valueOf({ type: 'number' }),
+  opacity: valueOf({ type: 'number', minimum: 0, maximum: 1 }),
+  fontFamily: valueOf(FIELD_SCHEMAS.fontFamily, [{ label: 'Font stack', body: ['${1:Inter}', '${2:sans-serif}'] }]),
+  fontSize: valueOf(dimensionSchema),
+  fontWeight: valueOf(fontWeightSchema),
+  lineHeight: valueOf(FIELD_SCHEMAS.lineHeight),
+  letterSpacing: valueOf(dimensionSchema),
+  paragraphSpacing: valueOf(dimensionSchema),
+  textCase: valueOf({ enum: TEXT_CASES }),
+  textDecoration: valueOf({ enum: TEXT_DECORATIONS }),
+  duration: valueOf(durationSchema, [{ label: 'Duration object', body: { value: '^${1:200}', unit: '${2:ms}' } }]),
+  cubicBezier: valueOf(cubicBezierSchema, [{ label: 'Easing curve', body: ['^${1:0.4}', '^${2:0}', '^${3:0.2}', '^${4:1}'] }]),
+  transition: valueOf(
+    {
+      type: 'object',
+      properties: { duration: valueOf(durationSchema), delay: valueOf(durationSchema), timingFunction: valueOf(cubicBezierSchema) }
+    },
+    [{ label: 'Transition', body: { duration: '${1:200ms}', delay: '${2:0ms}', timingFunction: ['^0.4', '^0', '^0.2', '^1'] } }]
+  ),
+  shadow: valueOf({ anyOf: [shadowLayer, { type: 'array', items: shadowLayer }] }, [
+    { label: 'Shadow', body: { color: '${1:#00000033}', offsetX: '${2:0px}', offsetY: '${3:4px}', blur: '${4:8px}', spread: '${5:0px}' } },
+    { label: 'Inset shadow', body: { color: '${1:#00000033}', offsetX: '${2:0px}', offsetY: '${3:1px}', blur: '${4:2px}', spread: '${5:0px}', inset: true } }
+  ]),
+  gradient: valueOf({ anyOf: [{ type: 'array', items: gradientStop }, { type: 'object', properties: { stops: { type: 'array', items: gradientStop } } }] }, [
+    { label: 'Two-stop gradient', body: [{ color: '${1:#000000}', position: '^0' }, { color: '${2:#ffffff}', position: '^1' }] }
+  ]),
+  border: valueOf(
+    { type: 'object', properties: { color: valueOf(colorSchema), width: valueOf(dimensionSchema), style: valueOf(strokeStyleSchema) } },
+    [{ label: 'Border', body: { color: '${1:#000000}', width: '${2:1px}', style: '${3:solid}' } }]
+  ),
+  borderRadius: valueOf(dimensionSchema),
+  strokeStyle: valueOf(strokeStyleSchema, [{ label: 'Dashed stroke', body: { dashArray: ['${1:4px}', '${2:2px}'], lineCap: '${3:round}' } }]),
+  typography: valueOf(
+    {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(TYPOGRAPHY_FIELDS).map(([field, type]) => [field, valueOf(FIELD_SCHEMAS[type])]))
+    },
+    [{ label: 'Typography', body: { fontFamily: '${1:Inter}', fontSize: '${2:16px}', fontWeight: '^${3:400}', lineHeight: '^${4:1.5}' } }]
+  ),
+  asset: valueOf({ type: 'string', description: 'Relative path, data URI or http(s) URL, e.g. "assets/logo.svg"' })
+};
+
+const typeProperty = {
+  enum: VALID_TOKEN_TYPES,
+  markdownEnumDescriptions: VALID_TOKEN_TYPES.map(type => TYPE_DESCRIPTIONS[type] || '')
+};
+
+const nodeProperties = {
+  $type: typeProperty,
+  $value: { description: 'The token value. Its shape depends on $type.' },
+  $description: { type: 'string', description: 'Plain-text description of the token or group' },
+  $extensions: { type: 'object', description: 'Vendor-specific data, keyed by reverse domain name' },
+  $deprecated: { anyOf: [{ type: 'boolean' }, { type: 'string' }], description: 'true, or an explanation of what to use instead' }
+};
+
+/**
+ * The schema, as a plain object (draft-07, with the editor's defaultSnippets
+ * and markdownEnumDescriptions extensions)
+ */
+export const TOKEN_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'DTCG design tokens',
+  type: 'object',
+  properties: {
+    $schema: { type: 'string', default: DTCG_SCHEMA_URL },
+    $description: nodeProperties.$description,
+    $extensions: nodeProperties.$extensions,
+    brand: BRAND_METADATA_SCHEMA
+  },
+  patternProperties: {
+    '^(?!brand$)[^$]': { $ref: '#/definitions/node' }
+  },
+  definitions: {
+    node: {
+      type: 'object',
+      properties: nodeProperties,
+      patternProperties: {
+        '^[^$]': { $ref: '#/definitions/node' }
+      },
+      defaultSnippets: [
+        { label: 'New token', body: { $type: '${1:color}', $value: '${2}' } },
+        { label: 'New group', body: { $type: '${1:color}', '${2:name}': { $value: '${3}' } } }
+      ],
+      allOf: Object.entries(VALUE_SCHEMAS).map(([type, schema]) => ({
+        if: { properties: { $type: { const: type } }, required: ['$type'] },
+        then: { properties: { $value: schema } }
+      }))
+    }
+  }
+};
@@ -0,0 +1,225 @@
+/**
+ * Multi-file token sets and theme resolution
+ *
+ * A manifest lists base sets (merged in order) and per-theme override sets:
+ *   {
+ *     "sets": ["primitives.json", "semantic.json"],
+ *     "themes": { "light": ["light.json"], "dark": ["dark.json"] }
+ *   }
+ * Later sets override earlier ones token by token.
+ */
+
+import { DTCGValidator } from './dtcgValidator.js';
+import { isTokenNode, listTokens } from './tokenTree.js';
+
+const DEFAULT_THEME = 'default';
+
+export function isTokenSetManifest(json) {
+  return !!json && typeof json === 'object' && Array.isArray(json.sets) &&
+    (json.themes === undefined || (typeof json.themes === 'object' && !Array.isArray(json.themes)));
+}
+
+/**
+ * List every theme with the ordered set names it merges
+ */
+export function resolveThemes(manifest) {
+  const base = manifest.sets || [];
+  const themes = Object.entries(manifest.themes || {});
+
+  if (themes.length === 0) {
+    return [{ name: DEFAULT_THEME, sets: [...base] }];
+  }
+  return themes.map(([name, sets]) => ({ name, sets: [...base, ...sets] }));
+}
+
+/**
+ * Deep-merge token documents in order.
+ * Returns the merged document, the set that last defined each token path
+ * (`sources`) and the set that last defined each group and group property
+ * ("colors", "colors.$extends") (`groupSources`).
+ */
+export function mergeTokenSets(documents) {
+  const document = {};
+  const sources = new Map();
+  const groupSources = new Map();
+
+  // Keys are read and written as own properties, so a "__proto__" key from
+  // JSON.parse stays data instead of reaching Object.prototype
+  const setOwn = (target, key, value) => {
+    Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+  };
+
+  const merge = (target, source, path, setName) => {
+    if (path.length > 0) groupSources.set(path.join('.'), setName);
+    for (const [key, value] of Object.entries(source)) {
+      const childPath = [...path, key];
+
+      if (key.startsWith('$') || key === 'brand' || typeof value !== 'object' || value === null || isTokenNode(value)) {
+        setOwn(target, key, structuredClone(value));
+        if (isTokenNode(value)) sources.set(childPath.join('.'), setName);
+        else groupSources.set(childPath.join('.'), setName);
+        continue;
+      }
+
+      const existing = Object.hasOwn(target, key) ? target[key] : undefined;
+      if (typeof existing !== 'object' || existing === null || isTokenNode(existing)) {
+        setOwn(target, key, {});
+      }
+      merge(target[key], value, childPath, setName);
+    }
+  };
+
+  for (const { name, json } of documents) {
+    if (json && typeof json === 'object') merge(document, json, [], name);
+  }
+
+  return { document, sources, groupSources };
+}
+
+/**
+ * Find which set defined the token an issue path points into, else the
+ * group (or group property) it points at
+ */
+function findSource(sources, groupSources, issuePath) {
+  const parts = issuePath.replace(/^\$\.?/, '').split('.');
+  for (const map of [sources, groupSources]) {
+    for (let i = parts.length; i > 0; i--) {
+      const source = map.get(parts.slice(0, i).join('.'));
+      if (source) return source;
+    }
+  }
+  return null;
+}
+
+// Effective $type of every declared token, including types inherited from groups
+function collectTokenTypes(document) {
+  return new Map(listTokens(document).map(({ id, type }) => [id, type]));
+}
+
+/**
+ * Validate every theme of a manifest.
+ * `documents` maps set names (as listed in the manifest) to parsed JSON.
+ */
+export function validateTokenSets(manifest, documents, config = {}) {
+  const validator = new DTCGValidator(config);
+  const cross = new DTCGValidator(config);
+
+  const listedSets = [...new Set(resolveThemes(manifest).flatMap(t => t.sets))];
+  for (const setName of listedSets) {
+    if (!(setName in documents)) {
+      cross.report({
+        code: 'TOKENSET_MISSING_SET',
+        path: '$',
+        set: setName,
+        message: `Token set "${setName}" is listed in the manifest but was not loaded`,
+        hint: 'Load the file or remove it from the manifest'
+      });
+    }
+  }
+
+  const themes = resolveThemes(manifest).map(theme => {
+    const loaded = theme.sets.filter(name => name in documents);
+    const { document, sources, groupSources } = mergeTokenSets(loaded.map(name => ({ name, json: documents[name] })));
+    const result = validator.validate(document);
+
+    const annotate = issue => ({ ...issue, theme: theme.name, set: findSource(sources, groupSources, issue.path) });
+    return {
+      name: theme.name,
+      sets: loaded,
+      document,
+      sources,
+      tokenTypes: collectTokenTypes(document),
+      result: {
+        ...result,
+        errors: result.errors.map(annotate),
+        warnings: result.warnings.map(annotate),
+        structureIssues: result.structureIssues.map(annotate)
+      }
+    };
+  });
+
+  if (themes.length > 1) {
+    const allPaths = new Set(themes.flatMap(theme => [...theme.tokenTypes.keys()]));
+
+    for (const tokenPath of allPaths) {
+      const defining = themes.filter(theme => theme.tokenTypes.has(tokenPath));
+
+      for (const theme of themes) {
+        if (theme.tokenTypes.has(tokenPath)) continue;
+        cross.report({
+          code: 'THEME_UNDEFINED_TOKEN',
+          path: `$.${tokenPath}`,
+          theme: theme.name,
+          message: `"${tokenPath}" is undefined in theme "${theme.name}"`,
+          hint: `Defined in ${defining.map(t => `"${t.name}"`).join(', ')}; add it to a set used by "${theme.name}"`
+        });
+      }
+
+      const types = [...new Set(defining.map(theme => theme.tokenTypes.get(tokenPath)).filter(Boolean))];
+      if (types.length > 1) {
+        const byTheme = defining.map(theme => `${theme.name}: ${theme.tokenTypes.get(tokenPath) || 'untyped'}`);
+        for (const theme of defining) {
+          cross.report({
+            code: 'THEME_TYPE_MISMATCH',
+            path: `$.${tokenPath}`,
+            theme: theme.name,
+            set: theme.sources.get(tokenPath) || null,
+            message: `"${tokenPath}" changes $type between themes (${byTheme.join(', ')})`,
+            hint: 'A token must keep the same $type in every theme'
+          });
+        }
+      }
+    }
+  }
+
+  const valid = cross.errors.length === 0 && themes.every(theme => theme.result.valid);
+
+  return {
+    valid,
+    themes: themes.map(({ name, sets, document, result }) => ({ name, sets, document, result })),
+    errors: cross.errors,
+    warnings: cross.warnings
+  };
+}
+
+/**
+ * Validation result for one theme, including cross-set issues that concern it
+ */
+export function getThemeResult(setsResult, themeName) {
+  const theme = setsResult.themes.find(t => t.name === themeName) || setsResult.themes[0];
+  if (!theme) return null;
+
+  const concerns = issue => !issue.theme || issue.theme === theme.name;
+  const errors = [...theme.result.errors, ...setsResult.errors.filter(concerns)];
+  const warnings = [...theme.result.warnings, ...setsResult.warnings.filter(concerns)];
+
+  return {
+    ...theme.result,
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Build a manifest from file names when none was provided:
+ * light/dark/high-contrast files become themes, everything else is a base set.
+ */
+export function inferTokenSetManifest(fileNames) {
+  // Whole name segments only: "highlight.json" is not a light theme
+  const themePattern = /(^|[-_. /])(high[-_. ]?contrast|light|dark)(?=[-_. /]|$)/i;
+  const sets = [];
+  const themes = {};
+
+  for (const name of fileNames) {
+    const match = name.match(themePattern);
+    if (match) {
+      const themeName = match[2].toLowerCase().replace(/[-_. ]/, '-');
+      themes[themeName] = [...(themes[themeName] || []), name];
+    } else {
+      sets.push(name);
+    }
+  }
+
+  return Object.keys(themes).length > 0 ? { sets, themes } : { sets };
+}
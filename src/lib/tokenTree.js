@@ -0,0 +1,218 @@
+/**
+ * DTCG token tree helpers
+ * Shared group/token traversal and alias ("{group.token}") resolution
+ */
+
+export const DTCG_GROUPS = ['$schema', '$id', '$description', '$extensions', '$type'];
+const ALIAS_PATTERN = /^\{([^{}]+)\}$/;
+
+/**
+ * A node is a token when it carries a value ($value, or legacy value)
+ */
+export function isTokenNode(node) {
+  return typeof node === 'object' && node !== null && ('$value' in node || 'value' in node);
+}
+
+/**
+ * A node is a group when it has no value but has members: child keys, or a
+ * "$root" token holding the group's own value (addressed as "{group.$root}")
+ */
+export function isGroupNode(node) {
+  return typeof node === 'object' && node !== null && !isTokenNode(node)
+    && ('$root' in node || Object.keys(node).some(key => !key.startsWith('$')));
+}
+
+/**
+ * A node's own $deprecated when it is valid: true or a reason deprecates it,
+ * false opts out of an inherited deprecation, anything else is ignored
+ */
+export function getDeprecation(node) {
+  const value = node?.$deprecated;
+  return typeof value === 'boolean' || typeof value === 'string' ? value : undefined;
+}
+
+export function getTokenValue(token) {
+  return '$value' in token ? token.$value : token.value;
+}
+
+export function isAliasValue(value) {
+  return typeof value === 'string' && ALIAS_PATTERN.test(value);
+}
+
+export function parseAlias(value) {
+  const match = typeof value === 'string' ? value.match(ALIAS_PATTERN) : null;
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Walk every token in a document, following the same rules as
+ * DTCGValidator.validateTokenGroup: groups (see isGroupNode) are walked,
+ * other objects are tokens, and a group's $root is a token of that group.
+ */
+export function walkTokens(json, onToken, onGroup) {
+  if (!json || typeof json !== 'object') return;
+
+  const walk = (node, path) => {
+    if (typeof node.$root === 'object' && node.$root !== null) onToken?.(node.$root, [...path, '$root']);
+
+    for (const [key, child] of Object.entries(node)) {
+      if (key.startsWith('$')) continue;
+      if (typeof child !== 'object' || child === null) continue;
+
+      const childPath = [...path, key];
+
+      if (isGroupNode(child)) {
+        onGroup?.(child, childPath);
+        walk(child, childPath);
+      } else {
+        onToken?.(child, childPath);
+      }
+    }
+  };
+
+  for (const [key, value] of Object.entries(json)) {
+    if (DTCG_GROUPS.includes(key) || key === 'brand') continue;
+    if (typeof value !== 'object' || value === null) continue;
+    onGroup?.(value, [key]);
+    walk(value, [key]);
+  }
+}
+
+/**
+ * Index tokens and groups by their dot path, as used inside alias braces.
+ * Returns { tokens, groups, types, deprecated, extends }:
+ * - types: the effective $type of every token and group (own, else from the
+ *   group it $extends, else from the nearest typed ancestor or the document)
+ * - deprecated: deprecated tokens and groups with their $deprecated value
+ *   (true or a reason), inherited the same way; "$deprecated": false opts
+ *   out and invalid values are ignored (see getDeprecation)
+ * - extends: the group each "$extends" points at
+ * Tokens and subgroups a group inherits through $extends are indexed under
+ * the extending group unless it overrides them.
+ */
+export function buildTokenIndex(json) {
+  const tokens = new Map();
+  const groups = new Map();
+  const extendsRefs = new Map();
+
+  walkTokens(
+    json,
+    (token, path) => tokens.set(path.join('.'), token),
+    (group, path) => {
+      const id = path.join('.');
+      groups.set(id, group);
+      const ref = parseAlias(group.$extends);
+      if (ref) extendsRefs.set(id, ref);
+    }
+  );
+
+  const parentOf = id => id.slice(0, Math.max(0, id.lastIndexOf('.')));
+
+  // Effective group property: own, else from the extended group, else from the
+  // parent; top-level groups fall back to `base`
+  const inheritGroupProperty = (own, base) => {
+    const values = new Map();
+    const resolve = (id, visiting = new Set()) => {
+      if (id === '') return base;
+      if (!groups.has(id) || visiting.has(id)) return undefined;
+      if (values.has(id)) return values.get(id);
+      visiting.add(id);
+      const value = own(groups.get(id)) ?? resolve(extendsRefs.get(id), visiting) ?? resolve(parentOf(id), visiting);
+      visiting.delete(id);
+      values.set(id, value);
+      return value;
+    };
+    for (const id of groups.keys()) resolve(id);
+    return values;
+  };
+
+  const types = inheritGroupProperty(group => group.$type, json?.$type);
+  const deprecated = inheritGroupProperty(getDeprecation);
+  const inheritToken = (id, token, parent = parentOf(id)) => {
+    types.set(id, token.$type || token.type || types.get(parent));
+    deprecated.set(id, getDeprecation(token) ?? deprecated.get(parent));
+  };
+  for (const [id, token] of tokens) inheritToken(id, token);
+
+  // Inherit members of extended groups, extended groups first; cycles are left to the validator
+  const inherited = new Set();
+  const inherit = (id, visiting = new Set()) => {
+    const ref = extendsRefs.get(id);
+    if (inherited.has(id) || visiting.has(id) || !groups.has(ref) || ref.startsWith(`${id}.`) || id.startsWith(`${ref}.`)) return;
+    visiting.add(id);
+    inherit(ref, visiting);
+    for (const [members, isGroup] of [[groups, true], [tokens, false]]) {
+      for (const [memberId, member] of [...members]) {
+        if (!memberId.startsWith(`${ref}.`)) continue;
+        const target = `${id}${memberId.slice(ref.length)}`;
+        if (tokens.has(target) || groups.has(target)) continue;
+        members.set(target, member);
+        if (isGroup) {
+          types.set(target, member.$type ?? types.get(parentOf(target)));
+          deprecated.set(target, getDeprecation(member) ?? deprecated.get(parentOf(target)));
+        } else {
+          inheritToken(target, member);
+        }
+      }
+    }
+    inherited.add(id);
+  };
+  for (const id of extendsRefs.keys()) inherit(id);
+
+  for (const [id, value] of deprecated) {
+    if (value === undefined || value === false) deprecated.delete(id);
+  }
+  for (const [id, type] of types) {
+    if (type === undefined) types.set(id, null);
+  }
+
+  return { tokens, groups: new Set(groups.keys()), types, deprecated, extends: extendsRefs };
+}
+
+/**
+ * Tokens declared in a document, in document order, as [{ path, id, type,
+ * value }] with each token's effective type (see buildTokenIndex). Tokens a
+ * group inherits through $extends are not repeated under it.
+ */
+export function listTokens(json) {
+  const index = buildTokenIndex(json);
+  const tokens = [];
+  walkTokens(json, (token, path) => {
+    const id = path.join('.');
+    tokens.push({ path, id, type: index.types.get(id) ?? null, value: getTokenValue(token) });
+  });
+  return tokens;
+}
+
+/**
+ * Follow an alias chain to its final value.
+ * Returns { status: 'resolved' | 'broken' | 'group' | 'circular', chain, ... }
+ */
+export function resolveAlias(index, value) {
+  const chain = [];
+  let current = value;
+  let token = null;
+
+  while (isAliasValue(current)) {
+    const ref = parseAlias(current);
+    if (chain.includes(ref)) {
+      return { status: 'circular', chain: [...chain, ref], ref };
+    }
+    chain.push(ref);
+
+    token = index.tokens.get(ref);
+    if (!token) {
+      return { status: index.groups.has(ref) ? 'group' : 'broken', chain, ref };
+    }
+    current = getTokenValue(token);
+  }
+
+  return {
+    status: 'resolved',
+    chain,
+    value: current,
+    token,
+    path: chain[chain.length - 1],
+    type: token ? (index.types?.get(chain[chain.length - 1]) || token.$type || token.type || null) : null
+  };
+}
@@ -0,0 +1,29 @@
+/**
+ * Validation worker
+ *
+ * Receives { id, text, config } for every edit and answers with
+ * { id, result, document, markers }, or { id, cancelled } when a newer edit
+ * arrived before the run started.
+ */
+
+import { createValidationSession } from './validationSession.js';
+
+const validateDocument = createValidationSession();
+let latest = 0;
+
+self.onmessage = async ({ data }) => {
+  latest = data.id;
+
+  // Let queued edits arrive first, so only the newest one is validated
+  await new Promise(resolve => setTimeout(resolve, 0));
+  if (data.id !== latest) {
+    self.postMessage({ id: data.id, cancelled: true });
+    return;
+  }
+
+  try {
+    self.postMessage({ id: data.id, ...validateDocument(data.text, data.config) });
+  } catch (error) {
+    self.postMessage({ id: data.id, error: error.message });
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Main-thread side of the validation worker.
+ *
+ * validate(text, config) resolves with { result, document, markers }, or with
+ * null once a newer call (or cancel()) has superseded it. Without Worker
+ * support the same validation runs inline.
+ */
+
+import { createValidationSession } from './validationSession.js';
+
+export function createValidationWorker() {
+  const pending = new Map();
+  let nextId = 0;
+
+  const settle = (id, response, error) => {
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    if (error) request.reject(error); else request.resolve(response);
+  };
+
+  const supersede = () => {
+    for (const id of [...pending.keys()]) settle(id, null);
+  };
+
+  if (typeof Worker === 'undefined') {
+    const validateDocument = createValidationSession();
+    return {
+      validate: async (text, config) => validateDocument(text, config),
+      cancel: () => {},
+      terminate: () => {}
+    };
+  }
+
+  const worker = new Worker(new URL('./validation.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    settle(data.id, data.cancelled ? null : data, data.error && new Error(data.error));
+  };
+
+  return {
+    validate(text, config = {}) {
+      supersede();
+      const id = ++nextId;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ id, text, config });
+      });
+    },
+    cancel: supersede,
+    terminate() {
+      supersede();
+      worker.terminate();
+    }
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Validation of editor text, shared by the validation worker and its
+ * main-thread fallback: parse with positions, validate incrementally and
+ * turn the located issues into editor markers.
+ */
+
+import { DTCGValidator } from '../lib/dtcgValidator.js';
+import { IncrementalValidator } from '../lib/incrementalValidator.js';
+import { addIssueLocations, getIssueMarkers, parseJsonWithPositions } from '../lib/jsonPositions.js';
+
+/**
+ * Returns validateDocument(text, config) -> { result, document, markers }.
+ * Unchanged groups keep their issues between calls with the same config.
+ */
+export function createValidationSession() {
+  let session = null;
+
+  return function validateDocument(text, config = {}) {
+    const key = JSON.stringify(config);
+    if (session?.key !== key) {
+      session = { key, validator: new IncrementalValidator(config) };
+    }
+
+    let parsed;
+    try {
+      parsed = parseJsonWithPositions(text);
+    } catch {
+      const result = new DTCGValidator(config).validateText(text);
+      return { result, document: null, markers: getIssueMarkers(result) };
+    }
+
+    const result = addIssueLocations(session.validator.validate(parsed.value), parsed.positions);
+    return { result, document: parsed.value, markers: getIssueMarkers(result) };
+  };
+}